@@ -0,0 +1,73 @@
+/**
+ * Benchmark: per-pair Dijkstra vs precomputed DistanceMatrix for greedy assignment.
+ * Usage: node benchmarks/distance-matrix.bench.js [drivers=30] [orders=300] [gridSize=20]
+ * Builds a deterministic grid road network, then times assignDriversToOrders both ways
+ * (matrix build time included) and checks the two runs produce the same assignments.
+ */
+
+const { loadDrivers, loadOrders } = require('../src/data/input');
+const { assignDriversToOrders } = require('../src/utils/optimizer');
+const { DistanceMatrix } = require('../src/utils/distanceMatrix');
+
+const [driverCount = 30, orderCount = 300, gridSize = 20] = process.argv.slice(2).map(Number);
+
+// Deterministic pseudo-random numbers (LCG) so runs are comparable
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+function buildGridGraph(size) {
+  const graph = {};
+  const id = (x, y) => `n${x}_${y}`;
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      graph[id(x, y)] = {};
+    }
+  }
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      [[1, 0], [0, 1]].forEach(([dx, dy]) => {
+        if (x + dx >= size || y + dy >= size) return;
+        const weight = 1 + Math.round(random() * 4);
+        graph[id(x, y)][id(x + dx, y + dy)] = weight;
+        graph[id(x + dx, y + dy)][id(x, y)] = weight;
+      });
+    }
+  }
+  return graph;
+}
+
+const graph = buildGridGraph(gridSize);
+const nodeIds = Object.keys(graph);
+const pick = () => nodeIds[Math.floor(random() * nodeIds.length)];
+const shiftEndTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+const drivers = loadDrivers(Array.from({ length: driverCount }, (_, i) => ({
+  id: `d${i + 1}`, currentLocation: pick(), capacity: 1000, shiftEndTime
+})));
+const orders = loadOrders(Array.from({ length: orderCount }, (_, i) => ({
+  id: `o${i + 1}`, destination: pick(), priority: 1 + (i % 3), size: 10
+})));
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(10)} ms`);
+  return { result, ms };
+}
+
+console.log(`Grid ${gridSize}x${gridSize} (${nodeIds.length} nodes), ${driverCount} drivers x ${orderCount} orders`);
+
+const perPair = time('per-pair Dijkstra', () => assignDriversToOrders(drivers, orders, graph, null));
+const withMatrix = time('DistanceMatrix (incl. build)', () => {
+  const distanceMatrix = DistanceMatrix.forDelivery(drivers, orders, graph);
+  return assignDriversToOrders(drivers, orders, graph, null, { searchOptions: { distanceMatrix } });
+});
+
+const signature = assignments => assignments.map(a => `${a.driver.id}:${a.order.id}:${a.distance}`).join(',');
+const identical = signature(perPair.result) === signature(withMatrix.result);
+console.log(`Speedup: ${(perPair.ms / withMatrix.ms).toFixed(1)}x, identical assignments: ${identical}`);
+if (!identical) process.exitCode = 1;
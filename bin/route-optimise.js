@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * route-optimise CLI entry point (see src/cli.js for commands and exit codes).
+ */
+
+const { runCli } = require('../src/cli');
+
+process.exitCode = runCli(process.argv.slice(2));
@@ -0,0 +1,325 @@
+/**
+ * Command-line interface (bin/route-optimise.js).
+ *   route-optimise solve [input.json|-] [--strategy greedy|hungarian|regret] [--out plan.json]
+ *                        [--format json|geojson|gpx|csv] [...config flags]
+ *   route-optimise validate [input.json|-] [--json]
+ *   route-optimise route [graph.json|graph.osm|graph.geojson|-] <from> <to> [--algorithm dijkstra|astar]
+ *   route-optimise serve [--port 3000] [--host 127.0.0.1] [--max-body-bytes n] [--time-limit ms]
+ * A missing file argument or '-' reads JSON from stdin, so the tool fits shell pipelines.
+ * Exit codes: see EXIT_CODES.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { optimizeDelivery, calculateShortestPath, validateInputs, InputValidationError } = require('./index');
+const { importGeoJSON, importGraphFile } = require('./data/importers');
+const { exportGeoJSON, exportGPX, exportCsvManifest } = require('./data/exporters');
+const { createServer, DEFAULT_MAX_BODY_BYTES, DEFAULT_TIME_LIMIT_MS } = require('./server');
+const { validateRoadNetwork } = require('./utils/validator');
+const { PATH_ALGORITHMS } = require('./utils/optimizer');
+
+const EXIT_CODES = {
+  OK: 0,
+  INVALID_INPUT: 1, // validation failed or the input is not valid JSON
+  USAGE: 2, // unknown command/flag or missing arguments
+  NO_ROUTE: 3, // route: the target cannot be reached
+  FAILURE: 4 // anything else (e.g. unreadable file)
+};
+
+const OUTPUT_FORMATS = ['json', 'geojson', 'gpx', 'csv'];
+
+const USAGE = `Usage:
+  route-optimise solve [input.json|-] [options]      Optimise a plan (JSON inputs: drivers, orders, graph, nodes?)
+  route-optimise validate [input.json|-] [options]   Report every input problem (exit 0 valid, 1 invalid)
+  route-optimise route [graph|-] <from> <to>         Shortest path (graph: .json graph or inputs, .osm, .geojson)
+  route-optimise serve [options]                     HTTP service (POST /optimize, /route, /validate; GET /health)
+
+Solve options:
+  --strategy <name>          greedy | hungarian | regret (default greedy)
+  --path-algorithm <name>    dijkstra | astar
+  --time-window-mode <mode>  hard | soft
+  --planning-start <time>    Planning start (ISO date), default now
+  --time-limit <ms>          Return the best plan found within this budget
+  --use-cache                Enable the route cache
+  --use-distance-matrix      Precompute distances (large fleets)
+  --explain                  Attach score explanations to assignments
+  --strict                   Fail on stops no driver can reach (see validate --strict)
+  --out <file>               Write the result to a file instead of stdout
+  --format <format>          json | geojson | gpx | csv (default json)
+
+Validate options:
+  --json                     Print { valid, issues } as JSON instead of text
+  --strict                   Diagnose the graph: unreachable stops fail, disconnected or
+                             one-way parts and asymmetric edges are warned about
+
+Route options:
+  --algorithm <name>         dijkstra | astar (astar needs node coordinates)
+
+Serve options:
+  --port <port>              Port to listen on (default 3000)
+  --host <host>              Interface to bind (default 127.0.0.1)
+  --max-body-bytes <n>       Largest accepted request body (default ${DEFAULT_MAX_BODY_BYTES})
+  --time-limit <ms>          Time budget per optimisation (default ${DEFAULT_TIME_LIMIT_MS})
+
+Exit codes: 0 ok, 1 invalid input, 2 usage error, 3 no route, 4 other failure.
+`;
+
+// util.parseArgs option spec per command
+const COMMAND_OPTIONS = {
+  solve: {
+    strategy: { type: 'string' },
+    'path-algorithm': { type: 'string' },
+    'time-window-mode': { type: 'string' },
+    'planning-start': { type: 'string' },
+    'time-limit': { type: 'string' },
+    'use-cache': { type: 'boolean' },
+    'use-distance-matrix': { type: 'boolean' },
+    explain: { type: 'boolean' },
+    strict: { type: 'boolean' },
+    out: { type: 'string' },
+    format: { type: 'string' }
+  },
+  validate: {
+    json: { type: 'boolean' },
+    strict: { type: 'boolean' }
+  },
+  route: {
+    algorithm: { type: 'string' }
+  },
+  serve: {
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'max-body-bytes': { type: 'string' },
+    'time-limit': { type: 'string' }
+  }
+};
+
+/**
+ * Error for bad command lines (reported with the usage text, EXIT_CODES.USAGE).
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Helper: Read a JSON document from a file or stdin ('-' / missing path).
+ * @param {string|undefined} file - Path, '-' or undefined
+ * @param {Object} io - { readStdin }
+ * @returns {*} - Parsed JSON (InputValidationError when malformed)
+ */
+function readJson(file, io) {
+  const text = !file || file === '-' ? io.readStdin() : fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new InputValidationError(`${!file || file === '-' ? 'stdin' : file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Helper: Road graph (and coordinates) for the route command: .osm/.geojson files and GeoJSON
+ * FeatureCollections go through the importers; other JSON is a bare graph or inputs with a graph section.
+ * @returns {{graph: Object, nodes: Object|undefined}}
+ */
+function readGraph(file, io) {
+  if (file && /\.(osm|xml|geojson)$/i.test(file)) return importGraphFile(file);
+  const document = readJson(file, io);
+  if (document && document.type === 'FeatureCollection') return importGeoJSON(document);
+  if (document && typeof document.graph === 'object') return { graph: document.graph, nodes: document.nodes };
+  return { graph: document, nodes: undefined };
+}
+
+/**
+ * Helper: optimizeDelivery config from solve flags.
+ */
+function toSolveConfig(values) {
+  const config = { collectAllErrors: true };
+  if (values.strategy !== undefined) config.strategy = values.strategy;
+  if (values['path-algorithm'] !== undefined) config.pathAlgorithm = values['path-algorithm'];
+  if (values['time-window-mode'] !== undefined) config.timeWindowMode = values['time-window-mode'];
+  if (values['planning-start'] !== undefined) config.planningStartTime = values['planning-start'];
+  if (values['time-limit'] !== undefined) {
+    config.timeLimitMs = Number(values['time-limit']);
+    if (isNaN(config.timeLimitMs)) throw new UsageError('--time-limit must be a number of milliseconds');
+  }
+  if (values['use-cache']) config.useCache = true;
+  if (values['use-distance-matrix']) config.useDistanceMatrix = true;
+  if (values.explain) config.explain = true;
+  if (values.strict) config.strictValidation = true;
+  return config;
+}
+
+/**
+ * Helper: Non-negative integer flag value (UsageError otherwise).
+ */
+function toInteger(values, flag, fallback) {
+  if (values[flag] === undefined) return fallback;
+  const value = Number(values[flag]);
+  if (!Number.isInteger(value) || value < 0) throw new UsageError(`--${flag} must be a non-negative integer`);
+  return value;
+}
+
+/**
+ * Helper: One line per validation issue ("  error /orders/3/destination: ... (MISSING_FIELD)").
+ */
+function formatIssues(issues) {
+  return issues.map(issue => `  ${issue.severity} ${issue.path || '/'}: ${issue.message} (${issue.code})\n`).join('');
+}
+
+/**
+ * Helper: Serialise a plan in the requested output format.
+ */
+function formatPlan(plan, format, nodes) {
+  switch (format) {
+    case 'geojson':
+      return `${JSON.stringify(exportGeoJSON(plan, nodes), null, 2)}\n`;
+    case 'gpx':
+      return exportGPX(plan, nodes);
+    case 'csv':
+      return exportCsvManifest(plan);
+    default:
+      return `${JSON.stringify(plan, null, 2)}\n`;
+  }
+}
+
+const COMMANDS = {
+  solve({ values, positionals }, io) {
+    if (positionals.length > 1) throw new UsageError('solve takes at most one input file');
+    const format = values.format || 'json';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new UsageError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    const inputs = readJson(positionals[0], io);
+    const plan = optimizeDelivery(inputs, toSolveConfig(values));
+    const output = formatPlan(plan, format, inputs.nodes);
+    if (values.out) {
+      fs.writeFileSync(values.out, output);
+      io.stderr.write(`Wrote ${format} plan to ${values.out} (${plan.summary.assignedOrders}/${plan.summary.totalOrders} orders assigned)\n`);
+    } else {
+      io.stdout.write(output);
+    }
+    return EXIT_CODES.OK;
+  },
+
+  validate({ values, positionals }, io) {
+    if (positionals.length > 1) throw new UsageError('validate takes at most one input file');
+    const inputs = readJson(positionals[0], io);
+    const options = { collectAll: true, strict: Boolean(values.strict) };
+    if (values.json) {
+      let issues;
+      try {
+        issues = validateInputs(inputs, options);
+      } catch (error) {
+        if (!(error instanceof InputValidationError)) throw error;
+        io.stdout.write(`${JSON.stringify({ valid: false, issues: error.issues }, null, 2)}\n`);
+        return EXIT_CODES.INVALID_INPUT;
+      }
+      io.stdout.write(`${JSON.stringify({ valid: true, issues }, null, 2)}\n`);
+      return EXIT_CODES.OK;
+    }
+    const warnings = validateInputs(inputs, options);
+    io.stderr.write(formatIssues(warnings));
+    io.stdout.write(`Inputs are valid${warnings.length > 0 ? ` (${warnings.length} warnings)` : ''}\n`);
+    return EXIT_CODES.OK;
+  },
+
+  route({ values, positionals }, io) {
+    if (positionals.length < 2 || positionals.length > 3) {
+      throw new UsageError('route needs <from> <to> (after an optional graph file)');
+    }
+    const algorithm = values.algorithm || 'dijkstra';
+    if (!PATH_ALGORITHMS.includes(algorithm)) {
+      throw new UsageError(`--algorithm must be one of: ${PATH_ALGORITHMS.join(', ')}`);
+    }
+    const [file, from, to] = positionals.length === 3 ? positionals : [undefined, ...positionals];
+    const { graph, nodes } = readGraph(file, io);
+    // Same checks as the server's /route: a malformed graph is invalid input, not "no route"
+    validateRoadNetwork({ graph, nodes }, { collectAll: true });
+    if (algorithm === 'astar' && nodes === undefined) {
+      throw new InputValidationError("--algorithm astar requires node coordinates (inputs.nodes, .osm or .geojson)");
+    }
+    const result = calculateShortestPath(graph, from, to, null, { algorithm, nodes });
+    if (result.distance === Infinity) {
+      io.stderr.write(`No route from ${from} to ${to}\n`);
+      return EXIT_CODES.NO_ROUTE;
+    }
+    io.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return EXIT_CODES.OK;
+  },
+
+  // Keeps the process alive until the server closes; listen errors set the exit code later
+  serve({ values, positionals }, io) {
+    if (positionals.length > 0) throw new UsageError('serve takes no arguments');
+    const port = toInteger(values, 'port', 3000);
+    const host = values.host || '127.0.0.1';
+    const server = createServer({
+      maxBodyBytes: toInteger(values, 'max-body-bytes', DEFAULT_MAX_BODY_BYTES),
+      timeLimitMs: toInteger(values, 'time-limit', DEFAULT_TIME_LIMIT_MS)
+    });
+    server.on('error', error => {
+      io.stderr.write(`Error: ${error.message}\n`);
+      io.setExitCode(EXIT_CODES.FAILURE);
+    });
+    server.listen(port, host, () => {
+      io.stderr.write(`Listening on http://${host}:${server.address().port}\n`);
+    });
+    return EXIT_CODES.OK;
+  }
+};
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} [io] - Streams for testing
+ * @param {{write: Function}} [io.stdout=process.stdout]
+ * @param {{write: Function}} [io.stderr=process.stderr]
+ * @param {Function} [io.readStdin] - Returns all of stdin as text
+ * @param {Function} [io.setExitCode] - Sets the exit code after runCli returns (serve)
+ * @returns {number} - Exit code (see EXIT_CODES)
+ */
+function runCli(argv, io = {}) {
+  const streams = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    readStdin: io.readStdin || (() => fs.readFileSync(0, 'utf8')),
+    setExitCode: io.setExitCode || (code => { process.exitCode = code; })
+  };
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    (command ? streams.stdout : streams.stderr).write(USAGE);
+    return command ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  try {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(`Unknown command '${command}'`);
+    }
+    let parsed;
+    try {
+      parsed = parseArgs({ args: rest, options: COMMAND_OPTIONS[command], allowPositionals: true, strict: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    return COMMANDS[command](parsed, streams);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      streams.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof InputValidationError) {
+      streams.stderr.write(`Invalid input: ${error.message}\n`);
+      if (error.issues.length > 1) streams.stderr.write(formatIssues(error.issues));
+      return EXIT_CODES.INVALID_INPUT;
+    }
+    streams.stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  runCli
+};
@@ -0,0 +1,188 @@
+/**
+ * Plan exporters for drivers and map UIs.
+ * Turn an optimizeDelivery result (its tours) into:
+ * - GeoJSON FeatureCollection: one LineString per driver route and one Point per stop (ETA properties)
+ * - GPX 1.1: one track per driver route, stops as waypoints (needs { lat, lon } node coordinates)
+ * - CSV manifest: one row per stop in driving order (stop order, order id, ETA, load)
+ * Node coordinates are the inputs.nodes section ({ id: { lat, lon } } or { id: { x, y } } for GeoJSON).
+ */
+
+const { InputValidationError } = require('../utils/validator');
+
+const CSV_COLUMNS = [
+  'driverId',
+  'sequence',
+  'stopType',
+  'orderId',
+  'location',
+  'eta',
+  'estimatedArrival',
+  'departureTime',
+  'loadAfter',
+  'lateByMinutes'
+];
+
+/**
+ * Helper: Tours of a plan (InputValidationError if the value is not an optimizeDelivery result).
+ */
+function getTours(plan) {
+  if (!plan || !Array.isArray(plan.tours)) {
+    throw new InputValidationError('Plan must be an optimizeDelivery result with a tours array');
+  }
+  return plan.tours;
+}
+
+/**
+ * Helper: Coordinates of a node (InputValidationError if missing).
+ * @param {Object} nodes - Node coordinates
+ * @param {string} node - Node id
+ * @param {boolean} [geographic=false] - Require { lat, lon }
+ * @returns {Object}
+ */
+function requireCoordinates(nodes, node, geographic = false) {
+  const point = nodes && nodes[node];
+  if (!point || (geographic && point.lat === undefined)) {
+    throw new InputValidationError(`Node '${node}' has no ${geographic ? 'lat/lon ' : ''}coordinates in nodes`);
+  }
+  return point;
+}
+
+/**
+ * Helper: GeoJSON position ([lon, lat], or [x, y] for planar coordinates).
+ */
+function toPosition(point) {
+  return point.lat !== undefined ? [point.lon, point.lat] : [point.x, point.y];
+}
+
+/**
+ * Export a plan as a GeoJSON FeatureCollection.
+ * Route features: { kind: 'route', driverId, startTime, totalDistance, totalDuration, stopCount } (a LineString,
+ * or a Point at the start for tours that never leave it).
+ * Stop features: { kind: 'stop', driverId, sequence, stopType, orderId, location, eta, estimatedArrival,
+ * departureTime, loadAfter, lateByMinutes, onTime }.
+ * @param {Object} plan - optimizeDelivery result
+ * @param {Object} nodes - Node coordinates for every node on the routes
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+function exportGeoJSON(plan, nodes) {
+  const features = [];
+  getTours(plan).forEach(tour => {
+    // A tour that never leaves its start has a one-node path; GeoJSON lines need two positions
+    const coordinates = tour.path.map(node => toPosition(requireCoordinates(nodes, node)));
+    features.push({
+      type: 'Feature',
+      geometry: coordinates.length >= 2
+        ? { type: 'LineString', coordinates }
+        : { type: 'Point', coordinates: coordinates[0] },
+      properties: {
+        kind: 'route',
+        driverId: tour.driverId,
+        startTime: tour.startTime,
+        totalDistance: tour.totalDistance,
+        totalDuration: tour.totalDuration,
+        stopCount: tour.stops.length
+      }
+    });
+    tour.stops.forEach(stop => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: toPosition(requireCoordinates(nodes, stop.location)) },
+        properties: {
+          kind: 'stop',
+          driverId: tour.driverId,
+          sequence: stop.sequence,
+          stopType: stop.stopType,
+          orderId: stop.orderId,
+          location: stop.location,
+          eta: stop.eta,
+          estimatedArrival: stop.estimatedArrival,
+          departureTime: stop.departureTime,
+          loadAfter: stop.loadAfter,
+          lateByMinutes: stop.lateByMinutes,
+          onTime: stop.onTime
+        }
+      });
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Helper: Escape text for XML content and attributes.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Export a plan as GPX 1.1: a track per driver (route nodes as track points) and a waypoint per
+ * stop, timed at its estimated arrival.
+ * @param {Object} plan - optimizeDelivery result
+ * @param {Object} nodes - { lat, lon } coordinates for every node on the routes
+ * @param {Object} [options={}]
+ * @param {string} [options.creator='route-optimisation-engine'] - GPX creator attribute
+ * @returns {string} - GPX document
+ */
+function exportGPX(plan, nodes, { creator = 'route-optimisation-engine' } = {}) {
+  const tours = getTours(plan);
+  const point = (tag, node, children = '') => {
+    const { lat, lon } = requireCoordinates(nodes, node, true);
+    return `<${tag} lat="${lat}" lon="${lon}">${children}</${tag}>`;
+  };
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`
+  ];
+  tours.forEach(tour => tour.stops.forEach(stop => {
+    const name = stop.stopType === 'return' ? `${tour.driverId} return` : `${stop.orderId} ${stop.stopType}`;
+    const description = `${tour.driverId} stop ${stop.sequence}, ETA ${stop.eta} min`;
+    lines.push(`  ${point('wpt', stop.location,
+      `<time>${escapeXml(stop.estimatedArrival)}</time><name>${escapeXml(name)}</name><desc>${escapeXml(description)}</desc>`)}`);
+  }));
+  tours.forEach(tour => {
+    lines.push(`  <trk><name>${escapeXml(tour.driverId)}</name><trkseg>`);
+    tour.path.forEach(node => lines.push(`    ${point('trkpt', node)}`));
+    lines.push('  </trkseg></trk>');
+  });
+  lines.push('</gpx>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Helper: CSV cell (loads with several dimensions as "weightKg=10;volumeL=5"; quoted when needed).
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object'
+    ? Object.entries(value).map(([dim, amount]) => `${dim}=${amount}`).join(';')
+    : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a plan as a CSV driver manifest: a header row, then one row per stop in driving order
+ * (drivers in tour order). Columns: driverId, sequence, stopType, orderId, location, eta,
+ * estimatedArrival, departureTime, loadAfter, lateByMinutes.
+ * @param {Object} plan - optimizeDelivery result
+ * @returns {string} - CSV text (LF line endings, trailing newline)
+ */
+function exportCsvManifest(plan) {
+  const rows = [CSV_COLUMNS.join(',')];
+  getTours(plan).forEach(tour => tour.stops.forEach(stop => {
+    const record = { ...stop, driverId: tour.driverId };
+    rows.push(CSV_COLUMNS.map(column => toCsvCell(record[column])).join(','));
+  }));
+  return `${rows.join('\n')}\n`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  exportGeoJSON,
+  exportGPX,
+  exportCsvManifest
+};
@@ -0,0 +1,282 @@
+/**
+ * Road graph importers for real street data (offline, local files).
+ * Produce { graph, nodes } ready to spread into optimizeDelivery inputs:
+ * - GeoJSON FeatureCollection of LineString / MultiLineString features (coordinates [lon, lat])
+ * - OSM XML extracts (<node> + <way> with highway tags)
+ * Every vertex becomes a graph node with { lat, lon } coordinates; consecutive vertices are
+ * joined by edges whose distance is the haversine length in km. Ways are two-way unless tagged
+ * oneway (yes/true/1 forward, -1/reverse backward; roundabouts and motorways are implicitly
+ * one-way in OSM). Way attributes become edge fields: maxspeed -> speedKmh (switches routing
+ * to travel time), maxweight -> maxWeightKg, maxheight -> maxHeightM, plus name and wayId.
+ * Imperial values (mph, feet and inches, short/long tons, lbs) are converted to metric units;
+ * values that do not parse are left out rather than guessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { InputValidationError } = require('../utils/validator');
+const { haversineKm } = require('../utils/heuristics');
+
+// Decimal places kept when GeoJSON coordinates become node ids (shared endpoints must match)
+const DEFAULT_COORDINATE_PRECISION = 7;
+
+const KMH_PER_MPH = 1.609344;
+// Unit factors for the units OSM allows per tag ('' = the tag's default unit)
+const SPEED_KMH_PER_UNIT = { '': 1, kmh: 1, 'km/h': 1, mph: KMH_PER_MPH, knots: 1.852 };
+const WEIGHT_KG_PER_UNIT = { '': 1000, t: 1000, kg: 1, st: 907.18474, lt: 1016.0469088, lbs: 0.45359237, cwt: 45.359237 };
+const METRES_PER_FOOT = 0.3048;
+const METRES_PER_INCH = 0.0254;
+const HEIGHT_M_PER_UNIT = { '': 1, m: 1, ft: METRES_PER_FOOT, in: METRES_PER_INCH };
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Helper: Direction of travel from a oneway tag value.
+ * @param {*} value - Tag value (string, boolean or number)
+ * @returns {number} - 1 forward only, -1 backward only, 0 both ways
+ */
+function parseOneway(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['yes', 'true', '1'].includes(text)) return 1;
+  if (['-1', 'reverse'].includes(text)) return -1;
+  return 0;
+}
+
+/**
+ * Helper: A whole tag value as a positive number with its unit ('50', '30 mph', '7.5 t'); null
+ * if the value is anything else (e.g. 'RU:urban', 'none', '50;30').
+ * @param {*} value
+ * @returns {{amount: number, unit: string}|null}
+ */
+function parseQuantity(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? { amount: value, unit: '' } : null;
+  const match = typeof value === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*([a-z/]*)\s*$/i.exec(value) : null;
+  if (!match || Number(match[1]) <= 0) return null;
+  return { amount: Number(match[1]), unit: match[2].toLowerCase() };
+}
+
+/**
+ * Helper: Tag value converted with a unit table (units missing from the table give null).
+ * @param {*} value
+ * @param {Object} factors - unit -> multiplier to the metric unit
+ * @returns {number|null}
+ */
+function parseMetric(value, factors) {
+  const quantity = parseQuantity(value);
+  if (!quantity || !Object.prototype.hasOwnProperty.call(factors, quantity.unit)) return null;
+  return quantity.amount * factors[quantity.unit];
+}
+
+/**
+ * Helper: Height in metres from a maxheight value: metric/ft/in quantities or feet and inches
+ * (14', 14'6"); null if it does not parse.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseHeight(value) {
+  const feetInches = typeof value === 'string' ? /^\s*(\d+)\s*'\s*(?:(\d+(?:\.\d+)?)\s*")?\s*$/.exec(value) : null;
+  if (!feetInches) return parseMetric(value, HEIGHT_M_PER_UNIT);
+  const metres = Number(feetInches[1]) * METRES_PER_FOOT + Number(feetInches[2] || 0) * METRES_PER_INCH;
+  return metres > 0 ? metres : null;
+}
+
+/**
+ * Helper: Edge fields from way attributes (maxspeed km/h, mph or knots; maxweight t, kg, st, lt,
+ * lbs or cwt; maxheight m, ft, in or feet and inches).
+ * Values the importer cannot read (e.g. 'RU:urban', 'none') are left out. Converted limits are
+ * rounded down (to 0.01 m / 1 kg), so an imported restriction is never looser than the sign.
+ * @param {Object} tags - Way tags / feature properties
+ * @returns {Object} - { speedKmh?, maxWeightKg?, maxHeightM?, name? }
+ */
+function edgeAttributes(tags) {
+  const attributes = {};
+  const speed = parseMetric(tags.maxspeed, SPEED_KMH_PER_UNIT);
+  if (speed !== null) attributes.speedKmh = Math.round(speed * 100) / 100;
+  const weight = parseMetric(tags.maxweight, WEIGHT_KG_PER_UNIT);
+  if (weight !== null) attributes.maxWeightKg = Math.floor(weight + 1e-9);
+  const height = parseHeight(tags.maxheight);
+  if (height !== null) attributes.maxHeightM = Math.floor(height * 100 + 1e-9) / 100;
+  if (typeof tags.name === 'string' && tags.name) attributes.name = tags.name;
+  return attributes;
+}
+
+/**
+ * Helper: Accumulates nodes and edges; parallel edges keep the shorter one.
+ */
+function createGraphBuilder() {
+  const graph = {};
+  const nodes = {};
+  return {
+    graph,
+    nodes,
+    addNode(id, lat, lon) {
+      if (!nodes[id]) nodes[id] = { lat, lon };
+      if (!graph[id]) graph[id] = {};
+    },
+    addWay(nodeIds, direction, attributes) {
+      for (let i = 0; i + 1 < nodeIds.length; i++) {
+        const [from, to] = [nodeIds[i], nodeIds[i + 1]];
+        if (from === to) continue;
+        const distance = Math.round(haversineKm(nodes[from], nodes[to]) * 1000) / 1000; // metre precision
+        const edge = { distance, ...attributes };
+        if (direction >= 0) this.addEdge(from, to, edge);
+        if (direction <= 0) this.addEdge(to, from, edge);
+      }
+    },
+    addEdge(from, to, edge) {
+      const existing = graph[from][to];
+      if (!existing || edge.distance < existing.distance) graph[from][to] = { ...edge };
+    }
+  };
+}
+
+/**
+ * Helper: Throw when an import produced no edges.
+ */
+function requireEdges(builder, source) {
+  if (!Object.values(builder.graph).some(connections => Object.keys(connections).length > 0)) {
+    throw new InputValidationError(`${source} contains no road segments`);
+  }
+  return { graph: builder.graph, nodes: builder.nodes };
+}
+
+/**
+ * Import a GeoJSON FeatureCollection of LineString / MultiLineString features.
+ * Other geometry types are ignored. Node ids are "lat,lon" rounded to `precision` decimals,
+ * so lines sharing an endpoint are connected.
+ * @param {string|Object} geojson - GeoJSON text or parsed object
+ * @param {Object} [options={}]
+ * @param {number} [options.precision=7] - Decimal places used for node ids
+ * @returns {{graph: Object, nodes: Object}}
+ */
+function importGeoJSON(geojson, { precision = DEFAULT_COORDINATE_PRECISION } = {}) {
+  let collection = geojson;
+  if (typeof geojson === 'string') {
+    try {
+      collection = JSON.parse(geojson);
+    } catch (error) {
+      throw new InputValidationError(`GeoJSON is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new InputValidationError('GeoJSON must be a FeatureCollection with a features array');
+  }
+
+  const builder = createGraphBuilder();
+  const round = value => Number(value.toFixed(precision));
+  collection.features.forEach((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !['LineString', 'MultiLineString'].includes(geometry.type)) return;
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+    const properties = feature.properties || {};
+    const attributes = edgeAttributes(properties);
+    if (feature.id !== undefined) attributes.wayId = String(feature.id);
+
+    (lines || []).forEach(line => {
+      if (!Array.isArray(line) || line.some(point => !Array.isArray(point) ||
+          typeof point[0] !== 'number' || typeof point[1] !== 'number')) {
+        throw new InputValidationError(`GeoJSON feature at index ${index} must have [lon, lat] number coordinates`);
+      }
+      const nodeIds = line.map(([lon, lat]) => {
+        const id = `${round(lat)},${round(lon)}`;
+        builder.addNode(id, round(lat), round(lon));
+        return id;
+      });
+      builder.addWay(nodeIds, parseOneway(properties.oneway), attributes);
+    });
+  });
+  return requireEdges(builder, 'GeoJSON');
+}
+
+/**
+ * Helper: Attributes of an XML start tag (single or double quoted), entities decoded.
+ */
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[2] !== undefined ? match[2] : match[3];
+    attributes[match[1]] = raw.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+  }
+  return attributes;
+}
+
+/**
+ * Import an OSM XML extract (.osm). Only ways with a highway tag become roads (optionally only
+ * the listed highway types); relations are ignored. Node ids are OSM node ids. Ways clipped by
+ * the extract are split where their nodes are missing.
+ * @param {string} xml - OSM XML text
+ * @param {Object} [options={}]
+ * @param {string[]|null} [options.highways=null] - Highway values to keep (e.g. ['primary', 'residential'])
+ * @returns {{graph: Object, nodes: Object}}
+ */
+function importOsmXml(xml, { highways = null } = {}) {
+  if (typeof xml !== 'string' || !/<osm[\s>]/.test(xml)) {
+    throw new InputValidationError('OSM XML must contain an <osm> root element');
+  }
+
+  const coordinates = new Map();
+  const nodePattern = /<node\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = nodePattern.exec(xml)) !== null) {
+    const { id, lat, lon } = parseXmlAttributes(match[1]);
+    if (id !== undefined && !isNaN(Number(lat)) && !isNaN(Number(lon))) {
+      coordinates.set(id, { lat: Number(lat), lon: Number(lon) });
+    }
+  }
+
+  const builder = createGraphBuilder();
+  const wayPattern = /<way\b([^>]*)>([\s\S]*?)<\/way>/g;
+  while ((match = wayPattern.exec(xml)) !== null) {
+    const { id: wayId } = parseXmlAttributes(match[1]);
+    const body = match[2];
+    const tags = {};
+    (body.match(/<tag\b[^>]*>/g) || []).forEach(tag => {
+      const { k, v } = parseXmlAttributes(tag);
+      if (k !== undefined) tags[k] = v;
+    });
+    if (!tags.highway || (highways && !highways.includes(tags.highway))) continue;
+
+    let direction = parseOneway(tags.oneway);
+    if (tags.oneway === undefined && (tags.junction === 'roundabout' || tags.highway === 'motorway')) direction = 1;
+    const attributes = { ...edgeAttributes(tags), wayId };
+    // Split at nodes missing from the extract so no edge jumps across the gap
+    let segment = [];
+    const flush = () => {
+      if (segment.length > 1) builder.addWay(segment, direction, attributes);
+      segment = [];
+    };
+    (body.match(/<nd\b[^>]*>/g) || []).forEach(nd => {
+      const { ref } = parseXmlAttributes(nd);
+      const point = coordinates.get(ref);
+      if (!point) {
+        flush();
+        return;
+      }
+      builder.addNode(ref, point.lat, point.lon);
+      segment.push(ref);
+    });
+    flush();
+  }
+  return requireEdges(builder, 'OSM XML');
+}
+
+/**
+ * Import a local road network file by extension: .geojson/.json (GeoJSON) or .osm/.xml (OSM XML).
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options={}] - Passed to importGeoJSON / importOsmXml
+ * @returns {{graph: Object, nodes: Object}}
+ */
+function importGraphFile(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (['.geojson', '.json'].includes(extension)) return importGeoJSON(text, options);
+  if (['.osm', '.xml'].includes(extension)) return importOsmXml(text, options);
+  throw new InputValidationError(`Unsupported road network file '${filePath}': expected .geojson, .json, .osm or .xml`);
+}
+
+module.exports = {
+  importGeoJSON,
+  importOsmXml,
+  importGraphFile
+};
@@ -4,6 +4,9 @@
  * Ensures immutability by deep-copying inputs; no silent defaults for critical fields.
  */
 
+// Size of an order without a (truthy) size; the validator warns when it applies
+const DEFAULT_ORDER_SIZE = 10;
+
 /**
  * Deep clone for immutability (prevents original input mutation).
  * Uses JSON method for simplicity (assumes plain JSON-serializable data).
@@ -29,12 +32,15 @@ function loadDrivers(drivers) {
   return clonedDrivers.map((driver, index) => ({
     id: driver.id || `driver-${index + 1}`,
     name: driver.name || `Driver ${index + 1}`,
-    currentLocation: driver.currentLocation || 'depot',
+    // Route starts at the live position, else the driver's hub (startLocation); legacy fallback 'depot'
+    currentLocation: driver.currentLocation || driver.startLocation || 'depot',
     // capacity: NO default - strictly required and validated upstream
     availability: driver.availability !== undefined ? driver.availability : true,
     // New field: shiftEndTime (optional; pre-parse to Date once for perf in assignment loop)
     shiftEndTime: driver.shiftEndTime,
     parsedShiftEnd: driver.shiftEndTime ? new Date(driver.shiftEndTime) : null,
+    // Optional shiftStartTime: plans made ahead of the shift start the driver's timeline then
+    parsedShiftStart: driver.shiftStartTime !== undefined ? new Date(driver.shiftStartTime) : null,
     ...driver // spread after to preserve original values (including shiftEndTime)
   }));
 }
@@ -56,11 +62,17 @@ function loadOrders(orders) {
   return clonedOrders.map((order, index) => ({
     id: order.id || `order-${index + 1}`,
     // destination: NO default - strictly required and validated upstream
+    // Paired orders: loaded at pickupLocation (before destination) instead of the driver's start
+    pickupLocation: order.pickupLocation || null,
     priority: order.priority || 1,
-    size: order.size || 10, // e.g., package size (non-critical)
+    size: order.size || DEFAULT_ORDER_SIZE, // e.g., package size (non-critical); number or { weightKg, volumeL, parcels, ... }
     deadline: order.deadline || null,
     // New field: deadlineTime (optional, passed through; validated upstream if present)
     deadlineTime: order.deadlineTime,
+    // Time window bounds (optional; pre-parse to Date once for perf in assignment loop)
+    earliestTime: order.earliestTime,
+    parsedEarliest: order.earliestTime !== undefined ? new Date(order.earliestTime) : null,
+    parsedDeadline: order.deadlineTime !== undefined ? new Date(order.deadlineTime) : null,
     ...order // spread after to preserve original values (including deadlineTime)
   }));
 }
@@ -68,6 +80,7 @@ function loadOrders(orders) {
 /**
  * Load and prepare road network graph from JSON input.
  * Graph can be adjacency list: { node: { neighbor: distance, ... } }
+ * or with edge objects: { node: { neighbor: { distance, speedKmh?, travelMinutes?, profile? } } }
  * No mutation; deep clone for immutability. Structure validated upstream.
  * @param {Object} graph - Road network graph object (will be cloned)
  * @returns {Object} - Validated immutable graph copy
@@ -78,19 +91,42 @@ function loadRoadGraph(graph) {
   }
   
   // Deep clone to ensure immutability (prevents modifying original)
-  const clonedGraph = deepClone(graph);
-  
-  // Ensure depot exists if missing (non-critical convenience, but no mutation of original)
-  if (!clonedGraph.depot) {
-    clonedGraph.depot = {};
+  // No implicit 'depot' node: hubs are declared by drivers/orders and validated upstream
+  return deepClone(graph);
+}
+
+/**
+ * Load optional node coordinates ({ id: { lat, lon } } or { id: { x, y } }) used by A* search.
+ * Structure validated upstream.
+ * @param {Object} [nodes] - Node coordinates (will be cloned)
+ * @returns {Object} - Immutable copy ({} when absent)
+ */
+function loadNodes(nodes) {
+  if (nodes === undefined || nodes === null) {
+    return {};
   }
-  
-  return clonedGraph;
+  return deepClone(nodes);
+}
+
+/**
+ * Load optional time-of-day speed profiles ({ name: [{ from, to, multiplier }] }).
+ * Structure validated upstream.
+ * @param {Object} [speedProfiles] - Speed profiles (will be cloned)
+ * @returns {Object} - Immutable copy ({} when absent)
+ */
+function loadSpeedProfiles(speedProfiles) {
+  if (speedProfiles === undefined || speedProfiles === null) {
+    return {};
+  }
+  return deepClone(speedProfiles);
 }
 
 module.exports = {
+  DEFAULT_ORDER_SIZE,
   loadDrivers,
   loadOrders,
   loadRoadGraph,
+  loadNodes,
+  loadSpeedProfiles,
   deepClone // export for testing/reuse
 };
\ No newline at end of file
@@ -7,68 +7,320 @@
  */
 
 // Import utilities
-const { loadDrivers, loadOrders, loadRoadGraph, deepClone } = require('./data/input');
-const { assignDriversToOrders, calculateRouteAndETA, calculateShortestPath } = require('./utils/optimizer');
-const { validateInputs, InputValidationError } = require('./utils/validator');
+const { loadDrivers, loadOrders, loadRoadGraph, loadNodes, loadSpeedProfiles, deepClone } = require('./data/input');
+const { importGeoJSON, importOsmXml, importGraphFile } = require('./data/importers');
+const { exportGeoJSON, exportGPX, exportCsvManifest } = require('./data/exporters');
+const { PATH_ALGORITHMS, assignDriversToOrders, calculateRouteAndETA, calculateShortestPath } = require('./utils/optimizer');
+const {
+  ISSUE_CODES,
+  ISSUE_SEVERITIES,
+  validateInputs,
+  validateInitialPlan,
+  validateRoadNetwork,
+  InputValidationError
+} = require('./utils/validator');
+const { TIME_WINDOW_MODES, DEFAULT_TIME_WINDOW_MODE } = require('./utils/timeWindows');
+const { buildDriverTours } = require('./utils/tours');
+const { ASSIGNMENT_STRATEGIES, buildCostMatrix, runAssignmentStrategy } = require('./utils/strategies');
+const { RouteCache } = require('./utils/routeCache');
+const { DistanceMatrix, calculateShortestPathsFrom } = require('./utils/distanceMatrix');
+const { hasTravelTimeData } = require('./utils/travelTime');
+const { calculateUtilisation } = require('./utils/capacity');
+const { RETURN_TO_START } = require('./utils/depots');
+const { resolvePlanningStart } = require('./utils/clock');
+const { UNASSIGNED_REASONS, explainUnassigned } = require('./utils/unassigned');
+const { DISPATCH_EVENTS, DispatchSession } = require('./utils/session');
+const { RunControl } = require('./utils/runControl');
+const { diagnoseGraph } = require('./utils/graphDiagnostics');
+const { calculateAlternativePaths } = require('./utils/alternativePaths');
+const { validateOverlay, checkOverlayReferences, compileOverlay } = require('./utils/roadOverlay');
 
 /**
  * Main function to optimize delivery routes.
  * 
- * @param {Object} inputs - Input data containing drivers, orders, and graph
+ * @param {Object} inputs - Input data containing drivers, orders, graph and optional node coordinates / speed profiles
  * @param {Object} [config={}] - Optional config (e.g., { useCache: true } for route caching)
- * @param {boolean} [config.useCache=false] - Enable LRU-like cache for repeated (start,end) shortest paths
- * @returns {Object} - Optimized assignments with routes and ETAs
+ * @param {boolean} [config.useCache=false] - Enable LRU cache for repeated (start,end) shortest paths
+ * @param {Object} [config.cacheOptions] - { maxEntries, symmetric } for the cache created by useCache
+ * @param {RouteCache} [config.routeCache] - Existing cache to reuse across calls on the same graph (implies useCache)
+ * @param {string} [config.timeWindowMode='hard'] - 'hard' rejects late arrivals; 'soft' allows them with a penalty
+ * @param {number} [config.latePenaltyPerMinute=1] - Soft mode score penalty per minute late
+ * @param {string|Function} [config.strategy='greedy'] - 'greedy' | 'hungarian' | 'regret' | custom
+ *   function ({ drivers, orders, graph, buildCostMatrix, shortestPath }) => [{ driverId, orderId }]
+ * @param {boolean} [config.useDistanceMatrix=false] - Precompute one-to-many distances for all driver
+ *   locations and order destinations once (large fleets) instead of one search per pair; ignored by
+ *   overlay and travel-time runs, which search every pair
+ * @param {DistanceMatrix} [config.distanceMatrix] - Prebuilt matrix to reuse on the same graph (implies useDistanceMatrix;
+ *   a matrix built from a different graph is replaced for this run, with a STALE_DISTANCE_MATRIX warning)
+ * @param {string} [config.pathAlgorithm='dijkstra'] - 'dijkstra' | 'astar' (A* needs inputs.nodes coordinates)
+ * @param {number} [config.utcOffsetMinutes=0] - Local clock offset used to read speed profile windows
+ * @param {Date|number|string} [config.planningStartTime] - Planning start used by every ETA, estimatedArrival,
+ *   shift and deadline check (default: now); makes replays deterministic
+ * @param {Function} [config.clock] - Returns the current time (Date or epoch ms) when planningStartTime is not set
+ * @param {Array} [config.initialPlan] - [{ driverId, orderId, fixed? }] stops to keep, in stop order, before the
+ *   strategy assigns the remaining orders; fixed stops (already under way) are kept even when late
+ * @param {boolean} [config.explain=false] - Attach assignment.explanation: score breakdown of the chosen driver
+ *   and the other drivers ranked with the reason each lost or was excluded
+ * @param {AbortSignal} [config.signal] - Abort the run; the plan built so far is returned (summary.status 'aborted')
+ * @param {number} [config.timeLimitMs] - Wall-time budget; the plan built so far is returned (summary.status 'timeLimit')
+ * @param {Function|EventEmitter} [config.listener] - Receives { type: 'progress' | 'warning', ... } events
+ * @param {Object} [config.logger] - { debug?, info?, warn?, error? } (e.g. console); silent by default
+ * @param {boolean} [config.collectAllErrors=false] - Validate every input before throwing (error.issues lists all)
+ * @param {boolean} [config.strictValidation=false] - Also diagnose the graph (diagnoseGraph): stops missing from it
+ *   or unreachable by every available driver are errors, disconnected/one-way/asymmetric structure warnings
+ * @param {number} [config.alternativeRoutes=0] - Attach up to this many alternative paths to each assignment's leg
+ *   (assignment.alternativeRoutes; pickupAlternativeRoutes for the pickup leg of paired orders)
+ * @param {number} [config.maxRouteOverlap=1] - Largest share (0..1) of an alternative's distance shared with a better path
+ * @param {Object} [config.overlay] - Road overlay for this run: { closedEdges?, avoidNodes?, edgeMultipliers?,
+ *   uTurnPenalty?, turnPenalty?, turnAngleDegrees? } (see roadOverlay.js); the graph itself is left unchanged
+ * @returns {Object} - Optimized assignments with routes and ETAs, plus per-driver tours
  */
 function optimizeDelivery(inputs, config = {}) {
-  const { useCache = false } = config;
+  const {
+    useCache = false,
+    cacheOptions = {},
+    routeCache: sharedCache = null,
+    timeWindowMode = DEFAULT_TIME_WINDOW_MODE,
+    latePenaltyPerMinute,
+    strategy = 'greedy',
+    pathAlgorithm = 'dijkstra',
+    useDistanceMatrix = false,
+    distanceMatrix: sharedMatrix = null,
+    utcOffsetMinutes = 0,
+    planningStartTime,
+    clock,
+    explain = false,
+    initialPlan = null,
+    signal = null,
+    timeLimitMs,
+    listener = null,
+    logger = null,
+    collectAllErrors = false,
+    strictValidation = false,
+    alternativeRoutes = 0,
+    maxRouteOverlap = 1,
+    overlay = null
+  } = config;
+  if (!TIME_WINDOW_MODES.includes(timeWindowMode)) {
+    throw new InputValidationError(`config.timeWindowMode must be one of: ${TIME_WINDOW_MODES.join(', ')}`);
+  }
+  if (typeof strategy !== 'function' && !Object.prototype.hasOwnProperty.call(ASSIGNMENT_STRATEGIES, strategy)) {
+    throw new InputValidationError(
+      `config.strategy must be a function or one of: ${Object.keys(ASSIGNMENT_STRATEGIES).join(', ')}`
+    );
+  }
+  if (!PATH_ALGORITHMS.includes(pathAlgorithm)) {
+    throw new InputValidationError(`config.pathAlgorithm must be one of: ${PATH_ALGORITHMS.join(', ')}`);
+  }
+  if (pathAlgorithm === 'astar' && (!inputs || !inputs.nodes)) {
+    throw new InputValidationError("config.pathAlgorithm 'astar' requires inputs.nodes coordinates");
+  }
+  if (typeof explain !== 'boolean') {
+    throw new InputValidationError('config.explain must be a boolean');
+  }
+  if (typeof collectAllErrors !== 'boolean') {
+    throw new InputValidationError('config.collectAllErrors must be a boolean');
+  }
+  if (typeof strictValidation !== 'boolean') {
+    throw new InputValidationError('config.strictValidation must be a boolean');
+  }
+  if (!Number.isInteger(alternativeRoutes) || alternativeRoutes < 0) {
+    throw new InputValidationError('config.alternativeRoutes must be a non-negative integer');
+  }
+  if (typeof maxRouteOverlap !== 'number' || !(maxRouteOverlap >= 0 && maxRouteOverlap <= 1)) {
+    throw new InputValidationError('config.maxRouteOverlap must be a number between 0 and 1');
+  }
+  if (overlay !== null) {
+    validateOverlay(overlay, 'config.overlay');
+    if (overlay.turnPenalty > 0 && (!inputs || !inputs.nodes)) {
+      throw new InputValidationError('config.overlay.turnPenalty requires inputs.nodes coordinates');
+    }
+  }
+  if (signal !== null && (typeof signal !== 'object' || typeof signal.aborted !== 'boolean')) {
+    throw new InputValidationError('config.signal must be an AbortSignal');
+  }
+  if (timeLimitMs !== undefined && (typeof timeLimitMs !== 'number' || isNaN(timeLimitMs) || timeLimitMs < 0)) {
+    throw new InputValidationError('config.timeLimitMs must be a non-negative number');
+  }
+  if (listener !== null && typeof listener !== 'function' && !(listener && typeof listener.emit === 'function')) {
+    throw new InputValidationError('config.listener must be a function or an EventEmitter');
+  }
+  if (logger !== null && typeof logger !== 'object') {
+    throw new InputValidationError('config.logger must be an object with debug/info/warn/error methods');
+  }
+  if (clock !== undefined && typeof clock !== 'function') {
+    throw new InputValidationError('config.clock must be a function returning the current time');
+  }
+  // One planning instant for the whole run (ETAs, estimatedArrival, shift and deadline checks)
+  const planningStart = resolvePlanningStart({ planningStartTime, clock });
+  if (isNaN(planningStart)) {
+    throw new InputValidationError('config.planningStartTime (or config.clock()) must be a valid date string/timestamp');
+  }
+  if (sharedCache !== null && !(sharedCache instanceof RouteCache)) {
+    throw new InputValidationError('config.routeCache must be a RouteCache instance');
+  }
+  if (sharedMatrix !== null && !(sharedMatrix instanceof DistanceMatrix)) {
+    throw new InputValidationError('config.distanceMatrix must be a DistanceMatrix instance');
+  }
+
+  // Cancellation, time budget, progress/warning events and logging for this run
+  const control = new RunControl({ signal, timeLimitMs, listener, logger });
 
   // Ensure immutability: deep clone original inputs to prevent any mutation
   const immutableInputs = deepClone(inputs);
 
-  // Validate inputs (now throws consistently for errors; no return object)
+  // Validate inputs (throws InputValidationError on errors; warnings become warning events)
+  let inputWarnings;
   try {
-    validateInputs(immutableInputs);
+    inputWarnings = validateInputs(immutableInputs, { collectAll: collectAllErrors, strict: strictValidation });
   } catch (error) {
     if (error instanceof InputValidationError) {
       throw error; // rethrow for consistent handling
     }
     throw new Error(`Validation failed: ${error.message}`);
   }
+  inputWarnings.forEach(issue => control.warn(issue.code, issue.message, { path: issue.path }));
+  if (overlay !== null) checkOverlayReferences(overlay, immutableInputs.graph, 'config.overlay');
 
-  const { drivers, orders, graph } = immutableInputs;
+  const { drivers, orders, graph, nodes, speedProfiles } = immutableInputs;
 
   // Load and prepare data (loaders also ensure cloned/immutable outputs)
   const preparedDrivers = loadDrivers(drivers);
   const preparedOrders = loadOrders(orders);
   const roadGraph = loadRoadGraph(graph);
+  if (initialPlan !== null) validateInitialPlan(initialPlan, preparedDrivers, preparedOrders);
+  const searchOptions = { algorithm: pathAlgorithm, nodes: loadNodes(nodes) };
+  // Edge speeds/travel times or speed profiles switch routing to time-dependent (fastest) search
+  const profiles = loadSpeedProfiles(speedProfiles);
+  if (hasTravelTimeData(roadGraph, profiles)) {
+    Object.assign(searchOptions, { objective: 'time', speedProfiles: profiles, utcOffsetMinutes });
+  }
+  // Closures, avoided nodes, multipliers and turn penalties apply to every search of the run
+  // (a copy, so the run sees one overlay even if the caller edits theirs meanwhile)
+  if (compileOverlay(overlay)) searchOptions.overlay = deepClone(overlay);
+  // Optional precomputed distances (one search per location instead of per driver x order pair);
+  // plain graph distances only, so overlay and travel-time runs search every pair
+  if ((sharedMatrix || useDistanceMatrix) && !searchOptions.overlay && searchOptions.objective !== 'time') {
+    // Like RouteCache.useGraph: distances from another graph (e.g. changed edge weights) are never reused
+    const reusable = sharedMatrix && sharedMatrix.matches(roadGraph);
+    if (sharedMatrix && !reusable) {
+      control.warn('STALE_DISTANCE_MATRIX', 'config.distanceMatrix was built from a different graph; rebuilding it for this run');
+    }
+    searchOptions.distanceMatrix = reusable ? sharedMatrix : DistanceMatrix.forDelivery(preparedDrivers, preparedOrders, roadGraph);
+  }
 
-  // Optional shared route cache (key: 'start:end', value: {distance, path})
-  const routeCache = useCache ? new Map() : null;
+  // Optional route cache (direction-aware, LRU-bounded); a shared instance persists across calls
+  const routeCache = sharedCache || (useCache ? new RouteCache(cacheOptions) : null);
+  if (routeCache) routeCache.useGraph(roadGraph);
+  const cacheStatsBefore = routeCache ? routeCache.getStats() : null;
 
-  // Perform basic assignment and route calculation (pass cache if enabled)
-  const assignments = assignDriversToOrders(preparedDrivers, preparedOrders, roadGraph, routeCache);
+  // Perform assignment with the configured strategy (pass cache if enabled)
+  const assignmentOptions = {
+    timeWindowMode,
+    latePenaltyPerMinute,
+    searchOptions,
+    planningStartTime: planningStart,
+    explain,
+    initialPlan,
+    control
+  };
+  const assignments = runAssignmentStrategy(strategy, preparedDrivers, preparedOrders, roadGraph, routeCache, assignmentOptions);
   
-  // Calculate routes and ETAs for assignments (pass cache)
-  const optimizedAssignments = assignments.map(assignment => {
-    const routeInfo = calculateRouteAndETA(assignment.driver, assignment.order, roadGraph, routeCache);
-    return {
+  // Explain every order left over (reason codes + drivers closest to being feasible)
+  const unassigned = explainUnassigned(preparedDrivers, preparedOrders, assignments, roadGraph, routeCache, assignmentOptions);
+
+  // Sequence each driver's stops into a tour (start -> stop 1 -> stop 2 ...) with cumulative ETAs
+  const tours = buildDriverTours(assignments, roadGraph, routeCache, {
+    searchOptions,
+    planningStartTime: planningStart,
+    alternativeRoutes: alternativeRoutes > 0 ? { k: alternativeRoutes, maxOverlap: maxRouteOverlap } : null
+  });
+  control.progress('tours', tours.length, tours.length);
+  tours.forEach(tour => tour.stops.filter(stop => stop.isUnreachable).forEach(stop => {
+    control.warn('UNREACHABLE_STOP', `No route to ${stop.location} for driver ${tour.driverId}`, {
+      driverId: tour.driverId,
+      orderId: stop.orderId,
+      location: stop.location
+    });
+  }));
+  if (control.stopReason) {
+    control.warn('PLANNING_STOPPED', `Planning stopped (${control.stopReason}) with ${unassigned.length} orders unassigned`, {
+      reason: control.stopReason,
+      unassignedOrders: unassigned.length
+    });
+  }
+  const stopsByAssignment = new Map();
+  const pickupsByAssignment = new Map();
+  tours.forEach(tour => tour.stops.forEach(stop => {
+    if (stop.stopType === 'return') return; // return-to-depot leg belongs to the tour only
+    (stop.stopType === 'pickup' ? pickupsByAssignment : stopsByAssignment).set(stop.assignmentIndex, stop);
+  }));
+
+  // Routes and ETAs for assignments come from the tour leg (previous stop -> destination,
+  // via the pickup stop for paired orders)
+  const optimizedAssignments = assignments.map((assignment, index) => {
+    const stop = stopsByAssignment.get(index);
+    const pickup = pickupsByAssignment.get(index);
+    const optimized = {
       ...assignment,
-      ...routeInfo
+      route: pickup ? joinPaths(pickup.legPath, stop.legPath) : stop.legPath,
+      distance: stop.legDistance + (pickup ? pickup.legDistance : 0),
+      cumulativeDistance: stop.cumulativeDistance,
+      eta: stop.eta,
+      isUnreachable: stop.isUnreachable || Boolean(pickup && pickup.isUnreachable),
+      estimatedArrival: stop.estimatedArrival,
+      serviceStartTime: stop.serviceStartTime,
+      departureTime: stop.departureTime,
+      waitMinutes: stop.waitMinutes,
+      lateByMinutes: stop.lateByMinutes,
+      onTime: stop.onTime,
+      stopIndex: stop.sequence - 1,
+      loadAfter: stop.loadAfter
     };
+    if (pickup) {
+      Object.assign(optimized, { pickupEta: pickup.eta, pickupStopIndex: pickup.sequence - 1 });
+    }
+    // Other ways to drive the leg into this stop (and into the pickup), best first
+    if (alternativeRoutes > 0) {
+      optimized.alternativeRoutes = stop.alternativeRoutes || [];
+      if (pickup) optimized.pickupAlternativeRoutes = pickup.alternativeRoutes || [];
+    }
+    return optimized;
   });
+  control.progress('complete', optimizedAssignments.length, orders.length);
 
   return {
     assignments: optimizedAssignments,
+    tours,
+    unassigned,
+    // Per-driver peak on-board load and utilisation for each capacity dimension
+    utilisation: calculateUtilisation(preparedDrivers, tours),
     summary: {
+      strategy: typeof strategy === 'function' ? (strategy.name || 'custom') : strategy,
+      status: control.stopReason || 'complete', // 'aborted' / 'timeLimit': best plan found before stopping
+      routingObjective: searchOptions.objective || 'distance',
+      planningStartTime: new Date(planningStart).toISOString(),
       totalDrivers: drivers.length,
       totalOrders: orders.length,
       assignedOrders: optimizedAssignments.length,
+      unassignedOrders: unassigned.length,
       averageETA: calculateAverageETA(optimizedAssignments),
-      cacheHits: useCache ? (routeCache ? routeCache.size : 0) : 0 // simple metric
+      onTimeRate: calculateOnTimeRate(optimizedAssignments),
+      totalScore: optimizedAssignments.reduce((sum, a) => sum + a.assignmentScore, 0),
+      totalDistance: tours.reduce((sum, tour) => sum + tour.totalDistance, 0),
+      ...calculateCacheSummary(routeCache, cacheStatsBefore)
     }
   };
 }
 
+/**
+ * Helper to join consecutive leg paths (shared joint node kept once; unreachable legs are empty)
+ */
+function joinPaths(first, second) {
+  if (first.length === 0 || second.length === 0) return [...first, ...second];
+  return [...first, ...second.slice(1)];
+}
+
 /**
  * Helper to calculate average ETA
  */
@@ -78,21 +330,72 @@ function calculateAverageETA(assignments) {
   return Math.round(totalETA / assignments.length);
 }
 
+/**
+ * Helper to calculate the share of assigned orders delivered within their time window (0..1)
+ */
+function calculateOnTimeRate(assignments) {
+  if (assignments.length === 0) return 0;
+  const onTime = assignments.filter(a => a.onTime).length;
+  return Math.round((onTime / assignments.length) * 100) / 100;
+}
+
+/**
+ * Helper to report route cache activity for this run (counters as deltas, size as current)
+ */
+function calculateCacheSummary(routeCache, statsBefore) {
+  if (!routeCache) {
+    return { cacheHits: 0, cacheMisses: 0, cacheEvictions: 0, cacheSize: 0 };
+  }
+  const stats = routeCache.getStats();
+  return {
+    cacheHits: stats.hits - statsBefore.hits,
+    cacheMisses: stats.misses - statsBefore.misses,
+    cacheEvictions: stats.evictions - statsBefore.evictions,
+    cacheSize: stats.size
+  };
+}
+
 // Export the main function and utilities
 module.exports = {
   optimizeDelivery,
   // Re-export utilities for advanced usage
   assignDriversToOrders,
   calculateRouteAndETA,
+  buildDriverTours,
+  buildCostMatrix,
   validateInputs,
+  validateRoadNetwork,
   InputValidationError,
+  ISSUE_CODES,
+  ISSUE_SEVERITIES,
+  inputSchema: require('../schema/inputs.schema.json'),
+  diagnoseGraph,
+  RETURN_TO_START,
+  UNASSIGNED_REASONS,
+  // Live dispatch: repair a plan as events arrive
+  DispatchSession,
+  DISPATCH_EVENTS,
   loadDrivers,
   loadOrders,
   loadRoadGraph,
+  loadNodes,
   deepClone,
-  // For advanced use: full path calc + MinHeap utility
+  // Road graphs from real street data ({ graph, nodes })
+  importGeoJSON,
+  importOsmXml,
+  importGraphFile,
+  // Plan exports for maps and driver apps
+  exportGeoJSON,
+  exportGPX,
+  exportCsvManifest,
+  // For advanced use: full path calc + route cache + MinHeap utility + Hungarian solver (custom strategies)
   calculateShortestPath,
-  MinHeap: require('./utils/minHeap')
+  calculateAlternativePaths,
+  RouteCache,
+  DistanceMatrix,
+  calculateShortestPathsFrom,
+  MinHeap: require('./utils/minHeap'),
+  solveAssignment: require('./utils/hungarian').solveAssignment
 };
 
 // For direct execution (small working demo for phase 1 greedy)
@@ -128,6 +431,12 @@ if (require.main === module) {
       route: a.route,  // full path now
       eta: a.eta
     })), null, 2));
+    console.log('Tours:', JSON.stringify(result.tours.map(t => ({
+      driver: t.driverId,
+      stops: t.stops.map(s => `${s.location} (+${s.eta}min)`),
+      path: t.path,
+      totalDistance: t.totalDistance
+    })), null, 2));
     console.log('Summary (cache hits):', result.summary);
     console.log('Demo complete! (See tests/ for more cases)');
   } catch (error) {
@@ -0,0 +1,296 @@
+/**
+ * Optional HTTP service (Node http, JSON in and out) for callers outside Node.
+ *   POST /optimize  { drivers, orders, graph, nodes?, speedProfiles?, config? } -> optimizeDelivery result
+ *   POST /route     { graph, start, end, nodes?, speedProfiles?, algorithm?, departureTime?, utcOffsetMinutes? }
+ *                   -> { reachable, distance, path, travelMinutes? }
+ *   POST /validate  optimizeDelivery inputs (config.strictValidation adds graph diagnostics) -> { valid: true, issues }
+ *                   (issues: warnings)
+ *   GET  /health    -> { status: 'ok', version, uptimeSeconds }
+ * Errors are { error: { code, message, issues? } } (InputValidationError -> 400 INVALID_INPUT, with every
+ * input problem listed in issues: { code, path, severity, message }).
+ * Request bodies are capped at maxBodyBytes, and every optimisation runs with a time budget
+ * (config.timeLimitMs, capped at the server's timeLimitMs) and returns the best plan found in it.
+ */
+
+const http = require('http');
+const { version } = require('../package.json');
+const { optimizeDelivery, calculateShortestPath, validateInputs, InputValidationError } = require('./index');
+const { validateRoadNetwork } = require('./utils/validator');
+const { PATH_ALGORITHMS } = require('./utils/optimizer');
+const { loadSpeedProfiles } = require('./data/input');
+const { hasTravelTimeData } = require('./utils/travelTime');
+const { toLogger } = require('./utils/runControl');
+const { validateOverlay, checkOverlayReferences } = require('./utils/roadOverlay');
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_TIME_LIMIT_MS = 30 * 1000;
+
+const ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_URL: 'INVALID_URL',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Config keys that take functions or live objects, which a JSON body cannot carry
+const SERVER_ONLY_CONFIG = ['clock', 'listener', 'logger', 'signal', 'routeCache', 'distanceMatrix'];
+
+/**
+ * Error with an HTTP status and machine-readable code (becomes the error response).
+ */
+class HttpError extends Error {
+  constructor(status, code, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Helper: Path of a request target; a target URL cannot parse (e.g. '//[') is a 400, not a crash.
+ * @param {string} url - request.url
+ * @returns {string}
+ */
+function requestPath(url) {
+  try {
+    return new URL(url, 'http://localhost').pathname;
+  } catch (error) {
+    throw new HttpError(400, ERROR_CODES.INVALID_URL, 'Request target is not a valid URL');
+  }
+}
+
+/**
+ * Helper: Read and parse a JSON object body, enforcing the size limit while streaming.
+ * The content type is not checked, so plain `curl -d @inputs.json` works.
+ * @param {http.IncomingMessage} request
+ * @param {number} maxBodyBytes
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(request, maxBodyBytes) {
+  const tooLarge = () => new HttpError(413, ERROR_CODES.PAYLOAD_TOO_LARGE,
+    `Request body exceeds ${maxBodyBytes} bytes`, { Connection: 'close' });
+  if (Number(request.headers['content-length']) > maxBodyBytes) {
+    request.resume();
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    request.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        failed = true; // keep draining so the 413 can still be sent
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('error', error => {
+      failed = true;
+      reject(error);
+    });
+    request.on('end', () => {
+      if (failed) return;
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        reject(new HttpError(400, ERROR_CODES.INVALID_JSON, `Request body is not valid JSON: ${error.message}`));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, ERROR_CODES.INVALID_JSON, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+  });
+}
+
+/**
+ * Helper: optimizeDelivery config from a request, with the time budget applied.
+ * @param {*} config - Body config (optional object)
+ * @param {number|null} timeLimitMs - Server budget (null = none)
+ * @returns {Object}
+ */
+function toRequestConfig(config, timeLimitMs) {
+  if (config === undefined) config = {};
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new InputValidationError('config must be an object');
+  }
+  const serverOnly = SERVER_ONLY_CONFIG.filter(key => config[key] !== undefined);
+  if (serverOnly.length > 0) {
+    throw new InputValidationError(`config.${serverOnly[0]} cannot be set over HTTP`);
+  }
+  // Checked before the server cap replaces it, as optimizeDelivery would
+  const requested = config.timeLimitMs === undefined ? Infinity : config.timeLimitMs;
+  if (typeof requested !== 'number' || !(requested >= 0)) {
+    throw new InputValidationError('config.timeLimitMs must be a non-negative number');
+  }
+  // Report every input problem in one response unless the caller opts out
+  const requestConfig = { collectAllErrors: true, ...config };
+  if (timeLimitMs === null) return requestConfig;
+  return { ...requestConfig, timeLimitMs: Math.min(requested, timeLimitMs) };
+}
+
+/**
+ * Helper: Shortest-path query ({ graph, start, end, ... }); time-dependent when the graph has
+ * travel time data, like optimizeDelivery. An optional overlay (closures, avoided nodes,
+ * multipliers, turn penalties) applies to this query only.
+ */
+function routeQuery(body) {
+  const { graph, nodes, speedProfiles, start, end, algorithm = 'dijkstra', departureTime, utcOffsetMinutes = 0, overlay = null } = body;
+  validateRoadNetwork({ graph, nodes, speedProfiles }, { collectAll: true });
+  const graphNodes = new Set(Object.keys(graph));
+  Object.values(graph).forEach(connections => Object.keys(connections).forEach(node => graphNodes.add(node)));
+  [['start', start], ['end', end]].forEach(([label, node]) => {
+    if (typeof node !== 'string' || !graphNodes.has(node)) {
+      throw new InputValidationError(`${label} must name a node in the graph`);
+    }
+  });
+  if (!PATH_ALGORITHMS.includes(algorithm)) {
+    throw new InputValidationError(`algorithm must be one of: ${PATH_ALGORITHMS.join(', ')}`);
+  }
+  if (algorithm === 'astar' && nodes === undefined) {
+    throw new InputValidationError("algorithm 'astar' requires nodes coordinates");
+  }
+  const departure = departureTime === undefined ? new Date() : new Date(departureTime);
+  if (isNaN(departure.getTime())) {
+    throw new InputValidationError('departureTime must be a valid date string or timestamp');
+  }
+  if (typeof utcOffsetMinutes !== 'number' || !Number.isFinite(utcOffsetMinutes)) {
+    throw new InputValidationError('utcOffsetMinutes must be a finite number');
+  }
+  if (overlay !== null) {
+    validateOverlay(overlay);
+    checkOverlayReferences(overlay, graph);
+    if (overlay.turnPenalty > 0 && nodes === undefined) {
+      throw new InputValidationError('overlay.turnPenalty requires nodes coordinates');
+    }
+  }
+
+  const options = { algorithm, nodes, overlay };
+  const profiles = loadSpeedProfiles(speedProfiles);
+  if (hasTravelTimeData(graph, profiles)) {
+    Object.assign(options, { objective: 'time', departureTime: departure, speedProfiles: profiles, utcOffsetMinutes });
+  }
+  const result = calculateShortestPath(graph, start, end, null, options);
+  return { reachable: result.distance !== Infinity, ...result };
+}
+
+// Endpoints: path -> method -> handler(body, settings)
+const ROUTES = {
+  '/optimize': {
+    POST: (body, settings) => {
+      const { config, ...inputs } = body;
+      return optimizeDelivery(inputs, toRequestConfig(config, settings.timeLimitMs));
+    }
+  },
+  '/route': {
+    POST: body => routeQuery(body)
+  },
+  '/validate': {
+    POST: body => {
+      const { config, ...inputs } = body; // same body as /optimize; other config is checked when optimising
+      const strict = Boolean(config) && typeof config === 'object' && config.strictValidation === true;
+      return { valid: true, issues: validateInputs(inputs, { collectAll: true, strict }) };
+    }
+  },
+  '/health': {
+    GET: (body, settings) => ({
+      status: 'ok',
+      version,
+      uptimeSeconds: Math.round((Date.now() - settings.startedAt) / 1000)
+    })
+  }
+};
+
+/**
+ * Helper: Write a JSON response (Infinity/NaN become null, Dates ISO strings).
+ */
+function sendJson(response, status, payload, headers = {}) {
+  const text = JSON.stringify(payload);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers
+  });
+  response.end(text);
+}
+
+/**
+ * Create the request listener (for http.createServer or an existing server/framework).
+ * @param {Object} [options={}]
+ * @param {number} [options.maxBodyBytes=1048576] - Largest accepted request body (413 above)
+ * @param {number|null} [options.timeLimitMs=30000] - Time budget per optimisation (null = unlimited)
+ * @param {Object} [options.logger] - { info?, error? } for request and failure logs (silent by default)
+ * @returns {Function} - (request, response) => Promise<void>
+ */
+function createRequestHandler({ maxBodyBytes = DEFAULT_MAX_BODY_BYTES, timeLimitMs = DEFAULT_TIME_LIMIT_MS, logger = null } = {}) {
+  if (!Number.isInteger(maxBodyBytes) || maxBodyBytes <= 0) {
+    throw new InputValidationError('maxBodyBytes must be a positive integer');
+  }
+  if (timeLimitMs !== null && (typeof timeLimitMs !== 'number' || !(timeLimitMs >= 0))) {
+    throw new InputValidationError('timeLimitMs must be a non-negative number or null');
+  }
+  const log = toLogger(logger);
+  const settings = { timeLimitMs, startedAt: Date.now() };
+
+  return async (request, response) => {
+    let pathname = request.url; // raw target until it parses (logs)
+    let status = 200;
+    try {
+      pathname = requestPath(request.url);
+      if (!Object.prototype.hasOwnProperty.call(ROUTES, pathname)) {
+        throw new HttpError(404, ERROR_CODES.NOT_FOUND, `No endpoint at ${pathname}`);
+      }
+      const methods = ROUTES[pathname];
+      const handler = methods[request.method];
+      if (!handler) {
+        throw new HttpError(405, ERROR_CODES.METHOD_NOT_ALLOWED, `${pathname} only accepts ${Object.keys(methods).join(', ')}`,
+          { Allow: Object.keys(methods).join(', ') });
+      }
+      const body = request.method === 'POST' ? await readJsonBody(request, maxBodyBytes) : null;
+      sendJson(response, status, handler(body, settings));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        status = error.status;
+        sendJson(response, status, { error: { code: error.code, message: error.message } }, error.headers);
+      } else if (error instanceof InputValidationError) {
+        status = 400;
+        const detail = error.issues.length > 0 ? { issues: error.issues } : {};
+        sendJson(response, status, { error: { code: ERROR_CODES.INVALID_INPUT, message: error.message, ...detail } });
+      } else {
+        status = 500;
+        log.error(`${request.method} ${pathname} failed: ${error.stack || error.message}`);
+        sendJson(response, status, { error: { code: ERROR_CODES.INTERNAL_ERROR, message: 'Internal server error' } });
+      }
+    }
+    log.info(`${request.method} ${pathname} ${status}`);
+  };
+}
+
+/**
+ * Create an HTTP server for the engine (call .listen(port) to start it).
+ * @param {Object} [options={}] - See createRequestHandler
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+  return http.createServer(createRequestHandler(options));
+}
+
+module.exports = {
+  ERROR_CODES,
+  DEFAULT_MAX_BODY_BYTES,
+  DEFAULT_TIME_LIMIT_MS,
+  createRequestHandler,
+  createServer
+};
@@ -0,0 +1,152 @@
+/**
+ * Alternative routes: k shortest loop-free paths between two nodes (Yen's algorithm).
+ * The best path comes from the same search as calculateShortestPath. Every further path
+ * branches off an earlier one at a spur node: the root up to the spur is kept, the root's
+ * other nodes and the edges earlier paths took out of the spur are removed, and the
+ * cheapest spur completion becomes a candidate (candidates wait in a MinHeap by cost).
+ * Paths are ranked by the search objective: distance, or travel minutes for time-dependent
+ * searches (a spur search departs when the root path reaches the spur node). Road overlays apply
+ * as in calculateShortestPath; with turn penalties a path may pass a node twice when that is
+ * cheaper than a penalised turn.
+ * maxOverlap skips candidates that share too much of their distance with a better path, so
+ * alternatives differ by more than a side street; skipped paths still seed later spurs.
+ */
+
+const MinHeap = require('./minHeap');
+const { findShortestPath, resolveSearch } = require('./optimizer');
+const { getEdgeDistance } = require('./travelTime');
+const { InputValidationError } = require('./validator');
+
+// Candidate paths Yen's algorithm may enumerate per requested path before giving up (maxOverlap rejections)
+const DEFAULT_PATHS_PER_RESULT = 10;
+
+/**
+ * Up to k loop-free paths from start to end, best first.
+ * @param {Object} graph - Adjacency list
+ * @param {string} start - Start node
+ * @param {string} end - End node
+ * @param {number} [k=3] - Number of paths wanted (the shortest path included)
+ * @param {Object} [options={}] - calculateShortestPath search options (algorithm, nodes, objective, departureTime,
+ *   speedProfiles, utcOffsetMinutes, vehicle, overlay) plus:
+ * @param {number} [options.maxOverlap=1] - Largest share (0..1) of a path's distance it may have in common with
+ *   any better path; 1 = no limit
+ * @param {number} [options.maxPaths=10*k] - Stop after enumerating this many paths (accepted or skipped)
+ * @returns {Array<Object>} - [{ distance, path, overlap, travelMinutes? }] ranked by cost (overlap: largest
+ *   shared share with a better path, 0 for the first); empty if end is unreachable
+ */
+function calculateAlternativePaths(graph, start, end, k = 3, options = {}) {
+  const { maxOverlap = 1, maxPaths = k * DEFAULT_PATHS_PER_RESULT } = options;
+  if (!Number.isInteger(k) || k < 1) {
+    throw new InputValidationError('k must be a positive integer');
+  }
+  if (typeof maxOverlap !== 'number' || !(maxOverlap >= 0 && maxOverlap <= 1)) {
+    throw new InputValidationError('maxOverlap must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(maxPaths) || maxPaths < k) {
+    throw new InputValidationError('maxPaths must be an integer of at least k');
+  }
+
+  const { timeDependent, hooks } = resolveSearch(options, end);
+  const { edgeCost, edgeFilter } = hooks;
+  // Cheapest path from a spur node (entered from previous) departing elapsed minutes/km into the route
+  const search = (from, previous, elapsed, excluded) => findShortestPath(graph, from, end, {
+    ...hooks,
+    previous,
+    edgeCost: (edge, label, u, v) => edgeCost(edge, elapsed + label, u, v),
+    edgeFilter: (edge, u, v) => (!edgeFilter || edgeFilter(edge, u, v)) && !excluded(u, v)
+  });
+
+  const best = search(start, hooks.previous, 0, () => false);
+  if (best.distance === Infinity) return [];
+  const found = [measurePath(graph, best.path, hooks)]; // Yen's list: every path in cost order
+  const accepted = [];
+  acceptPath(accepted, found[0], maxOverlap);
+
+  const candidates = new MinHeap();
+  const candidatePaths = new Map();
+  const seen = new Set([pathKey(best.path)]);
+  while (accepted.length < k && found.length < maxPaths) {
+    const last = found[found.length - 1];
+    for (let spurIndex = 0; spurIndex < last.path.length - 1; spurIndex++) {
+      const spurNode = last.path[spurIndex];
+      const root = last.path.slice(0, spurIndex + 1);
+      const rootNodes = new Set(root.slice(0, -1));
+      // Next hops already taken from this spur by paths sharing the root
+      const takenHops = new Set(found
+        .filter(other => other.path.length > spurIndex + 1 && root.every((node, i) => other.path[i] === node))
+        .map(other => other.path[spurIndex + 1]));
+      const spur = search(spurNode, spurIndex > 0 ? root[spurIndex - 1] : hooks.previous, last.costs[spurIndex],
+        (u, v) => rootNodes.has(v) || (u === spurNode && takenHops.has(v)));
+      if (spur.distance === Infinity) continue;
+
+      const path = [...root.slice(0, -1), ...spur.path];
+      const key = pathKey(path);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const candidate = measurePath(graph, path, hooks);
+      candidatePaths.set(key, candidate);
+      candidates.insert(key, candidate.cost);
+    }
+    if (candidates.isEmpty()) break;
+    const next = candidatePaths.get(candidates.extractMin().node);
+    found.push(next);
+    acceptPath(accepted, next, maxOverlap);
+  }
+
+  return accepted.map(({ distance, path, cost, overlap }) => (timeDependent
+    ? { distance, path, overlap, travelMinutes: cost }
+    : { distance, path, overlap }));
+}
+
+/**
+ * Helper: Distance, cost (search objective incl. overlay multipliers and turn penalties) and
+ * cost at each node along a path (previous: node the path's start was reached from).
+ * @returns {{path: string[], distance: number, cost: number, costs: number[], edges: Map}} - edges: edge key -> distance
+ */
+function measurePath(graph, path, { edgeCost, turnCost, previous }) {
+  const costs = [0];
+  const edges = new Map();
+  let distance = 0;
+  for (let i = 1; i < path.length; i++) {
+    const edge = graph[path[i - 1]][path[i]];
+    const edgeDistance = getEdgeDistance(edge);
+    distance += edgeDistance;
+    edges.set(pathKey([path[i - 1], path[i]]), edgeDistance);
+    const from = i > 1 ? path[i - 2] : previous;
+    const turn = turnCost && from !== null ? turnCost(from, path[i - 1], path[i]) : 0;
+    costs.push(costs[i - 1] + turn + edgeCost(edge, costs[i - 1] + turn, path[i - 1], path[i]));
+  }
+  return { path, distance, cost: costs[costs.length - 1], costs, edges };
+}
+
+/**
+ * Helper: Keep a path unless it overlaps a better accepted path by more than maxOverlap.
+ */
+function acceptPath(accepted, candidate, maxOverlap) {
+  const overlap = accepted.reduce((largest, other) => Math.max(largest, sharedShare(candidate, other)), 0);
+  if (accepted.length > 0 && overlap > maxOverlap) return;
+  accepted.push({ ...candidate, overlap });
+}
+
+/**
+ * Helper: Share (0..1) of a path's distance on edges the other path uses in the same direction.
+ */
+function sharedShare(path, other) {
+  if (path.distance === 0) return 0;
+  let shared = 0;
+  path.edges.forEach((distance, key) => {
+    if (other.edges.has(key)) shared += distance;
+  });
+  return shared / path.distance;
+}
+
+/**
+ * Helper: Unambiguous key for a node sequence (node ids may contain any character).
+ */
+function pathKey(path) {
+  return JSON.stringify(path);
+}
+
+module.exports = {
+  calculateAlternativePaths
+};
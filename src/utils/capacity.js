@@ -0,0 +1,132 @@
+/**
+ * Capacity dimensions for drivers and orders.
+ * driver.capacity and order.size are either a number (a single 'units' dimension, legacy)
+ * or an object keyed by dimension, e.g. { weightKg: 1200, volumeL: 8000, parcels: 120 }.
+ * A driver only constrains the dimensions its capacity declares; loads keep the shape
+ * of the driver's capacity (number stays number) so existing callers are unaffected.
+ */
+
+// Dimension name used for plain numeric capacity/size values
+const DEFAULT_DIMENSION = 'units';
+
+/**
+ * Helper: Normalise a capacity or size value to { dimension: amount }.
+ * @param {number|Object|undefined} value - Numeric or per-dimension amount
+ * @returns {Object} - Per-dimension amounts ({} when absent)
+ */
+function toDimensions(value) {
+  if (typeof value === 'number') return { [DEFAULT_DIMENSION]: value };
+  if (value && typeof value === 'object') return { ...value };
+  return {};
+}
+
+/**
+ * Helper: Check whether an order fits on top of a driver's current load in every
+ * dimension the driver's capacity declares.
+ * @param {number|Object} capacity - Driver capacity
+ * @param {number|Object|undefined} load - Load already assigned
+ * @param {number|Object|undefined} size - Order size
+ * @returns {boolean}
+ */
+function fitsCapacity(capacity, load, size) {
+  const limits = toDimensions(capacity);
+  const current = toDimensions(load);
+  const extra = toDimensions(size);
+  return Object.keys(limits).every(dim => (current[dim] || 0) + (extra[dim] || 0) <= limits[dim]);
+}
+
+/**
+ * Helper: Add an order size to a load, keeping the shape of the driver's capacity.
+ * @param {number|Object} capacity - Driver capacity (decides the result shape)
+ * @param {number|Object|undefined} load - Load already assigned
+ * @param {number|Object|undefined} size - Order size
+ * @returns {number|Object} - New load
+ */
+function addLoad(capacity, load, size) {
+  const current = toDimensions(load);
+  const extra = toDimensions(size);
+  const total = {};
+  Object.keys(toDimensions(capacity)).forEach(dim => {
+    total[dim] = (current[dim] || 0) + (extra[dim] || 0);
+  });
+  return typeof capacity === 'number' ? total[DEFAULT_DIMENSION] : total;
+}
+
+/**
+ * Helper: Remove an order size from a load (drop-off), keeping the shape of the driver's capacity.
+ * @param {number|Object} capacity - Driver capacity (decides the result shape)
+ * @param {number|Object|undefined} load - Current load
+ * @param {number|Object|undefined} size - Order size
+ * @returns {number|Object} - New load
+ */
+function subtractLoad(capacity, load, size) {
+  const current = toDimensions(load);
+  const removed = toDimensions(size);
+  const total = {};
+  Object.keys(toDimensions(capacity)).forEach(dim => {
+    total[dim] = (current[dim] || 0) - (removed[dim] || 0);
+  });
+  return typeof capacity === 'number' ? total[DEFAULT_DIMENSION] : total;
+}
+
+/**
+ * Helper: Per-dimension maximum of two loads, keeping the shape of the driver's capacity.
+ * @param {number|Object} capacity - Driver capacity (decides the result shape)
+ * @param {number|Object|undefined} a - Load
+ * @param {number|Object|undefined} b - Load
+ * @returns {number|Object}
+ */
+function maxLoad(capacity, a, b) {
+  const left = toDimensions(a);
+  const right = toDimensions(b);
+  const result = {};
+  Object.keys(toDimensions(capacity)).forEach(dim => {
+    result[dim] = Math.max(left[dim] || 0, right[dim] || 0);
+  });
+  return typeof capacity === 'number' ? result[DEFAULT_DIMENSION] : result;
+}
+
+/**
+ * Helper: True once any declared dimension is used up.
+ * @param {number|Object} capacity - Driver capacity
+ * @param {number|Object|undefined} load - Load already assigned
+ * @returns {boolean}
+ */
+function isFull(capacity, load) {
+  const limits = toDimensions(capacity);
+  const current = toDimensions(load);
+  return Object.keys(limits).some(dim => (current[dim] || 0) >= limits[dim]);
+}
+
+/**
+ * Report per-dimension peak on-board load and utilisation (load / capacity, 0..1 rounded
+ * to 2 decimals) for every driver, including drivers without a tour.
+ * @param {Array} drivers - Prepared drivers
+ * @param {Array} tours - Tours from buildDriverTours (peakLoad per driver)
+ * @returns {Array} - [{ driverId, capacity, load, utilisation }] with per-dimension objects
+ */
+function calculateUtilisation(drivers, tours) {
+  const peakLoads = new Map(tours.map(tour => [tour.driverId, tour.peakLoad]));
+  return drivers.map(driver => {
+    const capacity = toDimensions(driver.capacity);
+    const peak = toDimensions(peakLoads.get(driver.id));
+    const load = {};
+    const utilisation = {};
+    Object.keys(capacity).forEach(dim => {
+      load[dim] = peak[dim] || 0;
+      utilisation[dim] = Math.round((load[dim] / capacity[dim]) * 100) / 100;
+    });
+    return { driverId: driver.id, capacity, load, utilisation };
+  });
+}
+
+module.exports = {
+  DEFAULT_DIMENSION,
+  toDimensions,
+  fitsCapacity,
+  addLoad,
+  subtractLoad,
+  maxLoad,
+  isFull,
+  calculateUtilisation
+};
@@ -0,0 +1,36 @@
+/**
+ * Planning clock.
+ * A plan resolves "now" once (config.planningStartTime, else config.clock(), else Date.now())
+ * and every ETA, estimatedArrival, shift and deadline check in that run uses the same instant,
+ * so replays of old data and tests are deterministic.
+ */
+
+/**
+ * Helper: Epoch milliseconds for a Date, timestamp or date string (NaN if invalid).
+ * @param {Date|number|string} value
+ * @returns {number}
+ */
+function toEpochMs(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return new Date(value).getTime();
+  return NaN;
+}
+
+/**
+ * Resolve the planning start instant for a run.
+ * @param {Object} [options={}]
+ * @param {Date|number|string} [options.planningStartTime] - Fixed planning start (wins over clock)
+ * @param {Function} [options.clock] - Returns the current time (Date or epoch ms)
+ * @returns {number} - Epoch ms (NaN if the given value is invalid)
+ */
+function resolvePlanningStart({ planningStartTime, clock } = {}) {
+  if (planningStartTime !== undefined && planningStartTime !== null) return toEpochMs(planningStartTime);
+  if (typeof clock === 'function') return toEpochMs(clock());
+  return Date.now();
+}
+
+module.exports = {
+  toEpochMs,
+  resolvePlanningStart
+};
@@ -0,0 +1,56 @@
+/**
+ * Multi-depot helpers: driver start/end locations and order depot ties.
+ * Drivers may declare startLocation (their hub) and endLocation (a node id, or
+ * RETURN_TO_START to come back to where they started). currentLocation, when given,
+ * is where the driver is right now and where routing begins; it defaults to startLocation.
+ * Orders may declare depot: only drivers starting at that hub can serve them.
+ */
+
+// endLocation value meaning "return to the driver's start location"
+const RETURN_TO_START = '$start';
+
+/**
+ * Node a driver's route begins at (legacy fallback: 'depot').
+ * @param {Object} driver - Driver object
+ * @returns {string}
+ */
+function getStartLocation(driver) {
+  return driver.currentLocation || driver.startLocation || 'depot';
+}
+
+/**
+ * Hub a driver belongs to (startLocation, else where the route begins).
+ * @param {Object} driver - Driver object
+ * @returns {string}
+ */
+function getHomeDepot(driver) {
+  return driver.startLocation || getStartLocation(driver);
+}
+
+/**
+ * Node a driver must finish at, or null for open routes (no return leg).
+ * @param {Object} driver - Driver object
+ * @returns {string|null}
+ */
+function getEndLocation(driver) {
+  if (!driver.endLocation) return null;
+  return driver.endLocation === RETURN_TO_START ? getHomeDepot(driver) : driver.endLocation;
+}
+
+/**
+ * Whether a driver may serve an order tied to a depot.
+ * @param {Object} driver - Driver object
+ * @param {Object} order - Order object
+ * @returns {boolean}
+ */
+function servesOrderDepot(driver, order) {
+  return !order.depot || order.depot === getHomeDepot(driver);
+}
+
+module.exports = {
+  RETURN_TO_START,
+  getStartLocation,
+  getHomeDepot,
+  getEndLocation,
+  servesOrderDepot
+};
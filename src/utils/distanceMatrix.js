@@ -0,0 +1,235 @@
+/**
+ * One-to-many shortest paths and a reusable DistanceMatrix for large fleets.
+ * Instead of one point-to-point Dijkstra per (driver, order) pair, the matrix runs a single
+ * one-to-many Dijkstra per source (driver locations + order stops, since later legs
+ * start at previous stops) over an integer-indexed copy of the graph, and keeps:
+ * - distances to every target (Float64Array per source)
+ * - the predecessor tree (Int32Array per source) for on-demand path reconstruction
+ * Memory is O(sources x nodes); sources are unique locations, so at most nodes^2.
+ * Distances only: time-dependent searches (objective 'time') bypass the matrix.
+ * Vehicle restrictions: rows are kept per vehicle profile (a restricted vehicle gets its own
+ * filtered adjacency), so a van and a cargo bike read different distances from one matrix.
+ * The matrix remembers the signature of the graph it was built from (see matches), so a
+ * reused matrix is never read against a changed graph.
+ */
+
+const MinHeap = require('./minHeap');
+const { getEdgeDistance } = require('./travelTime');
+const { getVehicleProfile, vehicleKey, canTraverse } = require('./vehicles');
+const { getStartLocation, getEndLocation } = require('./depots');
+const { graphSignature } = require('./routeCache');
+
+/**
+ * Helper: Index a graph for array-based searches.
+ * @param {Object} graph - Adjacency list
+ * @param {Object|null} [vehicle=null] - Vehicle profile; edges it may not use are left out
+ * @param {Map} [nodeIndex] - Existing node index to reuse
+ * @returns {{nodeIds: string[], nodeIndex: Map, adjacency: Array<Array<[number, number]>>}}
+ */
+function indexGraph(graph, vehicle = null, nodeIndex = null) {
+  const nodeIds = Object.keys(graph);
+  const index = nodeIndex || new Map(nodeIds.map((id, i) => [id, i]));
+  // Neighbors missing from the graph keys are unreachable (same as calculateShortestPath)
+  const adjacency = nodeIds.map(id => Object.entries(graph[id])
+    .filter(([neighbor, edge]) => index.has(neighbor) && canTraverse(edge, vehicle))
+    .map(([neighbor, edge]) => [index.get(neighbor), getEdgeDistance(edge)]));
+  return { nodeIds, nodeIndex: index, adjacency };
+}
+
+/**
+ * Helper: Single-source Dijkstra over an indexed graph (all targets).
+ * @param {Array} adjacency - From indexGraph
+ * @param {number} source - Source node index
+ * @returns {{distances: Float64Array, previous: Int32Array}} - previous[i] = -1 for source/unreached
+ */
+function shortestPathTree(adjacency, source) {
+  const distances = new Float64Array(adjacency.length).fill(Infinity);
+  const previous = new Int32Array(adjacency.length).fill(-1);
+  const visited = new Uint8Array(adjacency.length);
+  const heap = new MinHeap();
+  distances[source] = 0;
+  heap.insert(source, 0);
+
+  while (!heap.isEmpty()) {
+    const { node: current, priority } = heap.extractMin();
+    // Skip outdated entries (from re-inserts/decreaseKey)
+    if (visited[current] || priority > distances[current]) continue;
+    visited[current] = 1;
+
+    for (const [neighbor, weight] of adjacency[current]) {
+      if (visited[neighbor]) continue;
+      const newDist = priority + weight;
+      if (newDist < distances[neighbor]) {
+        distances[neighbor] = newDist;
+        previous[neighbor] = current;
+        heap.decreaseKey(neighbor, newDist);
+      }
+    }
+  }
+  return { distances, previous };
+}
+
+/**
+ * Helper: Walk a predecessor tree back from target to source.
+ * @returns {number[]} - Node indices source..target
+ */
+function walkTree(previous, source, target) {
+  const path = [];
+  for (let current = target; current !== -1; current = previous[current]) {
+    path.unshift(current);
+    if (current === source) break;
+  }
+  return path;
+}
+
+/**
+ * One-to-many shortest paths from a single start node.
+ * @param {Object} graph - Adjacency list
+ * @param {string} start - Start node
+ * @param {string[]} [targets] - Nodes to report (default: every graph node)
+ * @returns {Object} - { [target]: { distance, path } } (distance=Infinity, path=[] if unreachable)
+ */
+function calculateShortestPathsFrom(graph, start, targets = Object.keys(graph)) {
+  const { nodeIds, nodeIndex, adjacency } = indexGraph(graph);
+  const source = nodeIndex.get(start);
+  const tree = source !== undefined ? shortestPathTree(adjacency, source) : null;
+  const results = {};
+  targets.forEach(target => {
+    const targetIndex = nodeIndex.get(target);
+    if (!tree || targetIndex === undefined || tree.distances[targetIndex] === Infinity) {
+      results[target] = { distance: Infinity, path: [] };
+      return;
+    }
+    results[target] = {
+      distance: tree.distances[targetIndex],
+      path: walkTree(tree.previous, source, targetIndex).map(i => nodeIds[i])
+    };
+  });
+  return results;
+}
+
+class DistanceMatrix {
+  /**
+   * Build the matrix: one one-to-many search per source.
+   * @param {Object} graph - Adjacency list
+   * @param {string[]} sources - Start nodes (duplicates ignored)
+   * @param {string[]} targets - End nodes (duplicates ignored)
+   * @param {Object} [options={}]
+   * @param {Array<Object|null>} [options.vehicles=[null]] - Vehicle profiles to precompute rows for
+   */
+  constructor(graph, sources, targets, { vehicles = [null] } = {}) {
+    const { nodeIds, nodeIndex, adjacency } = indexGraph(graph);
+    this.graph = graph;
+    this.graphSignature = graphSignature(graph);
+    this.nodeIds = nodeIds;
+    this.nodeIndex = nodeIndex;
+    this.adjacencyByVehicle = new Map([['', adjacency]]); // vehicleKey -> filtered adjacency
+    this.targets = [...new Set(targets)];
+    this.targetIndex = new Map(this.targets.map((t, i) => [t, i]));
+    this.rows = new Map(); // vehicleKey + source -> { distances: Float64Array(targets), previous: Int32Array(nodes) }
+    const uniqueSources = [...new Set(sources)];
+    vehicles.forEach(vehicle => uniqueSources.forEach(source => this._addSource(source, vehicle)));
+  }
+
+  /**
+   * Build a matrix covering a delivery run: driver start locations and order stops
+   * (pickups and destinations; later legs depart from previous stops) to every order stop
+   * and driver end location (return legs).
+   * @param {Array} drivers - Prepared drivers
+   * @param {Array} orders - Prepared orders
+   * @param {Object} graph - Road network graph
+   * @returns {DistanceMatrix}
+   */
+  static forDelivery(drivers, orders, graph) {
+    const destinations = orders.map(o => o.destination);
+    const pickups = orders.filter(o => o.pickupLocation).map(o => o.pickupLocation);
+    const starts = drivers.map(d => getStartLocation(d));
+    const ends = drivers.map(d => getEndLocation(d)).filter(Boolean);
+    // One set of rows per distinct vehicle profile in the fleet
+    const vehicles = new Map(drivers.map(d => getVehicleProfile(d)).map(v => [vehicleKey(v), v]));
+    const stops = [...pickups, ...destinations];
+    return new DistanceMatrix(graph, [...starts, ...stops], [...stops, ...ends], { vehicles: [...vehicles.values()] });
+  }
+
+  _adjacencyFor(vehicle) {
+    const key = vehicleKey(vehicle);
+    if (!this.adjacencyByVehicle.has(key)) {
+      this.adjacencyByVehicle.set(key, indexGraph(this.graph, vehicle, this.nodeIndex).adjacency);
+    }
+    return this.adjacencyByVehicle.get(key);
+  }
+
+  _row(source, vehicle) {
+    return this.rows.get(`${vehicleKey(vehicle)}\u0000${source}`) || this._addSource(source, vehicle);
+  }
+
+  _addSource(source, vehicle = null) {
+    const sourceIndex = this.nodeIndex.get(source);
+    const distances = new Float64Array(this.targets.length).fill(Infinity);
+    let previous = null;
+    if (sourceIndex !== undefined) {
+      const tree = shortestPathTree(this._adjacencyFor(vehicle), sourceIndex);
+      previous = tree.previous;
+      this.targets.forEach((target, i) => {
+        const index = this.nodeIndex.get(target);
+        if (index !== undefined) distances[i] = tree.distances[index];
+      });
+    }
+    const row = { sourceIndex, distances, previous };
+    this.rows.set(`${vehicleKey(vehicle)}\u0000${source}`, row);
+    return row;
+  }
+
+  /**
+   * Whether the matrix was built from this graph (same nodes, edges and weights).
+   * @param {Object} graph - Road network graph
+   * @returns {boolean}
+   */
+  matches(graph) {
+    return graphSignature(graph) === this.graphSignature;
+  }
+
+  /**
+   * @returns {boolean} - Whether `to` is a matrix target (any source/vehicle is accepted; rows are added on demand)
+   */
+  covers(from, to) {
+    return this.targetIndex.has(to);
+  }
+
+  /**
+   * Shortest distance from -> to (Infinity if unreachable).
+   * @param {string} from
+   * @param {string} to - Must be a matrix target (see covers)
+   * @param {Object|null} [vehicle=null] - Vehicle profile (restricted edges skipped)
+   * @returns {number}
+   */
+  getDistance(from, to, vehicle = null) {
+    if (from === to) return 0;
+    return this._row(from, vehicle).distances[this.targetIndex.get(to)];
+  }
+
+  /**
+   * Shortest route from -> to, same contract as calculateShortestPath.
+   * @param {string} from
+   * @param {string} to - Must be a matrix target (see covers)
+   * @param {Object|null} [vehicle=null] - Vehicle profile (restricted edges skipped)
+   * @returns {{distance: number, path: string[]}}
+   */
+  get(from, to, vehicle = null) {
+    if (from === to) return { distance: 0, path: [from] };
+    const distance = this.getDistance(from, to, vehicle);
+    if (distance === Infinity) return { distance: Infinity, path: [] };
+    const row = this._row(from, vehicle);
+    const path = walkTree(row.previous, row.sourceIndex, this.nodeIndex.get(to)).map(i => this.nodeIds[i]);
+    return { distance, path };
+  }
+
+  get size() {
+    return { sources: this.rows.size, targets: this.targets.length };
+  }
+}
+
+module.exports = {
+  DistanceMatrix,
+  calculateShortestPathsFrom
+};
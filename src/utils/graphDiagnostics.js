@@ -0,0 +1,234 @@
+/**
+ * Road graph diagnostics: problems that are structurally valid but make routes fail or look odd.
+ * - Strongly connected components (Tarjan) and nodes that can only be entered or only be left
+ *   relative to the main (largest) component
+ * - Edges to nodes without their own graph entry (routing cannot reach those nodes)
+ * - Driver locations and order stops missing from the graph, orders no available driver can
+ *   reach and drivers that can reach no order
+ * - Edge pairs whose two directions differ suspiciously in distance
+ * Reachability follows edges only (no time windows or capacity), honouring vehicle restrictions.
+ */
+
+const { getEdgeDistance } = require('./travelTime');
+const { getVehicleProfile, vehicleKey, canTraverse } = require('./vehicles');
+const { getStartLocation } = require('./depots');
+
+const DEFAULT_ASYMMETRY_RATIO = 2;
+
+/**
+ * Diagnose a road graph, optionally against the drivers and orders that will use it.
+ * @param {Object} graph - Adjacency list (already structurally valid)
+ * @param {Object} [options={}]
+ * @param {Array} [options.drivers=[]] - Drivers (start at currentLocation || startLocation || 'depot')
+ * @param {Array} [options.orders=[]] - Orders (destination and optional pickupLocation)
+ * @param {number} [options.asymmetryRatio=2] - Report edge pairs whose longer direction exceeds this multiple of the shorter
+ * @returns {Object} - { nodeCount, edgeCount, components, stronglyConnected, oneWayNodes, danglingEdges,
+ *   missingNodes, unreachableOrders, strandedDrivers, asymmetricEdges }
+ */
+function diagnoseGraph(graph, { drivers = [], orders = [], asymmetryRatio = DEFAULT_ASYMMETRY_RATIO } = {}) {
+  const nodeIds = Object.keys(graph);
+  const nodeSet = new Set(nodeIds);
+  const edgeCount = nodeIds.reduce((sum, node) => sum + Object.keys(graph[node]).length, 0);
+
+  const components = findStronglyConnectedComponents(graph, nodeIds)
+    .sort((a, b) => b.length - a.length);
+  const main = new Set(components.length > 0 ? components[0] : []);
+  const fromMain = reachableFrom(graph, [...main], null);
+  const toMain = reachableFrom(reverseGraph(graph, nodeIds), [...main], null);
+  const oneWayNodes = nodeIds
+    .filter(node => !main.has(node) && fromMain.has(node) !== toMain.has(node))
+    .map(node => ({ node, reachableFromMain: fromMain.has(node), reachesMain: toMain.has(node) }));
+
+  const danglingEdges = [];
+  nodeIds.forEach(from => Object.keys(graph[from]).forEach(to => {
+    if (!nodeSet.has(to)) danglingEdges.push({ from, to });
+  }));
+
+  const { missingNodes, unreachableOrders, strandedDrivers } = checkStops(graph, nodeSet, drivers, orders);
+
+  return {
+    nodeCount: nodeIds.length,
+    edgeCount,
+    components,
+    stronglyConnected: components.length <= 1,
+    oneWayNodes,
+    danglingEdges,
+    missingNodes,
+    unreachableOrders,
+    strandedDrivers,
+    asymmetricEdges: findAsymmetricEdges(graph, nodeIds, asymmetryRatio)
+  };
+}
+
+/**
+ * Helper: Tarjan's strongly connected components over the graph keys, iterative so long
+ * chains cannot overflow the call stack. Edges to nodes without an entry are ignored.
+ * @returns {Array<string[]>}
+ */
+function findStronglyConnectedComponents(graph, nodeIds) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  nodeIds.forEach(root => {
+    if (index.has(root)) return;
+    const work = [{ node: root, neighbors: Object.keys(graph[root]), next: 0 }];
+    index.set(root, counter);
+    lowLink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      if (frame.next < frame.neighbors.length) {
+        const neighbor = frame.neighbors[frame.next++];
+        if (!Object.prototype.hasOwnProperty.call(graph, neighbor)) continue;
+        if (!index.has(neighbor)) {
+          index.set(neighbor, counter);
+          lowLink.set(neighbor, counter++);
+          stack.push(neighbor);
+          onStack.add(neighbor);
+          work.push({ node: neighbor, neighbors: Object.keys(graph[neighbor]), next: 0 });
+        } else if (onStack.has(neighbor)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(neighbor)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component.reverse());
+      }
+    }
+  });
+  return components;
+}
+
+/**
+ * Helper: Graph with every edge reversed (keys only, edge values kept).
+ */
+function reverseGraph(graph, nodeIds) {
+  const reversed = {};
+  nodeIds.forEach(node => { reversed[node] = {}; });
+  nodeIds.forEach(node => Object.entries(graph[node]).forEach(([neighbor, edge]) => {
+    if (reversed[neighbor]) reversed[neighbor][node] = edge;
+  }));
+  return reversed;
+}
+
+/**
+ * Helper: Nodes reachable from any of the sources (breadth-first), skipping edges the vehicle
+ * may not use and nodes without a graph entry.
+ * @returns {Set<string>}
+ */
+function reachableFrom(graph, sources, vehicle) {
+  const seen = new Set(sources.filter(node => Object.prototype.hasOwnProperty.call(graph, node)));
+  const queue = [...seen];
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    Object.entries(graph[node]).forEach(([neighbor, edge]) => {
+      if (seen.has(neighbor) || !Object.prototype.hasOwnProperty.call(graph, neighbor)) return;
+      if (!canTraverse(edge, vehicle)) return;
+      seen.add(neighbor);
+      queue.push(neighbor);
+    });
+  }
+  return seen;
+}
+
+/**
+ * Helper: Driver locations and order stops checked against the graph and each other.
+ * An order counts as reachable when some available driver can get to its pickup (if any)
+ * and from there to its destination.
+ */
+function checkStops(graph, nodeSet, drivers, orders) {
+  const missingNodes = [];
+  const checkNode = (type, index, item, field, node) => {
+    if (nodeSet.has(node)) return true;
+    missingNodes.push({ type, index, id: item.id || null, field, node });
+    return false;
+  };
+
+  const driverEntries = [];
+  drivers.forEach((driver, index) => {
+    if (!driver || typeof driver !== 'object') return;
+    const field = !driver.currentLocation && driver.startLocation ? 'startLocation' : 'currentLocation';
+    const start = getStartLocation(driver);
+    if (checkNode('driver', index, driver, field, start)) {
+      driverEntries.push({ driver, index, start, vehicle: getVehicleProfile(driver) });
+    }
+  });
+  const orderEntries = [];
+  orders.forEach((order, index) => {
+    if (!order || typeof order !== 'object' || typeof order.destination !== 'string') return;
+    const pickupKnown = !order.pickupLocation || checkNode('order', index, order, 'pickupLocation', order.pickupLocation);
+    const destinationKnown = checkNode('order', index, order, 'destination', order.destination);
+    if (pickupKnown && destinationKnown) orderEntries.push({ order, index });
+  });
+
+  // Reachable sets per (vehicle, start) so drivers sharing a hub and vehicle share a search
+  const searches = new Map();
+  const reach = (start, vehicle) => {
+    const key = `${vehicleKey(vehicle)}@${start}`;
+    if (!searches.has(key)) searches.set(key, reachableFrom(graph, [start], vehicle));
+    return searches.get(key);
+  };
+  const canServe = ({ start, vehicle }, order) => {
+    if (!order.pickupLocation) return reach(start, vehicle).has(order.destination);
+    return reach(start, vehicle).has(order.pickupLocation) && reach(order.pickupLocation, vehicle).has(order.destination);
+  };
+
+  const available = driverEntries.filter(entry => entry.driver.availability !== false);
+  const unreachableOrders = orderEntries
+    .filter(({ order }) => !available.some(entry => canServe(entry, order)))
+    .map(({ order, index }) => {
+      // Blame the pickup when no driver gets there, else the destination
+      const pickupUnreachable = Boolean(order.pickupLocation) &&
+        !available.some(entry => reach(entry.start, entry.vehicle).has(order.pickupLocation));
+      const field = pickupUnreachable ? 'pickupLocation' : 'destination';
+      return { index, orderId: order.id || null, field, node: order[field] };
+    });
+
+  const strandedDrivers = orderEntries.length === 0 ? [] : available
+    .filter(entry => !orderEntries.some(({ order }) => canServe(entry, order)))
+    .map(({ driver, index, start }) => ({ index, driverId: driver.id || null, node: start }));
+
+  return { missingNodes, unreachableOrders, strandedDrivers };
+}
+
+/**
+ * Helper: Edge pairs (u -> v and v -> u) whose distances differ by more than ratio,
+ * reported once per pair with the longer direction as from -> to. A zero-length direction
+ * against a non-zero one counts as an infinite ratio.
+ */
+function findAsymmetricEdges(graph, nodeIds, ratio) {
+  const asymmetric = [];
+  nodeIds.forEach(from => Object.entries(graph[from]).forEach(([to, edge]) => {
+    const back = graph[to] && graph[to][from];
+    if (back === undefined) return;
+    const distance = getEdgeDistance(edge);
+    const reverseDistance = getEdgeDistance(back);
+    if (distance <= reverseDistance) return; // the longer direction reports the pair
+    const pairRatio = reverseDistance === 0 ? Infinity : distance / reverseDistance;
+    if (pairRatio > ratio) asymmetric.push({ from, to, distance, reverseDistance, ratio: pairRatio });
+  }));
+  return asymmetric;
+}
+
+module.exports = {
+  DEFAULT_ASYMMETRY_RATIO,
+  diagnoseGraph
+};
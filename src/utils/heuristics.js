@@ -0,0 +1,57 @@
+/**
+ * Distance heuristics for A* search over graphs with node coordinates.
+ * Coordinates come from the optional inputs.nodes section: { id: { lat, lon } } (great-circle
+ * km via haversine) or { id: { x, y } } (Euclidean, same unit as edge weights).
+ * Admissible as long as no edge weight is shorter than the straight line between its nodes.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two { lat, lon } points.
+ * @returns {number} - Distance in km
+ */
+function haversineKm(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Straight-line distance between two { x, y } points.
+ * @returns {number}
+ */
+function euclideanDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Helper: Straight-line distance for whichever coordinate form the points use.
+ * @returns {number}
+ */
+function straightLineDistance(a, b) {
+  return a.lat !== undefined ? haversineKm(a, b) : euclideanDistance(a, b);
+}
+
+/**
+ * Build an A* heuristic towards a target node.
+ * Nodes without coordinates estimate 0 (keeps the heuristic admissible).
+ * @param {Object} nodes - Node coordinates { id: { lat, lon } | { x, y } }
+ * @param {string} end - Target node
+ * @returns {Function|null} - node => estimated remaining distance, or null if the target has no coordinates
+ */
+function createHeuristic(nodes, end) {
+  const target = nodes && nodes[end];
+  if (!target) return null;
+  return node => (nodes[node] ? straightLineDistance(nodes[node], target) : 0);
+}
+
+module.exports = {
+  haversineKm,
+  euclideanDistance,
+  straightLineDistance,
+  createHeuristic
+};
@@ -0,0 +1,105 @@
+/**
+ * Hungarian algorithm (Kuhn-Munkres with potentials) for min-cost bipartite matching.
+ * Rectangular matrices supported: O(n^2 * m) for n rows <= m columns (transposed otherwise).
+ * Infinity marks a forbidden pair; the solver maximises the number of allowed pairs first,
+ * then minimises their total cost. Readable, no external deps.
+ */
+
+/**
+ * Core solver for n <= m (every row is matched to a distinct column).
+ * @param {number[][]} cost - Finite costs, n rows x m columns
+ * @returns {number[]} - Column index per row
+ */
+function solveRowsToColumns(cost) {
+  const n = cost.length;
+  const m = cost[0].length;
+  const u = new Array(n + 1).fill(0); // row potentials
+  const v = new Array(m + 1).fill(0); // column potentials
+  const match = new Array(m + 1).fill(0); // match[j] = row (1-based) matched to column j
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    // Grow an alternating tree from row i until a free column is reached
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Flip the augmenting path
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const rowToColumn = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (match[j] !== 0) rowToColumn[match[j] - 1] = j - 1;
+  }
+  return rowToColumn;
+}
+
+/**
+ * Solve the min-cost assignment problem.
+ * @param {number[][]} costMatrix - rows x columns; Infinity = forbidden pair
+ * @returns {number[]} - Column index per row, or -1 if the row stays unmatched
+ */
+function solveAssignment(costMatrix) {
+  const rows = costMatrix.length;
+  const columns = rows > 0 ? costMatrix[0].length : 0;
+  if (rows === 0 || columns === 0) return new Array(rows).fill(-1);
+
+  // Replace forbidden pairs with a cost larger than any difference between feasible matchings
+  let maxAbs = 0;
+  costMatrix.forEach(row => row.forEach(cost => {
+    if (cost !== Infinity) maxAbs = Math.max(maxAbs, Math.abs(cost));
+  }));
+  const forbidden = 2 * Math.min(rows, columns) * (maxAbs + 1) + 1;
+  const finite = costMatrix.map(row => row.map(cost => (cost === Infinity ? forbidden : cost)));
+
+  let rowToColumn;
+  if (rows <= columns) {
+    rowToColumn = solveRowsToColumns(finite);
+  } else {
+    const transposed = finite[0].map((_, j) => finite.map(row => row[j]));
+    const columnToRow = solveRowsToColumns(transposed);
+    rowToColumn = new Array(rows).fill(-1);
+    columnToRow.forEach((row, column) => { rowToColumn[row] = column; });
+  }
+
+  // Drop pairs that were only matched through a forbidden cell
+  return rowToColumn.map((column, row) => (column !== -1 && costMatrix[row][column] === Infinity ? -1 : column));
+}
+
+module.exports = {
+  solveAssignment
+};
@@ -2,53 +2,243 @@
  * Basic optimization utilities for driver-to-order assignments.
  * Phase 1: Distance-aware greedy algorithm.
  * - For each order, assign nearest available driver (by shortest path in graph).
- * - Respect driver capacity >= order size.
+ * - Respect driver capacity >= order size (per dimension for { weightKg, volumeL, ... } capacities).
  * - Mark assigned driver unavailable (for subsequent orders).
  * - Assignment score = distance + (10 / priority)  [lower score better: favors close + high-priority].
- * Note: shiftEndTime/deadlineTime included in data but not enforced in phase 1 (future).
+ * - Drivers accumulate stops: each new order is appended after the driver's last stop,
+ *   so legs, cumulative ETAs and shift checks follow the real stop sequence.
+ * - Order time windows (earliestTime/deadlineTime) and driver shiftEndTime are enforced.
+ * - Pickup-and-delivery orders (pickupLocation) add a pickup stop right before their drop-off.
+ * - Multi-depot: orders tied to a depot go to drivers from that hub; drivers with an endLocation
+ *   must be able to return there within their shift.
  */
 
+const {
+  DEFAULT_TIME_WINDOW_MODE,
+  DEFAULT_LATE_PENALTY_PER_MINUTE
+} = require('./timeWindows');
+const { RouteCache } = require('./routeCache');
+const { createHeuristic } = require('./heuristics');
+const { AVERAGE_SPEED_KMH, getEdgeDistance, getEdgeTravelMinutes } = require('./travelTime');
+const { getVehicleProfile, vehicleKey, canTraverse } = require('./vehicles');
+const { toDimensions, fitsCapacity, addLoad, maxLoad, isFull } = require('./capacity');
+const { getStartLocation, getEndLocation, servesOrderDepot } = require('./depots');
+const { getServiceMinutes, getBreakRules, startTimeline, visitStop } = require('./schedule');
+const { resolvePlanningStart } = require('./clock');
+const { RunControl, toLogger } = require('./runControl');
+const { compileOverlay, createTurnCost } = require('./roadOverlay');
+
+// Shortest-path search algorithms (calculateShortestPath options.algorithm / config.pathAlgorithm)
+const PATH_ALGORITHMS = ['dijkstra', 'astar'];
+
+// Why a driver cannot take an order (assessCandidate); used by the unassigned-orders report
+const REJECTION_REASONS = {
+  CAPACITY_EXCEEDED: 'CAPACITY_EXCEEDED',
+  UNREACHABLE: 'UNREACHABLE',
+  SHIFT_END_EXCEEDED: 'SHIFT_END_EXCEEDED',
+  DEADLINE_MISSED: 'DEADLINE_MISSED',
+  DEPOT_MISMATCH: 'DEPOT_MISMATCH',
+  DRIVER_UNAVAILABLE: 'DRIVER_UNAVAILABLE'
+};
+
+/**
+ * Helper: Convert a graph distance (km) to whole travel minutes at the average speed.
+ * @param {number} distance - Distance in km
+ * @returns {number} - Rounded minutes
+ */
+function distanceToMinutes(distance) {
+  return Math.round((distance / AVERAGE_SPEED_KMH) * 60);
+}
+
+/**
+ * Helper: Whole travel minutes for a shortest-path result (time-dependent searches report
+ * travelMinutes; distance searches fall back to the average speed).
+ * @param {{distance: number, travelMinutes?: number}} pathResult
+ * @returns {number}
+ */
+function pathToMinutes(pathResult) {
+  return pathResult.travelMinutes !== undefined
+    ? Math.round(pathResult.travelMinutes)
+    : distanceToMinutes(pathResult.distance);
+}
+
 /**
- * Helper: Compute shortest path (distance + full route path) using Dijkstra on graph.
- * Supports optional routeCache (Map) for hits on repeated (start,end) pairs.
+ * Helper: Read a cached route. Accepts a RouteCache (stats + LRU) or a plain Map
+ * (legacy; directional 'start:end' keys, no bound). variant separates results computed
+ * under different search conditions.
+ */
+function readRouteCache(routeCache, start, end, variant) {
+  if (routeCache instanceof RouteCache) return routeCache.get(start, end, variant);
+  return routeCache.get(variant === undefined ? `${start}:${end}` : `${start}:${end}@${variant}`);
+}
+
+/**
+ * Helper: Store a route in a RouteCache or plain Map (see readRouteCache).
+ */
+function writeRouteCache(routeCache, start, end, result, variant) {
+  if (routeCache instanceof RouteCache) {
+    routeCache.set(start, end, result, variant);
+  } else {
+    routeCache.set(variant === undefined ? `${start}:${end}` : `${start}:${end}@${variant}`, result);
+  }
+}
+
+/**
+ * Helper: Compute shortest path (distance + full route path) using Dijkstra on graph,
+ * or A* when options.algorithm='astar' and node coordinates are given.
+ * With options.objective='time' the search is time-dependent: it minimises travel time for a
+ * departure at options.departureTime (edge speeds/travel times + speed profiles) and the result
+ * also carries travelMinutes. With options.vehicle, edges the vehicle may not use are skipped.
+ * options.overlay closes edges, avoids nodes, scales edge costs and adds turn penalties for this
+ * search only (see roadOverlay.js); distance stays the real distance of the chosen path.
+ * Supports optional routeCache for hits on repeated (start,end) pairs; keys are
+ * direction-aware so one-way (asymmetric) graphs return correct distances and paths.
  * Uses MinHeap PQ for O((V + E) log V) performance.
  * Assumes non-negative weights; handles unreachable explicitly.
  * Path reconstruction via predecessor tracking.
  * @param {Object} graph - Adjacency list
  * @param {string} start - Start node
  * @param {string} end - End node
- * @param {Map|null} [routeCache=null] - Optional cache: key='start:end', value={distance, path}
- * @returns {Object} - { distance: number, path: string[] } (distance=Infinity, path=[] if unreachable)
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional cache of {distance, path} per (start, end)
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.algorithm='dijkstra'] - 'dijkstra' | 'astar'
+ * @param {Object} [options.nodes] - Node coordinates { id: { lat, lon } | { x, y } } (required for 'astar')
+ * @param {DistanceMatrix} [options.distanceMatrix] - Precomputed matrix; answers covered pairs without a search
+ * @param {string} [options.objective='distance'] - 'distance' | 'time'
+ * @param {Date|number} [options.departureTime=Date.now()] - Departure for time-dependent searches
+ * @param {Object} [options.speedProfiles={}] - Time-of-day speed profiles { name: [{ from, to, multiplier }] }
+ * @param {number} [options.utcOffsetMinutes=0] - Local clock offset for profile windows
+ * @param {Object} [options.vehicle] - Vehicle profile { type, weightKg, heightM } for edge restrictions
+ * @param {Object} [options.overlay] - { closedEdges?, avoidNodes?, edgeMultipliers?, uTurnPenalty?, turnPenalty?,
+ *   turnAngleDegrees? } applied without changing the graph (turnPenalty needs options.nodes)
+ * @param {string} [options.arrivedFrom] - Node the vehicle reached start from, so the overlay's turn penalties
+ *   also apply when leaving start (e.g. a U-turn after a stop)
+ * @returns {Object} - { distance: number, path: string[], travelMinutes?: number } (distance=Infinity, path=[] if unreachable)
  */
-function calculateShortestPath(graph, start, end, routeCache = null) {
-  // Normalize key for undirected graphs (sort nodes) to improve hit ratio/cache size
-  // (e.g., 'locA:depot' == 'depot:locA')
-  const normalizeKey = (a, b) => [a, b].sort().join(':');
+function calculateShortestPath(graph, start, end, routeCache = null, options = {}) {
+  const { timeDependent, vehicle, overlay, variant, hooks } = resolveSearch(options, end);
+
+  // Precomputed one-to-many results take precedence over per-pair search/cache (plain distances only)
+  if (!timeDependent && !overlay && options.distanceMatrix && options.distanceMatrix.covers(start, end)) {
+    return options.distanceMatrix.get(start, end, vehicle);
+  }
 
-  // Cache hit? (normalized key)
+  // Cache hit?
   if (routeCache) {
-    const cacheKey = normalizeKey(start, end);
-    const cached = routeCache.get(cacheKey);
+    const cached = readRouteCache(routeCache, start, end, variant);
     if (cached) {
-      return cached; // Reuse {distance, path} - note: path direction may be reversed but valid
+      return cached; // Reuse {distance, path}
     }
   }
 
+  let result = findShortestPath(graph, start, end, hooks);
+  if (result.distance === Infinity) {
+    result = { distance: Infinity, path: [] };
+  } else if (timeDependent) {
+    result = { distance: measurePath(graph, result.path), path: result.path, travelMinutes: result.distance };
+  } else if (overlay) {
+    result = { distance: measurePath(graph, result.path), path: result.path }; // label includes multipliers/penalties
+  }
+  if (routeCache) writeRouteCache(routeCache, start, end, result, variant); // Cache for future hits
+  return result;
+}
+
+/**
+ * Helper: Search hooks and cache variant for calculateShortestPath options (also used for
+ * alternative routes, so both search under the same conditions).
+ * Results depend on the departure minute (time-dependent), vehicle, overlay and (with turn
+ * penalties) the arrival direction, so each is part of the cache variant.
+ * @param {Object} options - calculateShortestPath options
+ * @param {string} end - Target node (A* heuristic)
+ * @returns {Object} - { timeDependent, vehicle, overlay, variant, hooks: { heuristic, edgeCost, edgeFilter,
+ *   turnCost, previous } }
+ */
+function resolveSearch(options, end) {
+  const timeDependent = options.objective === 'time';
+  const vehicle = options.vehicle || null;
+  const overlay = compileOverlay(options.overlay);
+  const turnCost = createTurnCost(overlay, options.nodes);
+  const previous = turnCost && options.arrivedFrom ? options.arrivedFrom : null;
+
+  const departureMs = timeDependent ? Math.floor(Number(options.departureTime || Date.now()) / 60000) * 60000 : null;
+  const variantParts = [];
+  if (timeDependent) variantParts.push(`t${departureMs}`);
+  if (vehicle) variantParts.push(`v${vehicleKey(vehicle)}`);
+  if (overlay) variantParts.push(`o${overlay.key}`);
+  if (previous !== null) variantParts.push(`p${JSON.stringify(previous)}`);
+  const variant = variantParts.length > 0 ? variantParts.join('|') : undefined;
+
+  let edgeCost = getEdgeDistance;
+  if (timeDependent) {
+    const { speedProfiles = {}, utcOffsetMinutes = 0 } = options;
+    edgeCost = (edge, elapsedMinutes) =>
+      getEdgeTravelMinutes(edge, departureMs + elapsedMinutes * 60 * 1000, speedProfiles, utcOffsetMinutes);
+  }
+  let heuristic = null;
+  if (!timeDependent && options.algorithm === 'astar') {
+    heuristic = createHeuristic(options.nodes, end);
+  }
+  if (overlay) {
+    const baseCost = edgeCost;
+    edgeCost = (edge, elapsed, from, to) => baseCost(edge, elapsed) * overlay.multiplier(from, to);
+    // Multipliers below 1 make edges cheaper than the straight line; scale the estimate to stay admissible
+    const estimate = heuristic;
+    if (estimate && overlay.minMultiplier < 1) heuristic = node => estimate(node) * overlay.minMultiplier;
+  }
+  const edgeFilter = vehicle || overlay
+    ? (edge, from, to) => (!vehicle || canTraverse(edge, vehicle)) && (!overlay || overlay.allows(from, to))
+    : null;
+
+  return { timeDependent, vehicle, overlay, variant, hooks: { heuristic, edgeCost, edgeFilter, turnCost, previous } };
+}
+
+/**
+ * Helper: Total edge distance along a node path.
+ * @param {Object} graph - Adjacency list
+ * @param {string[]} path - Consecutive nodes
+ * @returns {number}
+ */
+function measurePath(graph, path) {
+  let distance = 0;
+  for (let i = 1; i < path.length; i++) {
+    distance += getEdgeDistance(graph[path[i - 1]][path[i]]);
+  }
+  return distance;
+}
+
+/**
+ * Helper: Uncached search behind calculateShortestPath.
+ * Dijkstra when heuristic is null; otherwise A* (priority = distance + heuristic(node),
+ * stops as soon as the end node is settled). edgeCost generalises the label: by default edge
+ * distance; time-dependent searches pass (edge, elapsedMinutes) => minutes.
+ * With turnCost the search runs over (previous node, node) states instead, since the cost of
+ * leaving a node then depends on how it was entered (see findShortestPathWithTurns).
+ * @param {Object} graph - Adjacency list
+ * @param {string} start - Start node
+ * @param {string} end - End node
+ * @param {Object} [search={}] - Search hooks
+ * @param {Function|null} [search.heuristic=null] - Admissible estimate of remaining distance per node
+ * @param {Function} [search.edgeCost] - (edge, labelAtCurrent, from, to) => non-negative cost (default: edge distance)
+ * @param {Function|null} [search.edgeFilter=null] - (edge, from, to) => boolean; false skips the edge
+ * @param {Function|null} [search.turnCost=null] - (previous, node, next) => non-negative extra cost
+ * @param {string|null} [search.previous=null] - Node the route arrives at start from (turn costs only)
+ * @returns {Object} - { distance: number, path: string[] } (distance = label at end)
+ */
+function findShortestPath(graph, start, end, search = {}) {
+  const { heuristic = null, edgeCost = getEdgeDistance, edgeFilter = null } = search;
   if (start === end) {
-    const result = { distance: 0, path: [start] };
-    if (routeCache) routeCache.set(normalizeKey(start, end), result);
-    return result;
+    return { distance: 0, path: [start] };
   }
   if (!graph[start] || !graph[end]) {
-    const result = { distance: Infinity, path: [] };
-    if (routeCache) routeCache.set(normalizeKey(start, end), result);
-    return result;
+    return { distance: Infinity, path: [] };
   }
+  if (search.turnCost) return findShortestPathWithTurns(graph, start, end, search);
 
   const MinHeap = require('./minHeap'); // Lazy import for clean structure
   const heap = new MinHeap();
+  const estimate = node => (heuristic ? heuristic(node) : 0);
 
-  // Dijkstra with prev tracking + MinHeap PQ
+  // Dijkstra/A* with prev tracking + MinHeap PQ
   const distances = {};
   const previous = {};
   const visited = new Set();
@@ -57,26 +247,28 @@ function calculateShortestPath(graph, start, end, routeCache = null) {
     previous[node] = null;
   });
   distances[start] = 0;
-  heap.insert(start, 0); // Start with priority=dist
+  heap.insert(start, estimate(start)); // Start with priority=dist (+ estimate for A*)
 
   while (!heap.isEmpty()) {
     const minItem = heap.extractMin();
     const current = minItem.node;
-    const currentDist = minItem.priority;
+    const currentDist = distances[current];
     
     // Skip outdated entries (from re-inserts/decreaseKey)
-    if (visited.has(current) || currentDist > distances[current]) continue;
+    if (visited.has(current) || minItem.priority > currentDist + estimate(current)) continue;
     visited.add(current);
+    if (heuristic && current === end) break; // A*: end settled, remaining nodes cannot improve it
 
     // Update neighbors via edges
     if (graph[current]) {
-      Object.entries(graph[current]).forEach(([neighbor, weight]) => {
+      Object.entries(graph[current]).forEach(([neighbor, edge]) => {
         if (visited.has(neighbor)) return;
-        const newDist = currentDist + weight;
+        if (edgeFilter && !edgeFilter(edge, current, neighbor)) return; // restricted (vehicle, excluded edge)
+        const newDist = currentDist + edgeCost(edge, currentDist, current, neighbor);
         if (newDist < distances[neighbor]) {
           distances[neighbor] = newDist;
           previous[neighbor] = current;
-          heap.decreaseKey(neighbor, newDist); // Re-insert or update
+          heap.decreaseKey(neighbor, newDist + estimate(neighbor)); // Re-insert or update
         }
       });
     }
@@ -93,17 +285,63 @@ function calculateShortestPath(graph, start, end, routeCache = null) {
     }
     // Validate path starts at 'start'
     if (path[0] !== start) {
-      const result = { distance: Infinity, path: [] };
-      if (routeCache) routeCache.set(normalizeKey(start, end), result);
-      return result;
+      return { distance: Infinity, path: [] };
     }
   } else {
     distance = Infinity;
     path = [];
   }
-  const result = { distance, path };
-  if (routeCache) routeCache.set(normalizeKey(start, end), result); // Cache for future hits (normalized)
-  return result;
+  return { distance, path };
+}
+
+/**
+ * Helper: findShortestPath over (previous node, node) states so turn costs can be charged:
+ * leaving node for next costs turnCost(previous, node, next) + edgeCost. Paths may pass a node
+ * twice when that beats a penalised turn (e.g. around the block instead of a U-turn).
+ * Same hooks and result as findShortestPath; start !== end and both are graph nodes.
+ */
+function findShortestPathWithTurns(graph, start, end, search) {
+  const { heuristic = null, edgeCost = getEdgeDistance, edgeFilter = null, turnCost, previous = null } = search;
+  const MinHeap = require('./minHeap');
+  const heap = new MinHeap();
+  const estimate = node => (heuristic ? heuristic(node) : 0);
+  const stateKey = (from, node) => JSON.stringify([from, node]);
+
+  const labels = new Map();
+  const states = new Map(); // key -> { node, from, parent (state key) }
+  const settled = new Set();
+  const startKey = stateKey(previous, start);
+  labels.set(startKey, 0);
+  states.set(startKey, { node: start, from: previous, parent: null });
+  heap.insert(startKey, estimate(start));
+
+  while (!heap.isEmpty()) {
+    const { node: key, priority } = heap.extractMin();
+    const label = labels.get(key);
+    const state = states.get(key);
+    if (settled.has(key) || priority > label + estimate(state.node)) continue; // outdated entry
+    settled.add(key);
+    if (state.node === end) {
+      const path = [];
+      for (let at = key; at !== null; at = states.get(at).parent) path.unshift(states.get(at).node);
+      return { distance: label, path };
+    }
+
+    Object.entries(graph[state.node]).forEach(([neighbor, edge]) => {
+      if (!graph[neighbor]) return; // same as Dijkstra: nodes without an entry are unreachable
+      if (edgeFilter && !edgeFilter(edge, state.node, neighbor)) return;
+      const nextKey = stateKey(state.node, neighbor);
+      if (settled.has(nextKey)) return;
+      const turn = state.from === null ? 0 : turnCost(state.from, state.node, neighbor);
+      const nextLabel = label + turn + edgeCost(edge, label + turn, state.node, neighbor);
+      if (!labels.has(nextKey) || nextLabel < labels.get(nextKey)) {
+        labels.set(nextKey, nextLabel);
+        states.set(nextKey, { node: neighbor, from: state.node, parent: key });
+        heap.decreaseKey(nextKey, nextLabel + estimate(neighbor));
+      }
+    });
+  }
+  return { distance: Infinity, path: [] };
 }
 
 // Backward compat wrapper (returns just distance for existing calls; no cache)
@@ -112,15 +350,300 @@ function calculateShortestDistance(graph, start, end) {
   return result.distance;
 }
 
+/**
+ * Helper: Resolve assignment options to concrete settings shared by all strategies.
+ * @param {Object} [options={}] - { timeWindowMode, latePenaltyPerMinute, searchOptions, explain, control, planningStartTime, clock }
+ * @returns {Object} - { timeWindowMode, latePenaltyPerMinute, searchOptions, explain, control, now }
+ *   (now: planning start, epoch ms; control: RunControl for cancellation/progress, inert by default)
+ */
+function resolveAssignmentOptions(options = {}) {
+  const {
+    timeWindowMode = DEFAULT_TIME_WINDOW_MODE,
+    latePenaltyPerMinute = DEFAULT_LATE_PENALTY_PER_MINUTE,
+    searchOptions = {},
+    explain = false,
+    control = new RunControl()
+  } = options;
+  return { timeWindowMode, latePenaltyPerMinute, searchOptions, explain, control, now: resolvePlanningStart(options) };
+}
+
+/**
+ * Evaluate appending an order to a driver's stop sequence.
+ * Checks availability, capacity (peak on-board load), reachability, time window (hard mode) and shiftEndTime
+ * (service time and breaks included, see schedule.js),
+ * then scores the candidate (lower better).
+ * For paired orders (pickupLocation) distance/path run via the pickup and pickup holds { distance, path, eta }
+ * of the leg to it. Drivers with an endLocation must also reach it within their shift from the new
+ * stop (returnLeg { distance, eta }); the score includes the change in return distance.
+ * @param {Object} driver - Driver state (prepared driver plus routeTail/routeMinutes/assignedLoad)
+ * @param {Object} order - Prepared order
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} routeCache - Optional shared cache for paths
+ * @param {Object} settings - Resolved options (see resolveAssignmentOptions)
+ * @returns {Object|null} - { assignmentScore, scoreBreakdown, distance, path, eta, window, pickup, returnLeg } or null if infeasible
+ *   (window is the visitStop result at the destination: arrival/serviceStart/departure, wait, lateness)
+ */
+function evaluateCandidate(driver, order, graph, routeCache, settings) {
+  return assessCandidate(driver, order, graph, routeCache, settings).candidate || null;
+}
+
+/**
+ * Same checks as evaluateCandidate, but says why a driver cannot take the order.
+ * @returns {Object} - { candidate } when feasible, else { rejection: { reason, ...detail } } with reason
+ *   one of REJECTION_REASONS (detail: overBy for capacity, overByMinutes for shift end, lateByMinutes for deadlines)
+ */
+function assessCandidate(driver, order, graph, routeCache, settings) {
+  if (!driver.availability) return reject(REJECTION_REASONS.DRIVER_UNAVAILABLE);
+  if (!servesOrderDepot(driver, order)) return reject(REJECTION_REASONS.DEPOT_MISMATCH); // order tied to another hub
+
+  // Capacity check against the peak on-board load (see checkOrderLoad)
+  if (!checkOrderLoad(driver, order)) {
+    return reject(REJECTION_REASONS.CAPACITY_EXCEEDED, { overBy: capacityOverflow(driver, order) });
+  }
+
+  // Next leg starts at the driver's last assigned stop (or start location for the first stop)
+  const start = driver.routeTail || getStartLocation(driver);
+  const end = order.destination;
+  const rules = getBreakRules(driver);
+  const serviceMinutes = getServiceMinutes(order, driver);
+  // Timeline continues from the departure at the previous stop (service, waits and breaks included)
+  let timeline = startTimeline(driver, settings.now);
+  // Paired orders go via their pickup right before the drop-off (same driver, pickup first)
+  let pickup = null;
+  let legStart = start;
+  if (order.pickupLocation) {
+    const pickupLeg = routeLeg(graph, start, order.pickupLocation, routeCache, settings, driver, timeline.minutes,
+      driver.routeArrivedFrom);
+    if (pickupLeg.distance === Infinity) return reject(REJECTION_REASONS.UNREACHABLE);
+    const visit = visitStop(timeline, { legMinutes: pathToMinutes(pickupLeg), serviceMinutes }, rules, settings.now);
+    pickup = { distance: pickupLeg.distance, path: pickupLeg.path, eta: visit.arrival };
+    timeline = visit.timeline;
+    legStart = order.pickupLocation;
+  }
+  const legArrivedFrom = pickup ? arrivalNode(pickup.path, driver.routeArrivedFrom) : driver.routeArrivedFrom;
+  const pathResult = routeLeg(graph, legStart, end, routeCache, settings, driver, timeline.minutes, legArrivedFrom);
+  if (pathResult.distance === Infinity) return reject(REJECTION_REASONS.UNREACHABLE);
+  const distance = (pickup ? pickup.distance : 0) + pathResult.distance;
+  const path = pickup ? [...pickup.path, ...pathResult.path.slice(1)] : pathResult.path;
+
+  // Cumulative ETA along the stop sequence (driving + breaks), then wait and service at the stop
+  const visit = visitStop(timeline, { legMinutes: pathToMinutes(pathResult), serviceMinutes, order }, rules, settings.now);
+  const etaMinutes = visit.arrival;
+  if (settings.timeWindowMode === 'hard' && !visit.onTime) {
+    return reject(REJECTION_REASONS.DEADLINE_MISSED, { lateByMinutes: visit.lateByMinutes });
+  }
+  const shiftEnd = driver.parsedShiftEnd; // pre-parsed in loader
+  const serviceStart = new Date(settings.now + visit.serviceStart * 60 * 1000);
+  // Cannot assign if the stop (incl. service) ends after the shift
+  if (shiftEnd && settings.now + visit.departure * 60 * 1000 > shiftEnd.getTime()) {
+    return rejectShiftEnd(settings.now, visit.departure, shiftEnd);
+  }
+
+  // Routes ending at a depot: the return leg from this stop must fit the shift as well
+  const endLocation = getEndLocation(driver);
+  let returnLeg = null;
+  if (endLocation) {
+    const leg = routeLeg(graph, end, endLocation, routeCache, settings, driver, visit.departure,
+      arrivalNode(path, driver.routeArrivedFrom));
+    if (leg.distance === Infinity) return reject(REJECTION_REASONS.UNREACHABLE);
+    const back = visitStop(visit.timeline, { legMinutes: pathToMinutes(leg) }, rules, settings.now);
+    returnLeg = { distance: leg.distance, eta: back.arrival };
+    if (shiftEnd && settings.now + returnLeg.eta * 60 * 1000 > shiftEnd.getTime()) {
+      return rejectShiftEnd(settings.now, returnLeg.eta, shiftEnd);
+    }
+  }
+  const returnDelta = returnLeg ? returnLeg.distance - (driver.returnDistance || 0) : 0;
+
+  // Updated scoring: distance + etaFactor + timeWindowPenalty - priorityBonus (lower better)
+  // (balances dist, time, capacity/time windows)
+  const priority = order.priority || 1;
+  const etaFactor = etaMinutes / 10; // penalize long ETAs
+  const timePenalty = shiftEnd ? (shiftEnd - serviceStart) / (1000 * 60 * 10) : 0; // bonus for buffer
+  const latePenalty = visit.lateByMinutes * settings.latePenaltyPerMinute; // soft mode only (hard rejected above)
+  const priorityBonus = priority * 5;
+  const assignmentScore = distance + returnDelta + etaFactor - priorityBonus - timePenalty + latePenalty;
+  // Named parts of the score (score = distance + returnDistance + etaFactor - priorityBonus - timePenalty + latePenalty)
+  const scoreBreakdown = { distance, returnDistance: returnDelta, etaFactor, priorityBonus, timePenalty, latePenalty };
+
+  return {
+    candidate: { assignmentScore, scoreBreakdown, distance, path, eta: etaMinutes, window: visit, pickup, returnLeg }
+  };
+}
+
+/**
+ * Helper: Rejection result for assessCandidate.
+ */
+function reject(reason, detail = {}) {
+  return { rejection: { reason, ...detail } };
+}
+
+/**
+ * Helper: Shift-end rejection with the minutes the timeline runs past shiftEndTime.
+ */
+function rejectShiftEnd(now, minutes, shiftEnd) {
+  const overByMinutes = Math.ceil((now + minutes * 60 * 1000 - shiftEnd.getTime()) / (60 * 1000));
+  return reject(REJECTION_REASONS.SHIFT_END_EXCEEDED, { overByMinutes });
+}
+
+/**
+ * Helper: Shortest leg for a driver departing startMinutes after planning start
+ * (departure time matters for time-dependent searches; vehicle restrictions apply).
+ * arrivedFrom is the node the driver reached start from, for overlay turn penalties (as in tours).
+ */
+function routeLeg(graph, start, end, routeCache, settings, driver, startMinutes, arrivedFrom = null) {
+  return calculateShortestPath(graph, start, end, routeCache, {
+    ...settings.searchOptions,
+    departureTime: settings.now + startMinutes * 60 * 1000,
+    vehicle: getVehicleProfile(driver),
+    arrivedFrom
+  });
+}
+
+/**
+ * Helper: Node a path reaches its last node from (fallback for paths that do not move).
+ */
+function arrivalNode(path, fallback = null) {
+  return path.length > 1 ? path[path.length - 2] : fallback;
+}
+
+/**
+ * Helper: Check an order against the driver's peak on-board load.
+ * Delivery-only orders are loaded at the start, so they ride along every existing stop
+ * (peak + size). Paired orders are picked up after all earlier drop-offs and delivered
+ * right away, so they only need room for themselves.
+ * @param {Object} driver - Driver state (peakLoad)
+ * @param {Object} order - Prepared order
+ * @returns {boolean}
+ */
+function checkOrderLoad(driver, order) {
+  if (order.pickupLocation) return fitsCapacity(driver.capacity, undefined, order.size);
+  return fitsCapacity(driver.capacity, driver.peakLoad, order.size);
+}
+
+/**
+ * Helper: Per-dimension amount by which an order overflows the driver's capacity
+ * (only dimensions that overflow), measured the same way as checkOrderLoad.
+ * @returns {Object} - { dimension: overflow }
+ */
+function capacityOverflow(driver, order) {
+  const onBoard = order.pickupLocation ? undefined : driver.peakLoad;
+  const total = toDimensions(addLoad(driver.capacity, onBoard, order.size));
+  const limits = toDimensions(driver.capacity);
+  const overBy = {};
+  Object.keys(limits).forEach(dim => {
+    if (total[dim] > limits[dim]) overBy[dim] = total[dim] - limits[dim];
+  });
+  return overBy;
+}
+
+/**
+ * Explain an assignment decision (config.explain): the chosen candidate's score parts and every
+ * other driver ranked at decision time. Feasible rivals come first by score, with reason
+ * HIGHER_SCORE, or STRATEGY_CHOICE when a strategy (hungarian, regret, custom) picked a driver
+ * that does not have the lowest score for this order; excluded drivers follow with their
+ * rejection reason (see REJECTION_REASONS). Call before commitAssignment (driver states must not
+ * include this order yet).
+ * @param {Array} driverStates - All driver states at decision time
+ * @param {Object} chosenDriver - Driver state that gets the order
+ * @param {Object} chosenCandidate - evaluateCandidate result for the chosen driver
+ * @param {Object} order - Prepared order
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} routeCache - Optional shared cache for paths
+ * @param {Object} settings - Resolved options (see resolveAssignmentOptions)
+ * @returns {Object} - { scoreBreakdown, alternatives: [{ driverId, feasible, reason, assignmentScore?, scoreGap?, scoreBreakdown?, ...detail }] }
+ */
+function explainDecision(driverStates, chosenDriver, chosenCandidate, order, graph, routeCache, settings) {
+  const feasible = [];
+  const excluded = [];
+  driverStates.filter(driver => driver !== chosenDriver).forEach(driver => {
+    const { candidate, rejection } = assessCandidate(driver, order, graph, routeCache, settings);
+    if (!candidate) {
+      excluded.push({ driverId: driver.id, feasible: false, ...rejection });
+      return;
+    }
+    const scoreGap = candidate.assignmentScore - chosenCandidate.assignmentScore;
+    feasible.push({
+      driverId: driver.id,
+      feasible: true,
+      reason: scoreGap > 0 ? 'HIGHER_SCORE' : 'STRATEGY_CHOICE',
+      assignmentScore: candidate.assignmentScore,
+      scoreGap,
+      scoreBreakdown: candidate.scoreBreakdown
+    });
+  });
+  feasible.sort((a, b) => a.assignmentScore - b.assignmentScore);
+  return { scoreBreakdown: chosenCandidate.scoreBreakdown, alternatives: [...feasible, ...excluded] };
+}
+
+/**
+ * Append an evaluated order to the driver's stop sequence and build the assignment.
+ * Mutates the driver state (assigned/peak load, availability, routeTail/routeArrivedFrom/routeDistance/routeMinutes, stopCount,
+ * returnDistance, drivingSinceBreak/breakMinutes).
+ * @param {Object} driver - Driver state
+ * @param {Object} order - Prepared order
+ * @param {Object} candidate - Result of evaluateCandidate for this driver/order
+ * @param {Object|null} [explanation=null] - explainDecision result (config.explain)
+ * @returns {Object} - Assignment {driver, order, assignmentScore, distance, route, eta, stopIndex, lateByMinutes, onTime, pickupEta?, explanation?}
+ */
+function commitAssignment(driver, order, candidate, explanation = null) {
+  const { window } = candidate;
+  // Assign (distance/route describe the leg from the previous stop; eta is cumulative)
+  const assignment = {
+    driver,
+    order,
+    assignmentScore: candidate.assignmentScore,
+    distance: candidate.distance,
+    route: candidate.path,
+    eta: candidate.eta,
+    stopIndex: driver.stopCount || 0,
+    lateByMinutes: window.lateByMinutes,
+    onTime: window.onTime
+  };
+  if (candidate.pickup) assignment.pickupEta = candidate.pickup.eta;
+  if (explanation) assignment.explanation = explanation;
+
+  // Update driver state: mark unavailable once full (the shift limit, if any, is checked per candidate)
+  driver.assignedLoad = addLoad(driver.capacity, driver.assignedLoad, order.size);
+  driver.peakLoad = order.pickupLocation
+    ? maxLoad(driver.capacity, driver.peakLoad, order.size)
+    : addLoad(driver.capacity, driver.peakLoad, order.size);
+  if (isFull(driver.capacity, driver.peakLoad)) {
+    driver.availability = false; // fully utilized
+  }
+  // Advance the driver's stop sequence (next leg departs from this destination after wait and service)
+  driver.routeTail = order.destination;
+  driver.routeArrivedFrom = arrivalNode(candidate.path, driver.routeArrivedFrom || null);
+  driver.routeDistance = (driver.routeDistance || 0) + candidate.distance;
+  driver.routeMinutes = window.departure;
+  driver.drivingSinceBreak = window.timeline.drivingSinceBreak;
+  driver.breakMinutes = (driver.breakMinutes || 0) + window.timeline.breakMinutes;
+  driver.stopCount = (driver.stopCount || 0) + 1;
+  if (candidate.returnLeg) driver.returnDistance = candidate.returnLeg.distance;
+
+  return assignment;
+}
+
 /**
  * Distance-aware greedy assignment (phase 1).
+ * Honours order time windows: waits for earliestTime, and for deadlineTime either
+ * rejects late arrivals ('hard') or penalises each late minute in the score ('soft').
  * @param {Array} drivers - Prepared drivers (mutable for availability marking)
  * @param {Array} orders - Prepared orders
  * @param {Object} graph - Road network graph
- * @param {Map|null} [routeCache=null] - Optional shared cache for paths
- * @returns {Array} - Assignments [{driver, order, assignmentScore, distance}]
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache for paths
+ * @param {Object} [options={}] - Assignment options
+ * @param {string} [options.timeWindowMode='hard'] - 'hard' | 'soft' deadline handling
+ * @param {number} [options.latePenaltyPerMinute=1] - Soft mode score penalty per late minute
+ * @param {Object} [options.searchOptions] - Shortest-path options ({ algorithm, nodes, objective, speedProfiles, ... })
+ * @param {Date|number|string} [options.planningStartTime] - Planning start for ETAs/shift/deadline checks
+ * @param {Function} [options.clock] - Clock used when planningStartTime is not given (default Date.now)
+ * @param {boolean} [options.explain=false] - Attach an explanation (score parts + ranked rivals) to each assignment
+ * @param {RunControl} [options.control] - Checked before each order; stopping returns the assignments made so far
+ * @returns {Array} - Assignments [{driver, order, assignmentScore, distance, route, eta, stopIndex, lateByMinutes, onTime}]
  */
-function assignDriversToOrders(drivers, orders, graph, routeCache = null) {
+function assignDriversToOrders(drivers, orders, graph, routeCache = null, options = {}) {
+  const settings = resolveAssignmentOptions(options);
+
   // Work on copy to avoid mutating input (immutability)
   const availableDrivers = [...drivers].map(d => ({ ...d })); // shallow clone drivers
   const assignments = [];
@@ -128,73 +651,28 @@ function assignDriversToOrders(drivers, orders, graph, routeCache = null) {
   // Process orders (sorted by priority for better real-world greedy; descending)
   const sortedOrders = [...orders].sort((a, b) => (b.priority || 1) - (a.priority || 1));
 
-  for (const order of sortedOrders) {
+  for (const [index, order] of sortedOrders.entries()) {
+    if (settings.control.shouldStop()) break; // best plan so far
     let bestDriver = null;
-    let bestScore = Infinity;
-    let bestIndex = -1;
-    let bestDistance = Infinity;
-    let bestETA = 0;
-
-    // Find best available driver respecting capacity, shiftEndTime, via distance/ETA
-    for (let i = 0; i < availableDrivers.length; i++) {
-      const driver = availableDrivers[i];
-      if (!driver.availability) continue;
-
-      // Capacity check: cumulative assignedLoad + order.size <= capacity
-      const currentLoad = driver.assignedLoad || 0;
-      if (currentLoad + (order.size || 0) > driver.capacity) continue;
-
-      const start = driver.currentLocation || 'depot';
-      const end = order.destination;
-      const pathResult = calculateShortestPath(graph, start, end, routeCache);
-      const distance = pathResult.distance;
-      if (distance === Infinity) continue;
-
-      // Compute ETA to check shiftEndTime constraint (use pre-parsed for perf)
-      const etaMinutes = Math.round((distance / 30) * 60); // consistent speed
-      const estimatedArrival = new Date(Date.now() + etaMinutes * 60 * 1000);
-      const shiftEnd = driver.parsedShiftEnd; // pre-parsed in loader
-      if (shiftEnd && estimatedArrival > shiftEnd) continue; // cannot assign if exceeds shift
-
-      // Updated scoring: distance + etaFactor + timeWindowPenalty - priorityBonus (lower better)
-      // (balances dist, time, capacity/time windows)
-      const priority = order.priority || 1;
-      const etaFactor = etaMinutes / 10; // penalize long ETAs
-      const timePenalty = shiftEnd ? (shiftEnd - estimatedArrival) / (1000 * 60 * 10) : 0; // bonus for buffer
-      const assignmentScore = distance + etaFactor - (priority * 5) - timePenalty;
-
-      if (assignmentScore < bestScore) {
-        bestScore = assignmentScore;
-        bestDistance = distance;
-        bestETA = etaMinutes;
+    let bestCandidate = null;
+
+    // Find best available driver respecting capacity, shiftEndTime, time window via distance/ETA
+    for (const driver of availableDrivers) {
+      const candidate = evaluateCandidate(driver, order, graph, routeCache, settings);
+      if (candidate && (!bestCandidate || candidate.assignmentScore < bestCandidate.assignmentScore)) {
         bestDriver = driver;
-        bestIndex = i;
-        // Store full path/ETA for assignment
-        bestDriver._tempPath = pathResult.path;
-        bestDriver._tempETA = bestETA;
+        bestCandidate = candidate;
       }
     }
 
     if (bestDriver) {
-      // Assign
-      assignments.push({
-        driver: bestDriver,
-        order: order,
-        assignmentScore: bestScore,
-        distance: bestDistance,
-        route: bestDriver._tempPath || [bestDriver.currentLocation || 'depot', order.destination],
-        eta: bestDriver._tempETA || 0
-      });
-
-      // Update driver state: mark unavailable if shift tight, reduce capacity/load
-      bestDriver.assignedLoad = (bestDriver.assignedLoad || 0) + (order.size || 0);
-      if (bestDriver.assignedLoad >= bestDriver.capacity || !bestDriver.shiftEndTime) {
-        bestDriver.availability = false; // fully utilized
-      }
-      delete bestDriver._tempPath;
-      delete bestDriver._tempETA;
+      const explanation = settings.explain
+        ? explainDecision(availableDrivers, bestDriver, bestCandidate, order, graph, routeCache, settings)
+        : null;
+      assignments.push(commitAssignment(bestDriver, order, bestCandidate, explanation));
     }
-    // Else: no feasible driver for order (constraints violated)
+    // Else: no feasible driver for order (constraints violated; explained by explainUnassigned)
+    settings.control.progress('assignment', index + 1, sortedOrders.length);
   }
 
   return assignments;
@@ -203,29 +681,50 @@ function assignDriversToOrders(drivers, orders, graph, routeCache = null) {
 /**
  * Calculate fastest route and ETA using the graph (now uses full shortest path + reconstruction).
  * Supports optional routeCache.
+ * Single hop from driver.currentLocation (via the pickup for paired orders); multi-stop ETAs come
+ * from buildDriverTours (tours.js).
  * Explicitly handles unreachable routes (distance=0, route=[], isUnreachable flag).
  * @param {Object} driver - Driver object
  * @param {Object} order - Order object
  * @param {Object} graph - Road network graph
- * @param {Map|null} [routeCache=null] - Optional shared cache
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache
+ * @param {Object} [options={}] - Shortest-path options ({ algorithm, nodes, objective, speedProfiles, ... })
+ *   plus planningStartTime/clock for estimatedArrival (default Date.now()) and logger ({ warn, ... }; silent by default)
  * @returns {Object} - { route: Array, distance: number, eta: number, isUnreachable?: boolean }
  */
-function calculateRouteAndETA(driver, order, graph, routeCache = null) {
-  const start = driver.currentLocation || 'depot';
+function calculateRouteAndETA(driver, order, graph, routeCache = null, options = {}) {
+  const start = getStartLocation(driver);
   const end = order.destination;
+  const { planningStartTime, clock, logger, ...pathOptions } = options;
+  const now = resolvePlanningStart({ planningStartTime, clock });
   
   // Use full path result (reuses enhanced Dijkstra; cache if provided)
-  const pathResult = calculateShortestPath(graph, start, end, routeCache);
+  const searchOptions = { vehicle: getVehicleProfile(driver), departureTime: now, ...pathOptions };
+  let pathResult;
+  if (order.pickupLocation) {
+    // Paired orders: start -> pickupLocation -> destination
+    const toPickup = calculateShortestPath(graph, start, order.pickupLocation, routeCache, searchOptions);
+    const toDestination = calculateShortestPath(graph, order.pickupLocation, end, routeCache, searchOptions);
+    pathResult = toPickup.distance === Infinity || toDestination.distance === Infinity
+      ? { distance: Infinity, path: [] }
+      : {
+        distance: toPickup.distance + toDestination.distance,
+        path: [...toPickup.path, ...toDestination.path.slice(1)],
+        eta: pathToMinutes(toPickup) + pathToMinutes(toDestination)
+      };
+  } else {
+    pathResult = calculateShortestPath(graph, start, end, routeCache, searchOptions);
+  }
   const distance = pathResult.distance;
-  const speedKmh = 30; // average speed assumption
-  const etaMinutes = distance !== Infinity ? Math.round((distance / speedKmh) * 60) : 0;
+  const isUnreachable = distance === Infinity;
+  let etaMinutes = 0;
+  if (!isUnreachable) etaMinutes = pathResult.eta !== undefined ? pathResult.eta : pathToMinutes(pathResult);
   
   // Full reconstructed route path from Dijkstra
   const route = pathResult.path.length > 0 ? pathResult.path : [];
-  const isUnreachable = distance === Infinity;
   
   if (isUnreachable) {
-    console.warn(`Warning: No route from ${start} to ${end} (unreachable in graph)`);
+    toLogger(logger).warn(`Warning: No route from ${start} to ${end} (unreachable in graph)`);
   }
   
   return {
@@ -233,13 +732,25 @@ function calculateRouteAndETA(driver, order, graph, routeCache = null) {
     distance: distance !== Infinity ? distance : 0,
     eta: etaMinutes,
     isUnreachable,
-    estimatedArrival: new Date(Date.now() + etaMinutes * 60 * 1000).toISOString()
+    estimatedArrival: new Date(now + etaMinutes * 60 * 1000).toISOString()
   };
 }
 
 module.exports = {
+  PATH_ALGORITHMS,
+  REJECTION_REASONS,
+  AVERAGE_SPEED_KMH,
+  distanceToMinutes,
+  pathToMinutes,
   assignDriversToOrders,
+  resolveAssignmentOptions,
+  evaluateCandidate,
+  assessCandidate,
+  explainDecision,
+  commitAssignment,
   calculateRouteAndETA,
   calculateShortestDistance, // export for testing (compat)
-  calculateShortestPath // full path version
+  calculateShortestPath, // full path version
+  resolveSearch, // search hooks (alternative routes)
+  findShortestPath // uncached search (alternative routes)
 };
\ No newline at end of file
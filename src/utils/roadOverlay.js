@@ -0,0 +1,185 @@
+/**
+ * Road overlays: per-request changes to a road network that searches apply on the fly, so the
+ * base graph is never cloned or mutated (roadworks and incidents change daily, the graph does not).
+ * An overlay is a plain object:
+ * - closedEdges: [{ from, to }] edges no route may use (list both directions for a two-way road)
+ * - avoidNodes: [node] nodes no route may enter (a search may still start at one)
+ * - edgeMultipliers: [{ from, to, multiplier }] scale an edge's cost (distance, or travel time for
+ *   time-dependent searches): above 1 discourages the edge, below 1 favours it. Reported
+ *   distances stay the real edge distances.
+ * - uTurnPenalty: cost added where a route turns straight back (a -> b -> a)
+ * - turnPenalty: cost added where the heading changes by more than turnAngleDegrees (default 45),
+ *   measured from node coordinates (nodes without coordinates are never penalised)
+ * Penalties use the search's cost unit: km for distance searches, minutes for time-dependent ones.
+ * Overlays are validated and compiled once per distinct content (not per object, so editing an
+ * overlay between searches takes effect); the compiled key becomes part of route cache variants,
+ * so results computed under different overlays never mix.
+ */
+
+const crypto = require('crypto');
+const { InputValidationError } = require('./validator');
+
+const DEFAULT_TURN_ANGLE_DEGREES = 45;
+
+// Compiled overlays by content (JSON text), oldest dropped first; a run reuses one overlay for every search
+const MAX_COMPILED_OVERLAYS = 100;
+const compiledOverlays = new Map();
+
+/**
+ * Check an overlay's shape (node references are checked by checkOverlayReferences).
+ * @param {Object} overlay - { closedEdges?, avoidNodes?, edgeMultipliers?, uTurnPenalty?, turnPenalty?, turnAngleDegrees? }
+ * @param {string} [label='overlay'] - Name used in error messages (e.g. 'config.overlay')
+ */
+function validateOverlay(overlay, label = 'overlay') {
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    throw new InputValidationError(`${label} must be an object`);
+  }
+  const { closedEdges = [], avoidNodes = [], edgeMultipliers = [] } = overlay;
+  const isNodeId = value => typeof value === 'string' && value.trim() !== '';
+  const checkEdges = (edges, field, extra = () => true, requirement = '{ from, to } with node ids') => {
+    if (!Array.isArray(edges)) throw new InputValidationError(`${label}.${field} must be an array`);
+    edges.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || !isNodeId(entry.from) || !isNodeId(entry.to) || !extra(entry)) {
+        throw new InputValidationError(`${label}.${field}[${index}] must be ${requirement}`);
+      }
+    });
+  };
+  checkEdges(closedEdges, 'closedEdges');
+  checkEdges(edgeMultipliers, 'edgeMultipliers',
+    ({ multiplier }) => typeof multiplier === 'number' && multiplier > 0 && Number.isFinite(multiplier),
+    '{ from, to, multiplier } with node ids and a positive multiplier');
+  if (!Array.isArray(avoidNodes) || !avoidNodes.every(isNodeId)) {
+    throw new InputValidationError(`${label}.avoidNodes must be an array of node ids`);
+  }
+  ['uTurnPenalty', 'turnPenalty'].forEach(field => {
+    const value = overlay[field];
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0) || !Number.isFinite(value))) {
+      throw new InputValidationError(`${label}.${field} must be a non-negative number`);
+    }
+  });
+  const { turnAngleDegrees } = overlay;
+  if (turnAngleDegrees !== undefined && (typeof turnAngleDegrees !== 'number' || !(turnAngleDegrees > 0 && turnAngleDegrees < 180))) {
+    throw new InputValidationError(`${label}.turnAngleDegrees must be a number between 0 and 180`);
+  }
+}
+
+/**
+ * Check that an overlay names edges and nodes of the graph (typos would otherwise be ignored).
+ * @param {Object} overlay - Validated overlay
+ * @param {Object} graph - Adjacency list
+ * @param {string} [label='overlay'] - Name used in error messages
+ */
+function checkOverlayReferences(overlay, graph, label = 'overlay') {
+  const hasEdge = ({ from, to }) => Boolean(graph[from]) && Object.prototype.hasOwnProperty.call(graph[from], to);
+  ['closedEdges', 'edgeMultipliers'].forEach(field => (overlay[field] || []).forEach((entry, index) => {
+    if (!hasEdge(entry)) {
+      throw new InputValidationError(`${label}.${field}[${index}] '${entry.from}' -> '${entry.to}' is not an edge in the graph`);
+    }
+  }));
+  const graphNodes = new Set(Object.keys(graph));
+  Object.values(graph).forEach(connections => Object.keys(connections).forEach(node => graphNodes.add(node)));
+  (overlay.avoidNodes || []).forEach((node, index) => {
+    if (!graphNodes.has(node)) {
+      throw new InputValidationError(`${label}.avoidNodes[${index}] '${node}' is not a node in the graph`);
+    }
+  });
+}
+
+/**
+ * Compile an overlay for searches (validated on first use, then cached by content).
+ * @param {Object|null|undefined} overlay
+ * @returns {Object|null} - { key, allows(from, to), multiplier(from, to), minMultiplier, uTurnPenalty,
+ *   turnPenalty, turnAngleDegrees }, or null when there is no overlay or it changes nothing
+ */
+function compileOverlay(overlay) {
+  if (overlay === undefined || overlay === null) return null;
+  const content = JSON.stringify(overlay);
+  if (compiledOverlays.has(content)) return compiledOverlays.get(content);
+  validateOverlay(overlay);
+
+  const {
+    closedEdges = [],
+    avoidNodes = [],
+    edgeMultipliers = [],
+    uTurnPenalty = 0,
+    turnPenalty = 0,
+    turnAngleDegrees = DEFAULT_TURN_ANGLE_DEGREES
+  } = overlay;
+  const closed = new Set(closedEdges.map(({ from, to }) => edgeKey(from, to)));
+  const avoided = new Set(avoidNodes);
+  const multipliers = new Map();
+  edgeMultipliers.forEach(({ from, to, multiplier }) => {
+    const key = edgeKey(from, to);
+    multipliers.set(key, (multipliers.get(key) || 1) * multiplier); // repeated entries compound
+  });
+
+  const changesNothing = closed.size === 0 && avoided.size === 0 && multipliers.size === 0 &&
+    uTurnPenalty === 0 && turnPenalty === 0;
+  const result = changesNothing ? null : {
+    // Order-independent fingerprint: the same overlay always maps to the same cache variant
+    key: crypto.createHash('sha1').update(JSON.stringify([
+      [...closed].sort(),
+      [...avoided].sort(),
+      [...multipliers.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+      uTurnPenalty,
+      turnPenalty,
+      turnPenalty > 0 ? turnAngleDegrees : null
+    ])).digest('hex').slice(0, 16),
+    allows: (from, to) => !avoided.has(to) && !closed.has(edgeKey(from, to)),
+    multiplier: multipliers.size === 0 ? () => 1 : (from, to) => multipliers.get(edgeKey(from, to)) || 1,
+    minMultiplier: Math.min(1, ...multipliers.values()),
+    uTurnPenalty,
+    turnPenalty,
+    turnAngleDegrees
+  };
+  compiledOverlays.set(content, result);
+  if (compiledOverlays.size > MAX_COMPILED_OVERLAYS) compiledOverlays.delete(compiledOverlays.keys().next().value);
+  return result;
+}
+
+/**
+ * Turn cost for a compiled overlay: (previous, node, next) => extra cost of going previous -> node -> next.
+ * @param {Object|null} overlay - compileOverlay result
+ * @param {Object} [nodes] - Node coordinates for turn angles
+ * @returns {Function|null} - null when the overlay has no turn penalties
+ */
+function createTurnCost(overlay, nodes) {
+  if (!overlay || (overlay.uTurnPenalty === 0 && overlay.turnPenalty === 0)) return null;
+  const { uTurnPenalty, turnPenalty, turnAngleDegrees } = overlay;
+  return (previous, node, next) => {
+    if (next === previous) return uTurnPenalty;
+    if (turnPenalty === 0 || !nodes) return 0;
+    const angle = turnAngle(nodes[previous], nodes[node], nodes[next]);
+    return angle > turnAngleDegrees ? turnPenalty : 0;
+  };
+}
+
+/**
+ * Helper: Change of heading (0..180 degrees) at b on the way a -> b -> c; 0 if a point lacks coordinates.
+ * Geographic points use a local flat projection (fine at intersection scale).
+ */
+function turnAngle(a, b, c) {
+  if (!a || !b || !c) return 0;
+  const heading = (from, to) => {
+    if (from.lat === undefined) return Math.atan2(to.y - from.y, to.x - from.x);
+    const scale = Math.cos(((from.lat + to.lat) / 2) * Math.PI / 180);
+    return Math.atan2(to.lat - from.lat, (to.lon - from.lon) * scale);
+  };
+  const change = Math.abs(heading(b, c) - heading(a, b)) * 180 / Math.PI;
+  return change > 180 ? 360 - change : change;
+}
+
+/**
+ * Helper: Unambiguous key for a directed edge.
+ */
+function edgeKey(from, to) {
+  return JSON.stringify([from, to]);
+}
+
+module.exports = {
+  DEFAULT_TURN_ANGLE_DEGREES,
+  validateOverlay,
+  checkOverlayReferences,
+  compileOverlay,
+  createTurnCost
+};
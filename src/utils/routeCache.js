@@ -0,0 +1,135 @@
+/**
+ * Bounded, direction-aware route cache for shortest-path results.
+ * - Keys are directional (start -> end) so one-way graphs stay correct;
+ *   opt-in symmetric mode shares entries between A->B and B->A (path reversed on read).
+ * - LRU bound: least recently used entry evicted once maxEntries is exceeded.
+ * - Counters for hits/misses/evictions (reported in optimizeDelivery summary).
+ * - Optional variant per entry (e.g. departure minute for time-dependent searches) so results
+ *   computed under different conditions never mix.
+ * A cache instance can be passed across optimizeDelivery calls (config.routeCache);
+ * it is tied to one graph and clears itself when used with a different one.
+ */
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Helper: Cheap structural signature of a graph (FNV-1a over its JSON form).
+ * @param {Object} graph - Road network graph
+ * @returns {string} - Hex hash
+ */
+function graphSignature(graph) {
+  const text = JSON.stringify(graph);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+class RouteCache {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.maxEntries=10000] - LRU bound (positive integer)
+   * @param {boolean} [options.symmetric=false] - Share entries between directions (undirected graphs only)
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, symmetric = false } = {}) {
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+      throw new Error('RouteCache maxEntries must be a positive integer');
+    }
+    this.maxEntries = maxEntries;
+    this.symmetric = symmetric;
+    this.entries = new Map(); // insertion order = recency order (oldest first)
+    this.graphSignature = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  _key(start, end, variant) {
+    const pair = this.symmetric && end < start ? [end, start] : [start, end];
+    return JSON.stringify(variant === undefined ? pair : [...pair, variant]);
+  }
+
+  /**
+   * Look up a cached route (counts a hit or miss).
+   * @param {string} start
+   * @param {string} end
+   * @param {string} [variant] - Search conditions the entry was computed under
+   * @returns {{distance: number, path: string[]}|undefined}
+   */
+  get(start, end, variant) {
+    const key = this._key(start, end, variant);
+    const cached = this.entries.get(key);
+    if (!cached) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, cached);
+    // Symmetric mode: entry may have been stored for the opposite direction
+    if (cached.path.length > 0 && cached.path[0] !== start) {
+      return { ...cached, path: [...cached.path].reverse() };
+    }
+    return cached;
+  }
+
+  /**
+   * Store a route, evicting the least recently used entry when full.
+   * @param {string} start
+   * @param {string} end
+   * @param {{distance: number, path: string[]}} result
+   * @param {string} [variant] - Search conditions the entry was computed under
+   */
+  set(start, end, result, variant) {
+    const key = this._key(start, end, variant);
+    this.entries.delete(key);
+    this.entries.set(key, result);
+    if (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Bind the cache to a graph; entries computed on a different graph are dropped.
+   * @param {Object} graph - Road network graph
+   */
+  useGraph(graph) {
+    const signature = graphSignature(graph);
+    if (this.graphSignature !== null && this.graphSignature !== signature) {
+      this.entries.clear();
+    }
+    this.graphSignature = signature;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @returns {{hits: number, misses: number, evictions: number, size: number, maxEntries: number}}
+   */
+  getStats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      size: this.entries.size,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+module.exports = {
+  RouteCache,
+  graphSignature,
+  DEFAULT_MAX_ENTRIES
+};
@@ -0,0 +1,105 @@
+/**
+ * Run control for long optimisations.
+ * - Cancellation: an AbortSignal (config.signal) and/or a time budget (config.timeLimitMs).
+ *   Strategies check shouldStop() between assignment steps and return what they have so far;
+ *   the check is cooperative, so a synchronous run can be aborted from a progress listener.
+ * - Structured events for a listener function or EventEmitter (config.listener):
+ *   { type: 'progress', phase, completed, total, elapsedMs }
+ *   { type: 'warning', code, message, elapsedMs, ...detail }
+ * - Pluggable logger (config.logger: any of debug/info/warn/error); silent by default.
+ */
+
+const STOP_REASONS = {
+  ABORTED: 'aborted',
+  TIME_LIMIT: 'timeLimit'
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Helper: Logger with every level defined (missing levels are no-ops; no logger = silent).
+ * @param {Object|null} logger - e.g. console, pino, winston
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function toLogger(logger) {
+  const resolved = {};
+  LOG_LEVELS.forEach(level => {
+    resolved[level] = logger && typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {};
+  });
+  return resolved;
+}
+
+class RunControl {
+  /**
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Stops the run once aborted
+   * @param {number} [options.timeLimitMs] - Stops the run once this much wall time has passed
+   * @param {Function|EventEmitter} [options.listener] - Receives progress/warning events
+   * @param {Object} [options.logger] - { debug?, info?, warn?, error? }
+   * @param {Function} [options.now=Date.now] - Wall clock (ms) for the time budget
+   */
+  constructor({ signal = null, timeLimitMs, listener = null, logger = null, now = Date.now } = {}) {
+    this.signal = signal;
+    this.timeLimitMs = timeLimitMs;
+    this.listener = listener;
+    this.logger = toLogger(logger);
+    this.now = now;
+    this.startedAt = now();
+    this.stopReason = null;
+  }
+
+  /**
+   * Whether the run should stop now (sticky once true; stopReason says why).
+   * @returns {boolean}
+   */
+  shouldStop() {
+    if (this.stopReason) return true;
+    if (this.signal && this.signal.aborted) {
+      this.stopReason = STOP_REASONS.ABORTED;
+    } else if (this.timeLimitMs !== undefined && this.elapsedMs() >= this.timeLimitMs) {
+      this.stopReason = STOP_REASONS.TIME_LIMIT;
+    }
+    if (this.stopReason) this.logger.info(`Optimisation stopped (${this.stopReason}) after ${this.elapsedMs()} ms`);
+    return this.stopReason !== null;
+  }
+
+  /**
+   * @returns {number} - Wall time since the run started (ms)
+   */
+  elapsedMs() {
+    return this.now() - this.startedAt;
+  }
+
+  /**
+   * Report progress of a phase ('costMatrix', 'assignment', 'tours', 'complete').
+   * @param {string} phase
+   * @param {number} completed
+   * @param {number} total
+   */
+  progress(phase, completed, total) {
+    this.logger.debug(`${phase}: ${completed}/${total}`);
+    this._emit({ type: 'progress', phase, completed, total, elapsedMs: this.elapsedMs() });
+  }
+
+  /**
+   * Report a warning (logged at warn level and emitted as an event).
+   * @param {string} code - Machine-readable code, e.g. 'UNREACHABLE_STOP'
+   * @param {string} message - Human-readable message
+   * @param {Object} [detail={}] - Extra event fields
+   */
+  warn(code, message, detail = {}) {
+    this.logger.warn(message);
+    this._emit({ type: 'warning', code, message, elapsedMs: this.elapsedMs(), ...detail });
+  }
+
+  _emit(event) {
+    if (typeof this.listener === 'function') this.listener(event);
+    else if (this.listener) this.listener.emit(event.type, event);
+  }
+}
+
+module.exports = {
+  STOP_REASONS,
+  RunControl,
+  toLogger
+};
@@ -0,0 +1,160 @@
+/**
+ * Driver timeline arithmetic: driving, waiting, service at stops and mandatory breaks.
+ * A timeline counts whole minutes since planning start (drivers with a later shiftStartTime begin then):
+ *   { minutes, drivingSinceBreak, breakMinutes }
+ * Each stop is visited as: drive the leg (pausing for breaks) -> arrive -> wait for the
+ * order's earliestTime -> service start -> service (serviceMinutes) -> departure.
+ * Break rules (driver.breaks):
+ *   { afterDrivingMinutes, durationMinutes } - e.g. 30 min after 4.5 h (270 min) of driving
+ *   { start, end } - fixed break window (date strings/timestamps); no driving or service inside it
+ * Any break resets the driving counter. Waiting is idle time and does not count as a break.
+ */
+
+const { evaluateTimeWindow } = require('./timeWindows');
+
+/**
+ * Helper: Service minutes at an order's stop (order.serviceMinutes, else the driver's
+ * defaultServiceMinutes, else 0).
+ * @param {Object} order - Order object
+ * @param {Object} driver - Driver object
+ * @returns {number}
+ */
+function getServiceMinutes(order, driver) {
+  if (order.serviceMinutes !== undefined) return order.serviceMinutes;
+  return driver.defaultServiceMinutes || 0;
+}
+
+/**
+ * Helper: Split a driver's break rules into the driving-time rule and fixed windows (epoch ms, by start).
+ * @param {Object} driver - Driver object
+ * @returns {{drivingRule: Object|null, fixedWindows: Array<{startMs: number, endMs: number}>}}
+ */
+function getBreakRules(driver) {
+  const rules = driver.breaks || [];
+  const drivingRule = rules.find(rule => rule.afterDrivingMinutes !== undefined) || null;
+  const fixedWindows = rules
+    .filter(rule => rule.start !== undefined)
+    .map(rule => ({ startMs: new Date(rule.start).getTime(), endMs: new Date(rule.end).getTime() }))
+    .sort((a, b) => a.startMs - b.startMs);
+  return { drivingRule, fixedWindows };
+}
+
+/**
+ * Helper: Minutes from planning start until the driver's shift starts (0 without shiftStartTime
+ * or when the shift has already started).
+ * @param {Object} driver - Driver object (parsedShiftStart / shiftStartTime)
+ * @param {number} now - Planning start (epoch ms)
+ * @returns {number}
+ */
+function getShiftStartMinutes(driver, now) {
+  const shiftStart = driver.parsedShiftStart || (driver.shiftStartTime !== undefined ? new Date(driver.shiftStartTime) : null);
+  if (!shiftStart) return 0;
+  return Math.max(0, Math.ceil((shiftStart.getTime() - now) / (60 * 1000)));
+}
+
+/**
+ * Timeline a driver continues from (state kept by commitAssignment, or the start of the shift).
+ * @param {Object} driver - Driver state (routeMinutes, drivingSinceBreak, shiftStartTime)
+ * @param {number} now - Planning start (epoch ms)
+ * @returns {{minutes: number, drivingSinceBreak: number, breakMinutes: number}}
+ */
+function startTimeline(driver, now) {
+  const minutes = driver.routeMinutes !== undefined ? driver.routeMinutes : getShiftStartMinutes(driver, now);
+  return { minutes, drivingSinceBreak: driver.drivingSinceBreak || 0, breakMinutes: 0 };
+}
+
+/**
+ * Helper: Advance a timeline through an activity ('drive' or 'service'), pausing for breaks.
+ * Mutates the timeline.
+ * @param {Object} timeline - { minutes, drivingSinceBreak, breakMinutes }
+ * @param {number} minutes - Activity length
+ * @param {string} kind - 'drive' | 'service'
+ * @param {Object} rules - Result of getBreakRules
+ * @param {number} now - Planning start (epoch ms)
+ */
+function runActivity(timeline, minutes, kind, rules, now) {
+  const { drivingRule, fixedWindows } = rules;
+  let remaining = minutes;
+  while (remaining > 0) {
+    const clockMs = now + timeline.minutes * 60 * 1000;
+    const window = fixedWindows.find(w => w.endMs > clockMs);
+    const untilWindow = window ? Math.ceil((window.startMs - clockMs) / (60 * 1000)) : Infinity;
+    if (untilWindow <= 0) {
+      takeBreak(timeline, Math.ceil((window.endMs - clockMs) / (60 * 1000)));
+      continue;
+    }
+    const untilDrivingBreak = kind === 'drive' && drivingRule
+      ? drivingRule.afterDrivingMinutes - timeline.drivingSinceBreak
+      : Infinity;
+    if (untilDrivingBreak <= 0) {
+      takeBreak(timeline, drivingRule.durationMinutes);
+      continue;
+    }
+    const step = Math.min(remaining, untilWindow, untilDrivingBreak);
+    timeline.minutes += step;
+    if (kind === 'drive') timeline.drivingSinceBreak += step;
+    remaining -= step;
+  }
+}
+
+/**
+ * Helper: If the timeline is inside a fixed break window, move it to the window's end. Mutates the timeline.
+ */
+function finishFixedBreak(timeline, rules, now) {
+  const clockMs = now + timeline.minutes * 60 * 1000;
+  const window = rules.fixedWindows.find(w => w.startMs <= clockMs && w.endMs > clockMs);
+  if (window) takeBreak(timeline, Math.ceil((window.endMs - clockMs) / (60 * 1000)));
+}
+
+/**
+ * Helper: Record a break on the timeline (resets the driving counter).
+ */
+function takeBreak(timeline, minutes) {
+  timeline.minutes += minutes;
+  timeline.breakMinutes += minutes;
+  timeline.drivingSinceBreak = 0;
+}
+
+/**
+ * Visit a stop: drive the leg, wait for the order's time window, then serve.
+ * Does not mutate the given timeline.
+ * @param {Object} timeline - Timeline at departure from the previous stop
+ * @param {Object} visit
+ * @param {number} visit.legMinutes - Driving minutes of the leg
+ * @param {number} [visit.serviceMinutes=0] - Minutes spent at the stop
+ * @param {Object|null} [visit.order=null] - Order whose time window applies (null: no window)
+ * @param {Object} rules - Result of getBreakRules
+ * @param {number} now - Planning start (epoch ms)
+ * @returns {Object} - { timeline, arrival, serviceStart, departure, breakMinutes, waitMinutes, lateByMinutes, onTime }
+ *   (arrival/serviceStart/departure in minutes since planning start)
+ */
+function visitStop(timeline, { legMinutes, serviceMinutes = 0, order = null }, rules, now) {
+  const next = { ...timeline };
+  runActivity(next, legMinutes, 'drive', rules, now);
+  const arrival = next.minutes;
+  const window = order
+    ? evaluateTimeWindow(order, new Date(now + arrival * 60 * 1000))
+    : { waitMinutes: 0, lateByMinutes: 0, onTime: true };
+  next.minutes += window.waitMinutes;
+  if (serviceMinutes > 0) finishFixedBreak(next, rules, now); // service cannot start inside a break window
+  const serviceStart = next.minutes;
+  runActivity(next, serviceMinutes, 'service', rules, now);
+  return {
+    timeline: next,
+    arrival,
+    serviceStart,
+    departure: next.minutes,
+    breakMinutes: next.breakMinutes - timeline.breakMinutes,
+    waitMinutes: window.waitMinutes,
+    lateByMinutes: window.lateByMinutes,
+    onTime: window.onTime
+  };
+}
+
+module.exports = {
+  getServiceMinutes,
+  getShiftStartMinutes,
+  getBreakRules,
+  startTimeline,
+  visitStop
+};
@@ -0,0 +1,303 @@
+/**
+ * Stateful re-optimisation for live dispatch.
+ * A DispatchSession is seeded with a plan (optimizeDelivery) and repairs it as events arrive
+ * instead of re-planning from scratch, so drivers are not reshuffled:
+ * - each driver keeps its planned stop sequence (config.initialPlan) while it stays feasible;
+ *   only new, released or no-longer-feasible orders are assigned again by the strategy
+ * - completed stops leave the plan and move the driver to their location
+ * - in-progress stops (the stop a driver heads to after reporting a position or finishing a stop)
+ *   and orders already picked up stay with their driver, even when they now run late
+ * Every event returns the repaired plan and a per-driver diff of pending stops.
+ * Events are plain objects { type, time?, ... } (see DISPATCH_EVENTS); time defaults to config.clock / now.
+ */
+
+const { InputValidationError, validateInputs } = require('./validator');
+const { deepClone, loadDrivers, loadOrders } = require('../data/input');
+const { resolvePlanningStart } = require('./clock');
+const { getStartLocation } = require('./depots');
+const { calculateUtilisation } = require('./capacity');
+const { RouteCache } = require('./routeCache');
+
+const DISPATCH_EVENTS = {
+  ORDER_ADDED: 'orderAdded', // { order }
+  ORDER_CANCELLED: 'orderCancelled', // { orderId }
+  DRIVER_OFFLINE: 'driverOffline', // { driverId }
+  DRIVER_POSITION_UPDATED: 'driverPositionUpdated', // { driverId, location }
+  STOP_COMPLETED: 'stopCompleted', // { driverId, orderId } (a paired order's pickup completes first)
+  EDGE_WEIGHT_CHANGED: 'edgeWeightChanged' // { from, to, weight } (number or edge object)
+};
+
+class DispatchSession {
+  /**
+   * Seed the session with a first plan.
+   * @param {Object} inputs - Same as optimizeDelivery (drivers, orders, graph, nodes?, speedProfiles?)
+   * @param {Object} [config={}] - optimizeDelivery config. planningStartTime and initialPlan only apply
+   *   to the seed plan; useCache keeps one RouteCache for the whole session
+   */
+  constructor(inputs, config = {}) {
+    validateInputs(inputs);
+    const { planningStartTime, initialPlan, distanceMatrix, ...replanConfig } = config;
+    // A prebuilt matrix goes stale once orders or edges change: rebuild it on every repair instead
+    if (distanceMatrix) replanConfig.useDistanceMatrix = true;
+    if (replanConfig.useCache && !replanConfig.routeCache) {
+      replanConfig.routeCache = new RouteCache(replanConfig.cacheOptions); // clears itself when edges change
+    }
+    this.config = replanConfig;
+
+    // Pin default ids (loaders number them by position, which shifts as orders come and go)
+    const state = { inputs: deepClone(inputs), completed: [], inProgress: {}, onBoard: {} };
+    const driverIds = loadDrivers(state.inputs.drivers).map(d => d.id);
+    const orderIds = loadOrders(state.inputs.orders).map(o => o.id);
+    state.inputs.drivers = state.inputs.drivers.map((d, i) => ({ ...d, id: driverIds[i] }));
+    state.inputs.orders = state.inputs.orders.map((o, i) => ({ ...o, id: orderIds[i] }));
+    this.state = state;
+
+    const now = resolvePlanningStart({ planningStartTime, clock: this.config.clock });
+    this.plan = planState(state, { ...this.config, planningStartTime: now, initialPlan });
+  }
+
+  /**
+   * Apply one dispatch event and repair the plan. The session is unchanged if the event is rejected.
+   * @param {Object} event - { type, time?, ... } (see DISPATCH_EVENTS)
+   * @returns {Object} - { event, changes: [{ driverId, added, removed, completed, resequenced, stops }], plan }
+   */
+  apply(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      throw new InputValidationError('Dispatch event must be an object with a type');
+    }
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) {
+      throw new InputValidationError(`Dispatch event type must be one of: ${Object.values(DISPATCH_EVENTS).join(', ')}`);
+    }
+    const now = resolvePlanningStart({ planningStartTime: event.time, clock: this.config.clock });
+    if (isNaN(now)) {
+      throw new InputValidationError('Dispatch event time must be a valid date string/timestamp');
+    }
+
+    const next = deepClone(this.state);
+    const pending = pendingStops(this.plan);
+    const completedNow = handler(next, event, pending, now) || [];
+    const plan = planState(next, { ...this.config, planningStartTime: now, initialPlan: keptPlan(next, pending) });
+    const changes = diffPlans(pending, pendingStops(plan), completedNow);
+
+    this.state = next;
+    this.plan = plan;
+    return { event, changes, plan };
+  }
+
+  /**
+   * @returns {Array} - Stops completed so far [{ driverId, orderId, stopType, location, time }]
+   */
+  getCompletedStops() {
+    return deepClone(this.state.completed);
+  }
+}
+
+/**
+ * Helper: Look up a driver by id in the session state (InputValidationError if unknown).
+ */
+function findDriver(state, driverId) {
+  const driver = state.inputs.drivers.find(d => d.id === driverId);
+  if (!driver) throw new InputValidationError(`Dispatch event has unknown driverId '${driverId}'`);
+  return driver;
+}
+
+/**
+ * Helper: Look up a pending order by id in the session state (InputValidationError if unknown).
+ */
+function findOrder(state, orderId) {
+  const order = state.inputs.orders.find(o => o.id === orderId);
+  if (!order) throw new InputValidationError(`Dispatch event has unknown orderId '${orderId}'`);
+  return order;
+}
+
+/**
+ * Helper: Whether a node id appears in the graph (as a key or a neighbor).
+ */
+function isGraphNode(graph, node) {
+  return Object.prototype.hasOwnProperty.call(graph, node) ||
+    Object.values(graph).some(connections => Object.prototype.hasOwnProperty.call(connections, node));
+}
+
+/**
+ * Helper: The driver's next pending stop other than `skip` becomes in progress (or none).
+ */
+function markNextInProgress(state, driverId, stops, skip = null) {
+  const next = (stops || []).find(stop => stop !== skip);
+  if (next) state.inProgress[driverId] = next.orderId;
+  else delete state.inProgress[driverId];
+}
+
+// Each handler mutates a copy of the session state; it may return the stops completed by the event
+const EVENT_HANDLERS = {
+  [DISPATCH_EVENTS.ORDER_ADDED](state, { order }) {
+    if (!order || typeof order !== 'object' || Array.isArray(order)) {
+      throw new InputValidationError('orderAdded event must carry an order object');
+    }
+    if (typeof order.id !== 'string' || !order.id.trim()) {
+      throw new InputValidationError('orderAdded event order must have a non-empty string id');
+    }
+    if (state.inputs.orders.some(o => o.id === order.id) || state.completed.some(c => c.orderId === order.id)) {
+      throw new InputValidationError(`Order '${order.id}' already exists in the session`);
+    }
+    state.inputs.orders.push(deepClone(order));
+  },
+
+  [DISPATCH_EVENTS.ORDER_CANCELLED](state, { orderId }) {
+    findOrder(state, orderId);
+    state.inputs.orders = state.inputs.orders.filter(o => o.id !== orderId);
+    delete state.onBoard[orderId];
+    Object.keys(state.inProgress).forEach(driverId => {
+      if (state.inProgress[driverId] === orderId) delete state.inProgress[driverId];
+    });
+  },
+
+  [DISPATCH_EVENTS.DRIVER_OFFLINE](state, { driverId }) {
+    const driver = findDriver(state, driverId);
+    driver.availability = false;
+    delete state.inProgress[driverId];
+    // Goods already picked up are handed over where the driver stopped
+    Object.keys(state.onBoard).filter(orderId => state.onBoard[orderId] === driverId).forEach(orderId => {
+      findOrder(state, orderId).pickupLocation = getStartLocation(driver);
+      delete state.onBoard[orderId];
+    });
+  },
+
+  [DISPATCH_EVENTS.DRIVER_POSITION_UPDATED](state, { driverId, location }, pending) {
+    const driver = findDriver(state, driverId);
+    if (typeof location !== 'string' || !isGraphNode(state.inputs.graph, location)) {
+      throw new InputValidationError(`driverPositionUpdated location '${location}' is not a node in the graph`);
+    }
+    driver.currentLocation = location;
+    markNextInProgress(state, driverId, pending.get(driverId));
+  },
+
+  [DISPATCH_EVENTS.STOP_COMPLETED](state, { driverId, orderId }, pending, now) {
+    const driver = findDriver(state, driverId);
+    const stops = pending.get(driverId) || [];
+    const stop = stops.find(s => s.orderId === orderId);
+    if (!stop) {
+      throw new InputValidationError(`Order '${orderId}' has no pending stop for driver '${driverId}'`);
+    }
+    if (stop.stopType === 'pickup') {
+      state.onBoard[orderId] = driverId;
+    } else {
+      state.inputs.orders = state.inputs.orders.filter(o => o.id !== orderId);
+      delete state.onBoard[orderId];
+    }
+    driver.currentLocation = stop.location;
+    markNextInProgress(state, driverId, stops, stop);
+    const completed = { driverId, orderId, stopType: stop.stopType, location: stop.location, time: new Date(now).toISOString() };
+    state.completed.push(completed);
+    return [completed];
+  },
+
+  [DISPATCH_EVENTS.EDGE_WEIGHT_CHANGED](state, { from, to, weight }) {
+    const { graph } = state.inputs;
+    if (!Object.prototype.hasOwnProperty.call(graph, from)) {
+      throw new InputValidationError(`edgeWeightChanged from '${from}' is not a node in the graph`);
+    }
+    if (typeof to !== 'string' || !to.trim()) {
+      throw new InputValidationError('edgeWeightChanged to must be a non-empty string');
+    }
+    graph[from][to] = weight; // validated with the rest of the inputs when the plan is repaired
+  }
+};
+
+/**
+ * Helper: Pending stops per driver in tour order ('return' legs excluded).
+ * @param {Object} plan - optimizeDelivery result
+ * @returns {Map<string, Array<{orderId, stopType, location, eta}>>}
+ */
+function pendingStops(plan) {
+  const stopsByDriver = new Map();
+  plan.tours.forEach(tour => {
+    stopsByDriver.set(tour.driverId, tour.stops
+      .filter(stop => stop.stopType !== 'return')
+      .map(({ orderId, stopType, location, eta }) => ({ orderId, stopType, location, eta })));
+  });
+  return stopsByDriver;
+}
+
+/**
+ * Helper: Previous sequences to keep (config.initialPlan) for drivers that are still available.
+ * In-progress and picked-up orders are fixed to their driver.
+ */
+function keptPlan(state, pending) {
+  const orderIds = new Set(state.inputs.orders.map(o => o.id));
+  const plan = [];
+  state.inputs.drivers.filter(driver => driver.availability !== false).forEach(driver => {
+    const seen = new Set();
+    (pending.get(driver.id) || []).forEach(({ orderId }) => {
+      if (!orderIds.has(orderId) || seen.has(orderId)) return;
+      seen.add(orderId);
+      const fixed = state.inProgress[driver.id] === orderId || state.onBoard[orderId] === driver.id;
+      plan.push({ driverId: driver.id, orderId, fixed });
+    });
+  });
+  return plan;
+}
+
+/**
+ * Helper: Run optimizeDelivery on the session state. Orders already picked up are planned as
+ * loaded (no pickup stop); a session without pending orders gets an empty plan.
+ */
+function planState(state, config) {
+  const { drivers, orders } = state.inputs;
+  if (orders.length === 0) {
+    return {
+      assignments: [],
+      tours: [],
+      unassigned: [],
+      utilisation: calculateUtilisation(loadDrivers(drivers), []),
+      summary: {
+        planningStartTime: new Date(config.planningStartTime).toISOString(),
+        totalDrivers: drivers.length,
+        totalOrders: 0,
+        assignedOrders: 0,
+        unassignedOrders: 0
+      }
+    };
+  }
+  const plannedOrders = orders.map(order => {
+    if (!state.onBoard[order.id]) return order;
+    const { pickupLocation, ...loaded } = order;
+    return loaded;
+  });
+  // Required here: index.js re-exports this module
+  const { optimizeDelivery } = require('../index');
+  return optimizeDelivery({ ...state.inputs, orders: plannedOrders }, config);
+}
+
+/**
+ * Helper: Per-driver differences between two sets of pending stops.
+ * Only drivers with added/removed/completed stops or a changed order of kept stops are listed.
+ * @returns {Array} - [{ driverId, added, removed, completed, resequenced, stops }]
+ */
+function diffPlans(before, after, completedNow) {
+  const driverIds = [...new Set([...before.keys(), ...after.keys(), ...completedNow.map(c => c.driverId)])];
+  const orderIdsOf = stops => [...new Set((stops || []).map(stop => stop.orderId))];
+  const changes = [];
+  driverIds.forEach(driverId => {
+    const previous = orderIdsOf(before.get(driverId));
+    const current = orderIdsOf(after.get(driverId));
+    const completed = completedNow
+      .filter(c => c.driverId === driverId)
+      .map(({ orderId, stopType }) => ({ orderId, stopType }));
+    const delivered = new Set(completed.filter(c => c.stopType === 'delivery').map(c => c.orderId));
+    const added = current.filter(id => !previous.includes(id));
+    const removed = previous.filter(id => !current.includes(id) && !delivered.has(id));
+    const keptBefore = previous.filter(id => current.includes(id));
+    const keptAfter = current.filter(id => previous.includes(id));
+    const resequenced = keptBefore.some((id, index) => keptAfter[index] !== id);
+    if (added.length || removed.length || completed.length || resequenced) {
+      changes.push({ driverId, added, removed, completed, resequenced, stops: after.get(driverId) || [] });
+    }
+  });
+  return changes;
+}
+
+module.exports = {
+  DISPATCH_EVENTS,
+  DispatchSession
+};
@@ -0,0 +1,225 @@
+/**
+ * Pluggable assignment strategies for optimizeDelivery (config.strategy).
+ * - 'greedy' (default): priority-ordered nearest-driver loop (assignDriversToOrders), multi-stop.
+ * - 'hungarian': exact min-cost matching, one order per driver (dispatch waves).
+ * - 'regret': regret-2 insertion; assigns the order that would lose most by waiting first, multi-stop.
+ * - custom function (see AssignmentStrategy below).
+ * All strategies share evaluateCandidate scoring and commitAssignment state updates,
+ * so constraints (capacity, shift, time windows) are enforced identically.
+ */
+
+const {
+  assignDriversToOrders,
+  resolveAssignmentOptions,
+  evaluateCandidate,
+  explainDecision,
+  commitAssignment,
+  calculateShortestPath
+} = require('./optimizer');
+const { solveAssignment } = require('./hungarian');
+const { resolvePlanningStart } = require('./clock');
+const { getVehicleProfile } = require('./vehicles');
+
+/**
+ * Custom strategy signature.
+ * @callback AssignmentStrategy
+ * @param {Object} context
+ * @param {Array} context.drivers - Prepared drivers (treat as read-only)
+ * @param {Array} context.orders - Prepared orders (treat as read-only)
+ * @param {Object} context.graph - Road network graph
+ * @param {Function} context.shouldStop - () => boolean; true once the run is aborted or out of time
+ * @param {Function} context.buildCostMatrix - () => number[][] drivers x orders scores (Infinity = infeasible)
+ * @param {Function} context.shortestPath - (start, end, driver?) => { distance, path } (shares the route cache;
+ *   with a driver, skips edges that driver's vehicle may not use, like the built-in evaluation)
+ * @returns {Array<{driverId: string, orderId: string}>} - Pairs in stop order; infeasible pairs are skipped
+ */
+
+/**
+ * Build the driver x order cost matrix from shortest-path distances and the assignment score.
+ * Each cell scores the order appended after the driver's current tour (its last fixed stop, time and
+ * load when config.initialPlan seeded it; otherwise its start); Infinity marks infeasible pairs.
+ * @param {Array} drivers - Prepared drivers
+ * @param {Array} orders - Prepared orders
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache for paths
+ * @param {Object} [options={}] - Assignment options (timeWindowMode, latePenaltyPerMinute, searchOptions)
+ * @returns {number[][]} - matrix[driverIndex][orderIndex]
+ */
+function buildCostMatrix(drivers, orders, graph, routeCache = null, options = {}) {
+  const settings = resolveAssignmentOptions(options);
+  return drivers.map((driver, index) => {
+    // Stopped runs leave the remaining rows infeasible (the matching uses the rows built so far)
+    if (settings.control.shouldStop()) return orders.map(() => Infinity);
+    const row = orders.map(order => {
+      const candidate = evaluateCandidate({ ...driver }, order, graph, routeCache, settings);
+      return candidate ? candidate.assignmentScore : Infinity;
+    });
+    settings.control.progress('costMatrix', index + 1, drivers.length);
+    return row;
+  });
+}
+
+/**
+ * Turn (driverId, orderId) pairs into assignments, evaluated in the given stop order.
+ * Pairs that are infeasible at their turn, or repeat an order, are skipped.
+ * Pairs marked fixed (stops already under way) are checked in soft time-window mode, so they
+ * are kept even when they now run late.
+ * @returns {Array} - Assignments (same shape as assignDriversToOrders)
+ */
+function materializePairs(pairs, drivers, orders, graph, routeCache, options) {
+  if (!Array.isArray(pairs)) {
+    throw new Error('Assignment strategy must return an array of { driverId, orderId } pairs');
+  }
+  const settings = resolveAssignmentOptions(options);
+  const driverStates = new Map(drivers.map(d => [d.id, { ...d }]));
+  const ordersById = new Map(orders.map(o => [o.id, o]));
+  const assignedOrders = new Set();
+  const assignments = [];
+
+  pairs.forEach(({ driverId, orderId, fixed = false }, index) => {
+    const driver = driverStates.get(driverId);
+    const order = ordersById.get(orderId);
+    if (!driver) throw new Error(`Assignment strategy returned unknown driverId '${driverId}'`);
+    if (!order) throw new Error(`Assignment strategy returned unknown orderId '${orderId}'`);
+    if (assignedOrders.has(orderId)) return;
+
+    const candidate = evaluateCandidate(driver, order, graph, routeCache, fixed ? { ...settings, timeWindowMode: 'soft' } : settings);
+    if (!candidate) return; // constraints violated at this point of the sequence
+    const explanation = settings.explain
+      ? explainDecision([...driverStates.values()], driver, candidate, order, graph, routeCache, settings)
+      : null;
+    assignments.push(commitAssignment(driver, order, candidate, explanation));
+    assignedOrders.add(orderId);
+    settings.control.progress('assignment', index + 1, pairs.length);
+  });
+
+  return assignments;
+}
+
+/**
+ * Exact min-cost matching: each driver takes at most one order (maximum number of feasible pairs first).
+ */
+function hungarianStrategy(drivers, orders, graph, routeCache, options) {
+  const matrix = buildCostMatrix(drivers, orders, graph, routeCache, options);
+  const pairs = [];
+  solveAssignment(matrix).forEach((orderIndex, driverIndex) => {
+    if (orderIndex !== -1) pairs.push({ driverId: drivers[driverIndex].id, orderId: orders[orderIndex].id });
+  });
+  return materializePairs(pairs, drivers, orders, graph, routeCache, options);
+}
+
+/**
+ * Regret-2 insertion: repeatedly assign the order with the largest gap between its best and
+ * second-best driver (orders with a single feasible driver go first), to its best driver.
+ */
+function regretStrategy(drivers, orders, graph, routeCache, options) {
+  const settings = resolveAssignmentOptions(options);
+  const driverStates = drivers.map(d => ({ ...d }));
+  let remaining = [...orders];
+  const assignments = [];
+
+  while (remaining.length > 0 && !settings.control.shouldStop()) {
+    let pick = null;
+    const stillFeasible = [];
+
+    remaining.forEach(order => {
+      const candidates = [];
+      driverStates.forEach(driver => {
+        const candidate = evaluateCandidate(driver, order, graph, routeCache, settings);
+        if (candidate) candidates.push({ driver, candidate });
+      });
+      if (candidates.length === 0) return; // state only tightens: order cannot become feasible again
+      stillFeasible.push(order);
+
+      candidates.sort((a, b) => a.candidate.assignmentScore - b.candidate.assignmentScore);
+      const best = candidates[0];
+      const regret = candidates.length > 1
+        ? candidates[1].candidate.assignmentScore - best.candidate.assignmentScore
+        : Infinity;
+      if (!pick || regret > pick.regret ||
+          (regret === pick.regret && best.candidate.assignmentScore < pick.best.candidate.assignmentScore)) {
+        pick = { order, best, regret };
+      }
+    });
+
+    if (!pick) break;
+    const explanation = settings.explain
+      ? explainDecision(driverStates, pick.best.driver, pick.best.candidate, pick.order, graph, routeCache, settings)
+      : null;
+    assignments.push(commitAssignment(pick.best.driver, pick.order, pick.best.candidate, explanation));
+    remaining = stillFeasible.filter(order => order !== pick.order);
+    settings.control.progress('assignment', orders.length - remaining.length, orders.length);
+  }
+
+  return assignments;
+}
+
+const ASSIGNMENT_STRATEGIES = {
+  greedy: assignDriversToOrders,
+  hungarian: hungarianStrategy,
+  regret: regretStrategy
+};
+
+/**
+ * Run the configured strategy and return assignments.
+ * With options.initialPlan, the seeded pairs are committed first (in stop order) and the
+ * strategy then assigns the remaining orders on top of the seeded driver states, so kept
+ * stops stay where they are and new work is appended after them.
+ * @param {string|AssignmentStrategy} strategy - Built-in name or custom function
+ * @param {Array} drivers - Prepared drivers
+ * @param {Array} orders - Prepared orders
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache for paths
+ * @param {Object} [options={}] - Assignment options
+ * @param {Array<{driverId: string, orderId: string, fixed?: boolean}>} [options.initialPlan] - Stops to keep
+ * @returns {Array} - Assignments (same shape as assignDriversToOrders)
+ */
+function runAssignmentStrategy(strategy, drivers, orders, graph, routeCache = null, options = {}) {
+  const { initialPlan = null } = options;
+  if (!initialPlan || initialPlan.length === 0) {
+    return runStrategy(strategy, drivers, orders, graph, routeCache, options);
+  }
+  const seeded = materializePairs(initialPlan, drivers, orders, graph, routeCache, options);
+  // Seeded assignments share the driver state they mutated (last stop, load, timeline)
+  const seededStates = new Map(seeded.map(a => [a.driver.id, a.driver]));
+  const seededOrders = new Set(seeded.map(a => a.order.id));
+  if (seededOrders.size === orders.length) return seeded;
+  const rest = runStrategy(
+    strategy,
+    drivers.map(d => seededStates.get(d.id) || d),
+    orders.filter(o => !seededOrders.has(o.id)),
+    graph,
+    routeCache,
+    options
+  );
+  return [...seeded, ...rest];
+}
+
+/**
+ * Helper: Dispatch to a built-in or custom strategy.
+ */
+function runStrategy(strategy, drivers, orders, graph, routeCache, options) {
+  if (typeof strategy === 'function') {
+    const control = resolveAssignmentOptions(options).control;
+    const pairs = strategy({
+      drivers,
+      orders,
+      graph,
+      shouldStop: () => control.shouldStop(),
+      buildCostMatrix: () => buildCostMatrix(drivers, orders, graph, routeCache, options),
+      shortestPath: (start, end, driver = null) => calculateShortestPath(graph, start, end, routeCache, {
+        departureTime: resolvePlanningStart(options),
+        ...options.searchOptions,
+        vehicle: driver ? getVehicleProfile(driver) : null
+      })
+    });
+    return materializePairs(pairs, drivers, orders, graph, routeCache, options);
+  }
+  return ASSIGNMENT_STRATEGIES[strategy](drivers, orders, graph, routeCache, options);
+}
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  buildCostMatrix,
+  runAssignmentStrategy
+};
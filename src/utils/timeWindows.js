@@ -0,0 +1,46 @@
+/**
+ * Order time-window helpers (earliestTime / deadlineTime).
+ * Arriving before earliestTime means waiting until the window opens; arriving after
+ * deadlineTime is late. Shared by the greedy assignment (feasibility + soft penalty)
+ * and tour sequencing (per-stop lateness reporting) so both use the same arithmetic.
+ */
+
+// 'hard' rejects late arrivals during assignment; 'soft' allows them with a score penalty
+const TIME_WINDOW_MODES = ['hard', 'soft'];
+const DEFAULT_TIME_WINDOW_MODE = 'hard';
+const DEFAULT_LATE_PENALTY_PER_MINUTE = 1;
+
+/**
+ * Helper: Resolve an order's window bounds (pre-parsed by loadOrders, raw fields as fallback).
+ * @param {Object} order - Order object
+ * @returns {{earliest: Date|null, deadline: Date|null}}
+ */
+function getOrderWindow(order) {
+  const earliest = order.parsedEarliest || (order.earliestTime !== undefined ? new Date(order.earliestTime) : null);
+  const deadline = order.parsedDeadline || (order.deadlineTime !== undefined ? new Date(order.deadlineTime) : null);
+  return { earliest, deadline };
+}
+
+/**
+ * Evaluate an arrival against the order's time window.
+ * @param {Object} order - Order object
+ * @param {Date} arrival - Estimated arrival time
+ * @returns {Object} - { serviceStart: Date, waitMinutes: number, lateByMinutes: number, onTime: boolean }
+ */
+function evaluateTimeWindow(order, arrival) {
+  const { earliest, deadline } = getOrderWindow(order);
+  const serviceStart = earliest && arrival < earliest ? earliest : arrival;
+  const waitMinutes = Math.round((serviceStart - arrival) / (60 * 1000));
+  const lateByMinutes = deadline && serviceStart > deadline
+    ? Math.ceil((serviceStart - deadline) / (60 * 1000))
+    : 0;
+  return { serviceStart, waitMinutes, lateByMinutes, onTime: lateByMinutes === 0 };
+}
+
+module.exports = {
+  TIME_WINDOW_MODES,
+  DEFAULT_TIME_WINDOW_MODE,
+  DEFAULT_LATE_PENALTY_PER_MINUTE,
+  getOrderWindow,
+  evaluateTimeWindow
+};
@@ -0,0 +1,182 @@
+/**
+ * Multi-stop tour sequencing per driver.
+ * Chains each driver's assignments into an ordered stop sequence:
+ * start -> stop 1 -> stop 2 ... with cumulative distance, per-stop arrival times
+ * and one concatenated path (legs computed with calculateShortestPath, cache-aware).
+ * Stops keep assignment order, which is the order the greedy appended them in.
+ * Time windows: early arrivals wait for earliestTime; late arrivals report lateByMinutes.
+ * Each stop shows arrival (eta), service start and departure; service minutes and driver
+ * breaks taken on the way (see schedule.js) push later stops back.
+ * Paired orders (pickupLocation) get a 'pickup' stop right before their 'delivery' stop;
+ * every stop reports the on-board load after it (loadAfter). Drivers with an endLocation get a
+ * final 'return' stop (orderId null) whose leg counts in totalDistance/totalDuration.
+ * With options.alternativeRoutes each reachable stop also lists other ways to drive its leg.
+ */
+
+const { calculateShortestPath, pathToMinutes } = require('./optimizer');
+const { calculateAlternativePaths } = require('./alternativePaths');
+const { getVehicleProfile } = require('./vehicles');
+const { addLoad, subtractLoad, maxLoad } = require('./capacity');
+const { getStartLocation, getEndLocation } = require('./depots');
+const { getServiceMinutes, getShiftStartMinutes, getBreakRules, visitStop } = require('./schedule');
+const { resolvePlanningStart } = require('./clock');
+
+/**
+ * Build one tour per driver from a flat assignments list.
+ * Unreachable legs are flagged on the stop and skipped (the next leg departs
+ * from the last reachable location).
+ * @param {Array} assignments - Assignments [{driver, order, ...}] in stop order
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache for paths
+ * @param {Object} [options={}] - Tour options
+ * @param {Object} [options.searchOptions] - Shortest-path options ({ algorithm, nodes, objective, speedProfiles, ... })
+ * @param {Date|number|string} [options.planningStartTime] - Planning start (ETAs are minutes after it)
+ * @param {Function} [options.clock] - Clock used when planningStartTime is not given (default Date.now)
+ * @param {Object} [options.alternativeRoutes] - { k, maxOverlap }: attach up to k alternatives to each stop's leg
+ *   (stop.alternativeRoutes, see calculateAlternativePaths)
+ * @returns {Array} - Tours [{driverId, startLocation, startTime, stops, path, totalDistance, totalDuration, startLoad, peakLoad,
+ *   breakMinutes, isUnreachable}]
+ */
+function buildDriverTours(assignments, graph, routeCache = null, options = {}) {
+  const { searchOptions = {}, alternativeRoutes = null } = options;
+  const now = resolvePlanningStart(options);
+  const toursByDriver = new Map();
+
+  // Delivery-only orders are loaded at the start location; paired orders at their pickup
+  const startLoads = new Map();
+  assignments.forEach(({ driver, order }) => {
+    const load = startLoads.has(driver.id) ? startLoads.get(driver.id) : addLoad(driver.capacity, undefined, 0);
+    startLoads.set(driver.id, order.pickupLocation ? load : addLoad(driver.capacity, load, order.size));
+  });
+
+  assignments.forEach((assignment, assignmentIndex) => {
+    const { driver, order } = assignment;
+    if (!toursByDriver.has(driver.id)) {
+      const startLocation = getStartLocation(driver);
+      const startLoad = startLoads.get(driver.id);
+      const shiftStartMinutes = getShiftStartMinutes(driver, now); // plans may be made ahead of the shift
+      toursByDriver.set(driver.id, {
+        driverId: driver.id,
+        startLocation,
+        stops: [],
+        path: [startLocation],
+        totalDistance: 0,
+        totalDuration: 0,
+        startLoad,
+        peakLoad: startLoad,
+        isUnreachable: false,
+        _location: startLocation, // last reachable location (internal)
+        startTime: new Date(now + shiftStartMinutes * 60 * 1000).toISOString(),
+        _timeline: { minutes: shiftStartMinutes, drivingSinceBreak: 0, breakMinutes: 0 }, // departure from the last stop (internal)
+        _rules: getBreakRules(driver), // (internal)
+        _load: startLoad, // on-board load (internal)
+        _driver: driver // (internal)
+      });
+    }
+    const tour = toursByDriver.get(driver.id);
+
+    // Paired orders: pickup stop right before the drop-off (no time window at the pickup)
+    if (order.pickupLocation) {
+      const load = addLoad(driver.capacity, tour._load, order.size);
+      appendStop(tour, assignment, assignmentIndex, order.pickupLocation, 'pickup', load, graph, routeCache, searchOptions, now, alternativeRoutes);
+      tour.peakLoad = maxLoad(driver.capacity, tour.peakLoad, load);
+    }
+    const load = subtractLoad(driver.capacity, tour._load, order.size);
+    appendStop(tour, assignment, assignmentIndex, order.destination, 'delivery', load, graph, routeCache, searchOptions, now, alternativeRoutes);
+  });
+
+  // Return legs: drivers with an endLocation finish there (counted in distance and duration)
+  toursByDriver.forEach(tour => {
+    const endLocation = getEndLocation(tour._driver);
+    if (endLocation) {
+      const load = addLoad(tour._driver.capacity, undefined, 0);
+      appendStop(tour, { driver: tour._driver, order: { id: null } }, null, endLocation, 'return', load, graph, routeCache, searchOptions, now, alternativeRoutes);
+    }
+  });
+
+  return [...toursByDriver.values()].map(({ _location, _timeline, _rules, _load, _driver, ...tour }) => ({
+    ...tour,
+    breakMinutes: _timeline.breakMinutes
+  }));
+}
+
+/**
+ * Helper: Route the leg from the tour's last reachable location to a stop and append the stop.
+ * Delivery stops are checked against the order's time window; pickups and returns only record arrival.
+ */
+function appendStop(tour, assignment, assignmentIndex, location, stopType, loadAfter, graph, routeCache, searchOptions, now,
+  alternativeRoutes = null) {
+  const departureTime = now + tour._timeline.minutes * 60 * 1000;
+  const legOptions = { ...searchOptions, departureTime, vehicle: getVehicleProfile(assignment.driver) };
+  // Turn penalties (road overlay) at a stop depend on the direction the tour arrived from
+  if (tour.path.length > 1) legOptions.arrivedFrom = tour.path[tour.path.length - 2];
+  const leg = calculateShortestPath(graph, tour._location, location, routeCache, legOptions);
+  const isUnreachable = leg.distance === Infinity;
+  const alternatives = alternativeRoutes && !isUnreachable
+    ? legAlternatives(graph, tour._location, location, leg, legOptions, alternativeRoutes)
+    : null;
+
+  // Drive (with breaks), wait for the delivery window, serve; unreachable stops leave the timeline as is
+  const serviceMinutes = stopType === 'return' ? 0 : getServiceMinutes(assignment.order, assignment.driver);
+  const visit = isUnreachable
+    ? { timeline: tour._timeline, arrival: tour._timeline.minutes, serviceStart: tour._timeline.minutes,
+      departure: tour._timeline.minutes, breakMinutes: 0, waitMinutes: 0, lateByMinutes: 0, onTime: false }
+    : visitStop(tour._timeline, {
+      legMinutes: pathToMinutes(leg),
+      serviceMinutes,
+      order: stopType === 'delivery' ? assignment.order : null
+    }, tour._rules, now);
+
+  if (isUnreachable) {
+    tour.isUnreachable = true;
+  } else {
+    tour.totalDistance += leg.distance;
+    tour._timeline = visit.timeline;
+    tour.totalDuration = visit.departure;
+    // Concatenate, dropping the joint node shared with the previous leg
+    tour.path.push(...leg.path.slice(1));
+    tour._location = location;
+  }
+  tour._load = loadAfter;
+
+  const toIso = minutes => new Date(now + minutes * 60 * 1000).toISOString();
+  tour.stops.push({
+    sequence: tour.stops.length + 1,
+    assignmentIndex,
+    orderId: assignment.order.id,
+    stopType,
+    location,
+    legPath: isUnreachable ? [] : leg.path,
+    legDistance: isUnreachable ? 0 : leg.distance,
+    cumulativeDistance: tour.totalDistance,
+    eta: visit.arrival,
+    estimatedArrival: toIso(visit.arrival),
+    serviceStart: visit.serviceStart,
+    serviceStartTime: toIso(visit.serviceStart),
+    departure: visit.departure,
+    departureTime: toIso(visit.departure),
+    serviceMinutes: isUnreachable ? 0 : serviceMinutes,
+    breakMinutes: visit.breakMinutes,
+    waitMinutes: visit.waitMinutes,
+    lateByMinutes: visit.lateByMinutes,
+    onTime: visit.onTime,
+    loadAfter,
+    isUnreachable,
+    ...(alternatives ? { alternativeRoutes: alternatives } : {})
+  });
+}
+
+/**
+ * Helper: Up to k other paths for a leg, best first (the leg's own path left out).
+ */
+function legAlternatives(graph, from, to, leg, legOptions, { k, maxOverlap = 1 }) {
+  const { distanceMatrix, ...searchOptions } = legOptions; // alternatives need full searches
+  const chosen = JSON.stringify(leg.path);
+  return calculateAlternativePaths(graph, from, to, k + 1, { ...searchOptions, maxOverlap })
+    .filter(alternative => JSON.stringify(alternative.path) !== chosen)
+    .slice(0, k);
+}
+
+module.exports = {
+  buildDriverTours
+};
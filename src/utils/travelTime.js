@@ -0,0 +1,95 @@
+/**
+ * Travel-time model for graph edges.
+ * Edges are either a plain number (distance in km, driven at the average speed) or an object:
+ *   { distance, speedKmh?, travelMinutes?, profile? }
+ * - travelMinutes overrides the distance/speed estimate for that edge
+ * - profile names a time-of-day speed profile (inputs.speedProfiles); the 'default' profile,
+ *   if given, applies to every edge without its own profile
+ * A profile is a list of windows { from: 'HH:MM', to: 'HH:MM', multiplier } (multiplier > 1 = slower;
+ * from > to wraps midnight), evaluated at the time the edge is entered.
+ */
+
+// Average travel speed assumption used when an edge has no speed/travel-time attributes
+const AVERAGE_SPEED_KMH = 30;
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Helper: Edge length in km for either edge form.
+ * @param {number|Object} edge
+ * @returns {number}
+ */
+function getEdgeDistance(edge) {
+  return typeof edge === 'number' ? edge : edge.distance;
+}
+
+/**
+ * Helper: Parse 'HH:MM' into minutes after midnight.
+ * @param {string} text
+ * @returns {number} - NaN if malformed
+ */
+function parseTimeOfDay(text) {
+  const match = typeof text === 'string' ? /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Speed-profile multiplier at a given moment (1 when no window matches).
+ * @param {Array} profile - [{ from, to, multiplier }]
+ * @param {number} timeMs - Epoch ms
+ * @param {number} [utcOffsetMinutes=0] - Offset of the profile's local clock from UTC
+ * @returns {number}
+ */
+function getProfileMultiplier(profile, timeMs, utcOffsetMinutes = 0) {
+  if (!profile) return 1;
+  const minuteOfDay = (((Math.floor(timeMs / 60000) + utcOffsetMinutes) % 1440) + 1440) % 1440;
+  const window = profile.find(({ from, to }) => {
+    const start = parseTimeOfDay(from);
+    const end = parseTimeOfDay(to);
+    return start <= end
+      ? minuteOfDay >= start && minuteOfDay < end
+      : minuteOfDay >= start || minuteOfDay < end; // wraps midnight
+  });
+  return window ? window.multiplier : 1;
+}
+
+/**
+ * Minutes needed to traverse an edge entered at timeMs.
+ * @param {number|Object} edge - Edge value from the graph
+ * @param {number} timeMs - Epoch ms when the edge is entered
+ * @param {Object} [speedProfiles={}] - { name: [windows] }
+ * @param {number} [utcOffsetMinutes=0] - Local clock offset for profile windows
+ * @returns {number} - Unrounded minutes
+ */
+function getEdgeTravelMinutes(edge, timeMs, speedProfiles = {}, utcOffsetMinutes = 0) {
+  if (typeof edge === 'number') {
+    return (edge / AVERAGE_SPEED_KMH) * 60 * getProfileMultiplier(speedProfiles[DEFAULT_PROFILE], timeMs, utcOffsetMinutes);
+  }
+  const baseMinutes = edge.travelMinutes !== undefined
+    ? edge.travelMinutes
+    : (edge.distance / (edge.speedKmh || AVERAGE_SPEED_KMH)) * 60;
+  const profile = speedProfiles[edge.profile || DEFAULT_PROFILE];
+  return baseMinutes * getProfileMultiplier(profile, timeMs, utcOffsetMinutes);
+}
+
+/**
+ * Whether a graph needs time-dependent search (any speed/travel-time attribute or a speed profile).
+ * Plain numeric graphs without profiles keep the distance-based search and 30 km/h ETAs.
+ * @param {Object} graph - Road network graph
+ * @param {Object} [speedProfiles={}]
+ * @returns {boolean}
+ */
+function hasTravelTimeData(graph, speedProfiles = {}) {
+  if (Object.keys(speedProfiles).length > 0) return true;
+  return Object.values(graph).some(connections => Object.values(connections).some(edge =>
+    typeof edge === 'object' && (edge.speedKmh !== undefined || edge.travelMinutes !== undefined)));
+}
+
+module.exports = {
+  AVERAGE_SPEED_KMH,
+  DEFAULT_PROFILE,
+  getEdgeDistance,
+  parseTimeOfDay,
+  getProfileMultiplier,
+  getEdgeTravelMinutes,
+  hasTravelTimeData
+};
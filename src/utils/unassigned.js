@@ -0,0 +1,122 @@
+/**
+ * Unassigned-orders report.
+ * After a strategy has run, every order without an assignment is re-checked against each
+ * driver's final state (same checks as evaluateCandidate) to say why it was left over:
+ * - reasons: distinct codes across the drivers that could have been considered
+ *   (CAPACITY_EXCEEDED, UNREACHABLE, SHIFT_END_EXCEEDED, DEADLINE_MISSED, NOT_SELECTED),
+ *   or NO_AVAILABLE_DRIVER when every driver was unavailable or belongs to another depot
+ * - closestDrivers: the drivers nearest to being feasible (see rankRejections)
+ * Runs stopped early report leftovers as PLANNING_STOPPED without re-checking drivers
+ * (that pass would cost as much as the assignment the budget just cut short).
+ */
+
+const {
+  REJECTION_REASONS,
+  resolveAssignmentOptions,
+  assessCandidate,
+  calculateShortestPath
+} = require('./optimizer');
+const { getStartLocation } = require('./depots');
+const { getVehicleProfile } = require('./vehicles');
+
+const UNASSIGNED_REASONS = {
+  ...REJECTION_REASONS,
+  // Feasible for some driver, but the strategy did not pick it (e.g. hungarian: one order per driver)
+  NOT_SELECTED: 'NOT_SELECTED',
+  NO_AVAILABLE_DRIVER: 'NO_AVAILABLE_DRIVER',
+  // The run was aborted or ran out of time (config.signal / config.timeLimitMs) before placing the order
+  PLANNING_STOPPED: 'PLANNING_STOPPED'
+};
+
+// Number of drivers listed per unassigned order
+const MAX_CLOSEST_DRIVERS = 3;
+
+// Drivers that were never in the running for the order (not counted as reasons)
+const EXCLUDED_REASONS = [REJECTION_REASONS.DRIVER_UNAVAILABLE, REJECTION_REASONS.DEPOT_MISMATCH];
+
+// Ranking tiers: feasible-but-unpicked first, then near misses, then drivers that cannot get there at all
+const REASON_TIERS = {
+  NOT_SELECTED: 0,
+  DEADLINE_MISSED: 1,
+  SHIFT_END_EXCEEDED: 1,
+  CAPACITY_EXCEEDED: 1,
+  UNREACHABLE: 2,
+  DEPOT_MISMATCH: 3,
+  DRIVER_UNAVAILABLE: 3
+};
+
+/**
+ * Explain every order that has no assignment.
+ * @param {Array} drivers - Prepared drivers (before assignment)
+ * @param {Array} orders - Prepared orders
+ * @param {Array} assignments - Assignments returned by the strategy (driver = final driver state)
+ * @param {Object} graph - Road network graph
+ * @param {RouteCache|Map|null} [routeCache=null] - Optional shared cache for paths
+ * @param {Object} [options={}] - Assignment options used for the run
+ * @returns {Array} - [{ orderId, order, reasons: string[], closestDrivers: [{ driverId, reason, distance, ...detail }] }]
+ *   (distance: route distance from the driver's last stop to the order, null if unreachable)
+ */
+function explainUnassigned(drivers, orders, assignments, graph, routeCache = null, options = {}) {
+  const settings = resolveAssignmentOptions(options);
+  const assignedOrderIds = new Set(assignments.map(a => a.order.id));
+  if (settings.control.stopReason) {
+    return orders.filter(order => !assignedOrderIds.has(order.id)).map(order => ({
+      orderId: order.id,
+      order,
+      reasons: [UNASSIGNED_REASONS.PLANNING_STOPPED],
+      closestDrivers: []
+    }));
+  }
+  // Final state per driver: assignments share the state object that was mutated along the run
+  const finalStates = new Map(drivers.map(d => [d.id, { ...d }]));
+  assignments.forEach(a => finalStates.set(a.driver.id, a.driver));
+
+  return orders.filter(order => !assignedOrderIds.has(order.id)).map(order => {
+    const rejections = [...finalStates.values()].map(driver => {
+      const { candidate, rejection } = assessCandidate(driver, order, graph, routeCache, settings);
+      const result = candidate ? { reason: UNASSIGNED_REASONS.NOT_SELECTED } : rejection;
+      return { driverId: driver.id, ...result, distance: distanceToOrder(driver, order, graph, routeCache, settings) };
+    });
+    const considered = rejections.filter(r => !EXCLUDED_REASONS.includes(r.reason));
+    const reasons = considered.length > 0
+      ? [...new Set(considered.map(r => r.reason))]
+      : [UNASSIGNED_REASONS.NO_AVAILABLE_DRIVER];
+    return {
+      orderId: order.id,
+      order,
+      reasons,
+      closestDrivers: rankRejections(rejections)
+        .slice(0, MAX_CLOSEST_DRIVERS)
+        .map(r => ({ ...r, distance: r.distance === Infinity ? null : r.distance })) // null: unreachable
+    };
+  });
+}
+
+/**
+ * Helper: Order rejections by tier (see REASON_TIERS), then by route distance to the order.
+ */
+function rankRejections(rejections) {
+  return [...rejections].sort((a, b) =>
+    (REASON_TIERS[a.reason] - REASON_TIERS[b.reason]) || (a.distance === b.distance ? 0 : a.distance - b.distance));
+}
+
+/**
+ * Helper: Route distance from the driver's last stop to the order (pickup first for paired orders);
+ * Infinity if unreachable.
+ */
+function distanceToOrder(driver, order, graph, routeCache, settings) {
+  const start = driver.routeTail || getStartLocation(driver);
+  const target = order.pickupLocation || order.destination;
+  const searchOptions = {
+    ...settings.searchOptions,
+    departureTime: settings.now,
+    vehicle: getVehicleProfile(driver),
+    arrivedFrom: driver.routeArrivedFrom || null
+  };
+  return calculateShortestPath(graph, start, target, routeCache, searchOptions).distance;
+}
+
+module.exports = {
+  UNASSIGNED_REASONS,
+  explainUnassigned
+};
@@ -1,104 +1,690 @@
 /**
  * Input validation utilities for the route optimization library.
  * Uses consistent error throwing for reliability. No silent defaults for critical fields.
+ * Every problem is an issue { code, path, severity, message } whose path is a JSON pointer
+ * into the inputs (e.g. /orders/17/destination). By default the first error throws; with
+ * collectAll all errors are gathered and thrown together. Warnings flag suspicious but valid
+ * data (loader defaults, repeated ids) and are returned instead of thrown. strict adds
+ * diagnoseGraph findings: unreachable stops are errors, odd graph structure warnings.
  */
 
+const { DEFAULT_PROFILE, parseTimeOfDay } = require('./travelTime');
+const { DEFAULT_DIMENSION, toDimensions } = require('./capacity');
+const { RETURN_TO_START } = require('./depots');
+const { diagnoseGraph } = require('./graphDiagnostics');
+const { DEFAULT_ORDER_SIZE } = require('../data/input');
+
+const ISSUE_SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const ISSUE_CODES = {
+  // Errors
+  INVALID_TYPE: 'INVALID_TYPE', // wrong JSON type (e.g. an array where an object is expected)
+  MISSING_FIELD: 'MISSING_FIELD', // required field absent
+  EMPTY: 'EMPTY', // required collection without entries
+  INVALID_VALUE: 'INVALID_VALUE', // right type, value not allowed (negative, empty string, ...)
+  INVALID_DATE: 'INVALID_DATE', // unparseable date string/timestamp
+  INVALID_TIME_RANGE: 'INVALID_TIME_RANGE', // start not before end
+  UNKNOWN_REFERENCE: 'UNKNOWN_REFERENCE', // names a node, profile or dimension that does not exist
+  UNREACHABLE: 'UNREACHABLE', // strict: no available driver can reach the stop (warning for stranded drivers)
+  // Warnings
+  DEFAULTED_FIELD: 'DEFAULTED_FIELD', // missing or falsy optional field replaced by a loader default
+  DUPLICATE_ID: 'DUPLICATE_ID', // id already used by an earlier driver/order
+  DISCONNECTED_GRAPH: 'DISCONNECTED_GRAPH', // strict: graph is not strongly connected
+  ONE_WAY_NODE: 'ONE_WAY_NODE', // strict: node can only be entered or only be left
+  DANGLING_EDGE: 'DANGLING_EDGE', // strict: edge to a node without its own graph entry
+  ASYMMETRIC_EDGE: 'ASYMMETRIC_EDGE' // strict: the two directions of an edge differ suspiciously
+};
+
 /**
  * Custom error for input validation failures.
+ * issues lists every problem found ({ code, path, severity, message }); it is empty for errors
+ * raised outside input validation (e.g. config checks).
  */
 class InputValidationError extends Error {
-  constructor(message) {
+  constructor(message, issues = []) {
     super(message);
     this.name = 'InputValidationError';
+    this.issues = issues;
   }
 }
 
+/**
+ * Helper: JSON pointer (RFC 6901) for a list of keys / array indices ('' for the whole document).
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Helper: Collects validation issues. error() throws at once unless collectAll; finish() throws
+ * the gathered errors (first message plus a count) or returns the warnings.
+ * @param {boolean} collectAll
+ */
+function createIssueCollector(collectAll) {
+  const issues = [];
+  const errors = () => issues.filter(issue => issue.severity === ISSUE_SEVERITIES.ERROR);
+  return {
+    error(code, path, message) {
+      issues.push({ code, path: toPointer(path), severity: ISSUE_SEVERITIES.ERROR, message });
+      if (!collectAll) throw new InputValidationError(message, issues.slice());
+    },
+    warn(code, path, message) {
+      issues.push({ code, path: toPointer(path), severity: ISSUE_SEVERITIES.WARNING, message });
+    },
+    errorCount() {
+      return errors().length;
+    },
+    hasError(path) {
+      const pointer = toPointer(path);
+      return errors().some(issue => issue.path === pointer);
+    },
+    finish() {
+      const found = errors();
+      if (found.length > 0) {
+        const more = found.length > 1 ? ` (and ${found.length - 1} more error${found.length > 2 ? 's' : ''})` : '';
+        throw new InputValidationError(`${found[0].message}${more}`, issues.slice());
+      }
+      return issues.slice();
+    }
+  };
+}
+
 /**
  * Validate the input data for drivers, orders, and graph.
- * Throws InputValidationError on any issue for consistent handling.
- * Critical fields (capacity, destination, graph structure) are strictly required - no defaults.
- * @param {Object} inputs - { drivers, orders, graph }
+ * Throws InputValidationError on the first error by default; with collectAll every problem is
+ * gathered first and thrown together (error.issues). Critical fields (capacity, destination,
+ * graph structure) are strictly required - no defaults.
+ * @param {Object} inputs - { drivers, orders, graph, nodes?, speedProfiles? }
+ * @param {Object} [options={}]
+ * @param {boolean} [options.collectAll=false] - Report every error at once instead of the first
+ * @param {boolean} [options.strict=false] - Also run diagnoseGraph: stops missing from the graph or
+ *   unreachable by every available driver are errors; stranded drivers and graph structure warnings
+ * @returns {Array<Object>} - Warnings for suspicious but valid data ({ code, path, severity, message })
+ */
+function validateInputs(inputs, { collectAll = false, strict = false } = {}) {
+  const report = createIssueCollector(collectAll);
+  checkInputs(report, inputs, strict);
+  return report.finish();
+}
+
+/**
+ * Helper: Input checks behind validateInputs (issues go to the collector).
+ * @param {Object} report - Issue collector
+ * @param {Object} inputs
+ * @param {boolean} strict - Add graph diagnostics
  */
-function validateInputs(inputs) {
+function checkInputs(report, inputs, strict) {
   if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
-    throw new InputValidationError('Inputs must be a non-array object');
+    return report.error(ISSUE_CODES.INVALID_TYPE, [], 'Inputs must be a non-array object');
   }
 
-  const { drivers, orders, graph } = inputs;
+  const { drivers, orders, graph, nodes, speedProfiles } = inputs;
 
   // Validate drivers (require capacity - critical, no defaults; id/name required)
+  const declaredDimensions = new Set(); // capacity dimensions across the fleet (orders may only use these)
   if (!Array.isArray(drivers) || drivers.length === 0) {
-    throw new InputValidationError('Drivers must be a non-empty array');
+    report.error(Array.isArray(drivers) ? ISSUE_CODES.EMPTY : ISSUE_CODES.INVALID_TYPE, ['drivers'],
+      'Drivers must be a non-empty array');
+  } else {
+    drivers.forEach((driver, index) => checkDriver(report, driver, index, declaredDimensions));
+    warnDuplicateIds(report, drivers, 'drivers', 'Driver');
   }
-  drivers.forEach((driver, index) => {
-    if (!driver || typeof driver !== 'object' || Array.isArray(driver)) {
-      throw new InputValidationError(`Driver at index ${index} must be a non-array object`);
-    }
-    if (!driver.id && !driver.name) {
-      throw new InputValidationError(`Driver at index ${index} must have id or name`);
+
+  // Validate orders (destination strictly required - critical, no defaults)
+  if (!Array.isArray(orders) || orders.length === 0) {
+    report.error(Array.isArray(orders) ? ISSUE_CODES.EMPTY : ISSUE_CODES.INVALID_TYPE, ['orders'],
+      'Orders must be a non-empty array');
+  } else {
+    // Order dimensions are only comparable with a usable fleet
+    const fleetDimensions = Array.isArray(drivers) && drivers.length > 0 ? declaredDimensions : null;
+    orders.forEach((order, index) => checkOrder(report, order, index, fleetDimensions));
+    warnDuplicateIds(report, orders, 'orders', 'Order');
+  }
+
+  const graphUsable = checkRoadNetwork(report, { graph, nodes, speedProfiles });
+
+  // Depots referenced by drivers (startLocation/endLocation) and orders (depot) must be graph nodes
+  if (graphUsable) {
+    checkDepots(report, Array.isArray(drivers) ? drivers : [], Array.isArray(orders) ? orders : [], graph);
+    if (strict) {
+      checkGraphDiagnostics(report, Array.isArray(drivers) ? drivers : [], Array.isArray(orders) ? orders : [], graph);
     }
-    // Critical field: capacity required (no silent default to 100)
+  }
+}
+
+/**
+ * Helper: Checks for one driver; capacity dimensions are added to declaredDimensions.
+ */
+function checkDriver(report, driver, index, declaredDimensions) {
+  const path = ['drivers', index];
+  if (!driver || typeof driver !== 'object' || Array.isArray(driver)) {
+    return report.error(ISSUE_CODES.INVALID_TYPE, path, `Driver at index ${index} must be a non-array object`);
+  }
+  if (!driver.id && !driver.name) {
+    report.error(ISSUE_CODES.MISSING_FIELD, [...path, 'id'], `Driver at index ${index} must have id or name`);
+  } else if (!driver.id) {
+    report.warn(ISSUE_CODES.DEFAULTED_FIELD, [...path, 'id'],
+      `Driver at index ${index} has no id; defaulted to 'driver-${index + 1}'`);
+  }
+  // Critical field: capacity required (no silent default to 100); number or { dimension: amount }
+  if (isDimensionObject(driver.capacity)) {
+    Object.keys(driver.capacity).forEach(dim => declaredDimensions.add(dim));
+    checkDimensions(report, driver.capacity, [...path, 'capacity'], `Driver at index ${index} capacity`, false);
+  } else {
+    declaredDimensions.add(DEFAULT_DIMENSION);
     if (typeof driver.capacity !== 'number' || driver.capacity <= 0) {
-      throw new InputValidationError(`Driver at index ${index} must have positive numeric capacity`);
+      report.error(driver.capacity === undefined ? ISSUE_CODES.MISSING_FIELD : ISSUE_CODES.INVALID_VALUE,
+        [...path, 'capacity'], `Driver at index ${index} must have positive numeric capacity`);
     }
-    // New field: shiftEndTime optional, but if present must be ISO string or timestamp
-    if (driver.shiftEndTime !== undefined) {
-      const endTime = new Date(driver.shiftEndTime);
-      if (isNaN(endTime.getTime())) {
-        throw new InputValidationError(`Driver at index ${index} shiftEndTime must be valid date string/timestamp`);
-      }
+  }
+  if (driver.currentLocation === undefined && driver.startLocation === undefined) {
+    report.warn(ISSUE_CODES.DEFAULTED_FIELD, [...path, 'currentLocation'],
+      `Driver at index ${index} has no currentLocation or startLocation; defaulted to 'depot'`);
+  }
+  // New field: shiftEndTime optional, but if present must be ISO string or timestamp
+  const endTime = driver.shiftEndTime !== undefined ? new Date(driver.shiftEndTime) : null;
+  if (endTime && isNaN(endTime.getTime())) {
+    report.error(ISSUE_CODES.INVALID_DATE, [...path, 'shiftEndTime'],
+      `Driver at index ${index} shiftEndTime must be valid date string/timestamp`);
+  }
+  if (driver.shiftStartTime !== undefined) {
+    const startTime = new Date(driver.shiftStartTime);
+    if (isNaN(startTime.getTime())) {
+      report.error(ISSUE_CODES.INVALID_DATE, [...path, 'shiftStartTime'],
+        `Driver at index ${index} shiftStartTime must be valid date string/timestamp`);
+    } else if (endTime && startTime >= endTime) {
+      report.error(ISSUE_CODES.INVALID_TIME_RANGE, [...path, 'shiftStartTime'],
+        `Driver at index ${index} shiftStartTime must be before shiftEndTime`);
+    }
+  }
+  // Service time default and break rules (optional)
+  if (driver.defaultServiceMinutes !== undefined &&
+      (typeof driver.defaultServiceMinutes !== 'number' || driver.defaultServiceMinutes < 0)) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'defaultServiceMinutes'],
+      `Driver at index ${index} defaultServiceMinutes must be a non-negative number`);
+  }
+  if (driver.breaks !== undefined) {
+    checkBreakRules(report, driver.breaks, [...path, 'breaks'], `Driver at index ${index}`);
+  }
+  // Vehicle attributes (optional) used for road restrictions
+  if (driver.vehicleType !== undefined && (typeof driver.vehicleType !== 'string' || !driver.vehicleType.trim())) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'vehicleType'],
+      `Driver at index ${index} vehicleType must be a non-empty string`);
+  }
+  ['vehicleWeightKg', 'vehicleHeightM'].forEach(field => {
+    if (driver[field] !== undefined && (typeof driver[field] !== 'number' || driver[field] <= 0)) {
+      report.error(ISSUE_CODES.INVALID_VALUE, [...path, field], `Driver at index ${index} ${field} must be a positive number`);
     }
   });
+}
 
-  // Validate orders (destination strictly required - critical, no defaults)
-  if (!Array.isArray(orders) || orders.length === 0) {
-    throw new InputValidationError('Orders must be a non-empty array');
+/**
+ * Helper: Checks for one order; fleetDimensions (null = unknown) limits size dimensions.
+ */
+function checkOrder(report, order, index, fleetDimensions) {
+  const path = ['orders', index];
+  if (!order || typeof order !== 'object' || Array.isArray(order)) {
+    return report.error(ISSUE_CODES.INVALID_TYPE, path, `Order at index ${index} must be a non-array object`);
   }
-  orders.forEach((order, index) => {
-    if (!order || typeof order !== 'object' || Array.isArray(order)) {
-      throw new InputValidationError(`Order at index ${index} must be a non-array object`);
-    }
-    // id optional but destination or id needed
-    if (!order.id && !order.destination) {
-      throw new InputValidationError(`Order at index ${index} must have id or destination`);
-    }
+  // id optional but destination or id needed
+  if (!order.id && !order.destination) {
+    report.error(ISSUE_CODES.MISSING_FIELD, [...path, 'destination'], `Order at index ${index} must have id or destination`);
+  } else if (typeof order.destination !== 'string' || !order.destination.trim()) {
     // Critical field: destination required (no silent default)
-    if (typeof order.destination !== 'string' || !order.destination.trim()) {
-      throw new InputValidationError(`Order at index ${index} must have a non-empty string destination`);
-    }
-    // New field: deadlineTime optional, but if present must be valid date
-    if (order.deadlineTime !== undefined) {
-      const deadline = new Date(order.deadlineTime);
-      if (isNaN(deadline.getTime())) {
-        throw new InputValidationError(`Order at index ${index} deadlineTime must be valid date string/timestamp`);
+    report.error(order.destination === undefined ? ISSUE_CODES.MISSING_FIELD : ISSUE_CODES.INVALID_VALUE,
+      [...path, 'destination'], `Order at index ${index} must have a non-empty string destination`);
+  }
+  if (!order.id) {
+    report.warn(ISSUE_CODES.DEFAULTED_FIELD, [...path, 'id'],
+      `Order at index ${index} has no id; defaulted to 'order-${index + 1}'`);
+  }
+  if (order.serviceMinutes !== undefined && (typeof order.serviceMinutes !== 'number' || order.serviceMinutes < 0)) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'serviceMinutes'],
+      `Order at index ${index} serviceMinutes must be a non-negative number`);
+  }
+  // Pickup-and-delivery: pickupLocation optional, visited before destination by the same driver
+  if (order.pickupLocation !== undefined &&
+      (typeof order.pickupLocation !== 'string' || !order.pickupLocation.trim())) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'pickupLocation'],
+      `Order at index ${index} pickupLocation must be a non-empty string`);
+  }
+  // Size optional (defaults in loader); number or { dimension: amount } using fleet dimensions
+  const label = `Order at index ${index} size`;
+  let sizeValid = true;
+  if (order.size === undefined || order.size === 0) {
+    report.warn(ISSUE_CODES.DEFAULTED_FIELD, [...path, 'size'], order.size === undefined
+      ? `${label} missing; defaulted to ${DEFAULT_ORDER_SIZE}`
+      : `${label} 0 is treated as the default ${DEFAULT_ORDER_SIZE}`);
+  } else if (isDimensionObject(order.size)) {
+    sizeValid = checkDimensions(report, order.size, [...path, 'size'], label, true);
+  } else if (typeof order.size !== 'number' || order.size < 0) {
+    sizeValid = false;
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'size'],
+      `${label} must be a non-negative number or an object of dimensions`);
+  }
+  if (order.size !== undefined && sizeValid && fleetDimensions) {
+    Object.keys(toDimensions(order.size)).forEach(dim => {
+      if (!fleetDimensions.has(dim)) {
+        report.error(ISSUE_CODES.UNKNOWN_REFERENCE, isDimensionObject(order.size) ? [...path, 'size', dim] : [...path, 'size'],
+          `${label} dimension '${dim}' is not declared by any driver capacity`);
       }
+    });
+  }
+  if (order.priority === 0) {
+    report.warn(ISSUE_CODES.DEFAULTED_FIELD, [...path, 'priority'],
+      `Order at index ${index} priority 0 is treated as the default 1`);
+  }
+  // New field: deadlineTime optional, but if present must be valid date
+  const deadline = order.deadlineTime !== undefined ? new Date(order.deadlineTime) : null;
+  if (deadline && isNaN(deadline.getTime())) {
+    report.error(ISSUE_CODES.INVALID_DATE, [...path, 'deadlineTime'],
+      `Order at index ${index} deadlineTime must be valid date string/timestamp`);
+  }
+  // Time window start: earliestTime optional, must be valid date and before deadlineTime
+  if (order.earliestTime !== undefined) {
+    const earliest = new Date(order.earliestTime);
+    if (isNaN(earliest.getTime())) {
+      report.error(ISSUE_CODES.INVALID_DATE, [...path, 'earliestTime'],
+        `Order at index ${index} earliestTime must be valid date string/timestamp`);
+    } else if (deadline && earliest >= deadline) {
+      report.error(ISSUE_CODES.INVALID_TIME_RANGE, [...path, 'earliestTime'],
+        `Order at index ${index} earliestTime must be before deadlineTime`);
+    }
+  }
+}
+
+/**
+ * Helper: Warn about ids used by more than one driver/order (results and plans refer to them by id).
+ */
+function warnDuplicateIds(report, items, section, label) {
+  const firstIndex = new Map();
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || item.id === undefined || item.id === null || item.id === '') return;
+    if (firstIndex.has(item.id)) {
+      report.warn(ISSUE_CODES.DUPLICATE_ID, [section, index, 'id'],
+        `${label} at index ${index} repeats id '${item.id}' (first used at index ${firstIndex.get(item.id)})`);
+    } else {
+      firstIndex.set(item.id, index);
     }
   });
+}
+
+/**
+ * Validate a road network on its own (graph, optional speedProfiles and node coordinates),
+ * e.g. for a single shortest-path query. Throws InputValidationError like validateInputs.
+ * @param {Object} network - { graph, nodes?, speedProfiles? }
+ * @param {Object} [options={}]
+ * @param {boolean} [options.collectAll=false] - Report every error at once instead of the first
+ * @returns {Array<Object>} - Warnings
+ */
+function validateRoadNetwork(network, { collectAll = false } = {}) {
+  const report = createIssueCollector(collectAll);
+  checkRoadNetwork(report, network || {});
+  return report.finish();
+}
 
+/**
+ * Helper: Road network checks; returns whether the graph is usable for reference checks.
+ */
+function checkRoadNetwork(report, { graph, nodes, speedProfiles }) {
   // Validate graph (strict structure check, no empty)
-  if (!graph || typeof graph !== 'object' || Array.isArray(graph) || Object.keys(graph).length === 0) {
-    throw new InputValidationError('Graph must be a non-empty object representing road network');
+  const graphIsObject = Boolean(graph) && typeof graph === 'object' && !Array.isArray(graph);
+  if (!graphIsObject || Object.keys(graph).length === 0) {
+    report.error(graphIsObject ? ISSUE_CODES.EMPTY : ISSUE_CODES.INVALID_TYPE, ['graph'],
+      'Graph must be a non-empty object representing road network');
   }
-  // Check each node has valid connections (object, non-negative distances)
-  Object.entries(graph).forEach(([node, connections]) => {
+  // Optional time-of-day speed profiles (checked first: edges may reference them)
+  const profilesValid = speedProfiles === undefined || checkSpeedProfiles(report, speedProfiles);
+  if (!graphIsObject || Object.keys(graph).length === 0) return false;
+
+  // Check each node has valid connections (object, non-negative distances or edge objects)
+  const usableConnections = Object.entries(graph).filter(([node, connections]) => {
     if (!connections || typeof connections !== 'object' || Array.isArray(connections)) {
-      throw new InputValidationError(`Graph node '${node}' must have a connections object`);
+      report.error(ISSUE_CODES.INVALID_TYPE, ['graph', node], `Graph node '${node}' must have a connections object`);
+      return false;
     }
-    Object.entries(connections).forEach(([neighbor, distance]) => {
-      if (typeof distance !== 'number' || distance < 0) {
-        throw new InputValidationError(`Invalid distance from '${node}' to '${neighbor}': must be non-negative number`);
-      }
+    Object.entries(connections).forEach(([neighbor, edge]) => {
+      // Unknown profile references are only meaningful once the profiles themselves are valid
+      checkEdge(report, node, neighbor, edge, profilesValid ? speedProfiles || {} : null);
     });
+    return true;
   });
 
   // Edge case: ensure graph has at least one connection
-  const hasConnections = Object.values(graph).some(conns => Object.keys(conns).length > 0);
+  const hasConnections = usableConnections.some(([, conns]) => Object.keys(conns).length > 0);
   if (!hasConnections) {
-    throw new InputValidationError('Graph must contain at least one connection between nodes');
+    report.error(ISSUE_CODES.EMPTY, ['graph'], 'Graph must contain at least one connection between nodes');
+  }
+
+  // Optional node coordinates (for A*): all { lat, lon } or all { x, y }, keyed by graph nodes
+  if (nodes !== undefined) {
+    checkNodeCoordinates(report, nodes, graph);
+  }
+  return usableConnections.length === Object.keys(graph).length;
+}
+
+/**
+ * Validate config.initialPlan against the prepared drivers and orders: an array of
+ * { driverId, orderId, fixed? } naming known ids, each order at most once.
+ * @param {Array} plan - Seeded stops in order
+ * @param {Array} drivers - Prepared drivers
+ * @param {Array} orders - Prepared orders
+ */
+function validateInitialPlan(plan, drivers, orders) {
+  if (!Array.isArray(plan)) {
+    throw new InputValidationError('config.initialPlan must be an array of { driverId, orderId } entries');
+  }
+  const driverIds = new Set(drivers.map(d => d.id));
+  const orderIds = new Set(orders.map(o => o.id));
+  const seen = new Set();
+  plan.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new InputValidationError(`config.initialPlan entry at index ${index} must be a non-array object`);
+    }
+    if (!driverIds.has(entry.driverId)) {
+      throw new InputValidationError(`config.initialPlan entry at index ${index} has unknown driverId '${entry.driverId}'`);
+    }
+    if (!orderIds.has(entry.orderId)) {
+      throw new InputValidationError(`config.initialPlan entry at index ${index} has unknown orderId '${entry.orderId}'`);
+    }
+    if (seen.has(entry.orderId)) {
+      throw new InputValidationError(`config.initialPlan entry at index ${index} repeats orderId '${entry.orderId}'`);
+    }
+    if (entry.fixed !== undefined && typeof entry.fixed !== 'boolean') {
+      throw new InputValidationError(`config.initialPlan entry at index ${index} fixed must be a boolean`);
+    }
+    seen.add(entry.orderId);
+  });
+}
+
+/**
+ * Validate driver break rules: an array of { afterDrivingMinutes > 0, durationMinutes > 0 }
+ * (at most one) and fixed windows { start, end } with valid dates, start before end.
+ * @param {Object} report - Issue collector
+ * @param {Array} breaks
+ * @param {Array} path - Pointer segments of the breaks array
+ * @param {string} label - Error message prefix
+ */
+function checkBreakRules(report, breaks, path, label) {
+  if (!Array.isArray(breaks)) {
+    return report.error(ISSUE_CODES.INVALID_TYPE, path, `${label} breaks must be an array of break rules`);
+  }
+  let drivingRules = 0;
+  breaks.forEach((rule, index) => {
+    const ruleLabel = `${label} break ${index}`;
+    const rulePath = [...path, index];
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      report.error(ISSUE_CODES.INVALID_TYPE, rulePath, `${ruleLabel} must be an object`);
+      return;
+    }
+    if (rule.afterDrivingMinutes !== undefined) {
+      drivingRules += 1;
+      if (typeof rule.afterDrivingMinutes !== 'number' || rule.afterDrivingMinutes <= 0 ||
+          typeof rule.durationMinutes !== 'number' || rule.durationMinutes <= 0) {
+        report.error(ISSUE_CODES.INVALID_VALUE, rulePath,
+          `${ruleLabel} afterDrivingMinutes and durationMinutes must be positive numbers`);
+      }
+    } else {
+      const start = new Date(rule.start);
+      const end = new Date(rule.end);
+      if (rule.start === undefined || rule.end === undefined || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        report.error(ISSUE_CODES.INVALID_DATE, rulePath,
+          `${ruleLabel} must have afterDrivingMinutes or valid start/end date strings/timestamps`);
+      } else if (start >= end) {
+        report.error(ISSUE_CODES.INVALID_TIME_RANGE, rulePath, `${ruleLabel} start must be before end`);
+      }
+    }
+  });
+  if (drivingRules > 1) {
+    report.error(ISSUE_CODES.INVALID_VALUE, path, `${label} may have at most one afterDrivingMinutes break rule`);
   }
 }
 
+/**
+ * Validate multi-depot references: driver startLocation/endLocation (endLocation may be
+ * RETURN_TO_START) and order depot must be non-empty strings naming a graph node.
+ * @param {Object} report - Issue collector
+ * @param {Array} drivers
+ * @param {Array} orders
+ * @param {Object} graph
+ */
+function checkDepots(report, drivers, orders, graph) {
+  const graphNodes = new Set(Object.keys(graph));
+  Object.values(graph).forEach(connections => Object.keys(connections).forEach(n => graphNodes.add(n)));
+  const check = (value, path, label) => {
+    if (value === undefined) return;
+    if (typeof value !== 'string' || !value.trim()) {
+      report.error(ISSUE_CODES.INVALID_VALUE, path, `${label} must be a non-empty string`);
+    } else if (!graphNodes.has(value)) {
+      report.error(ISSUE_CODES.UNKNOWN_REFERENCE, path, `${label} '${value}' is not a node in the graph`);
+    }
+  };
+  drivers.forEach((driver, index) => {
+    if (!driver || typeof driver !== 'object') return;
+    check(driver.startLocation, ['drivers', index, 'startLocation'], `Driver at index ${index} startLocation`);
+    if (driver.endLocation !== RETURN_TO_START) {
+      check(driver.endLocation, ['drivers', index, 'endLocation'], `Driver at index ${index} endLocation`);
+    }
+  });
+  orders.forEach((order, index) => {
+    if (!order || typeof order !== 'object') return;
+    check(order.depot, ['orders', index, 'depot'], `Order at index ${index} depot`);
+  });
+}
+
+/**
+ * Helper: Strict-mode checks from diagnoseGraph. Stops already reported (e.g. an unknown
+ * startLocation) are not reported twice.
+ */
+function checkGraphDiagnostics(report, drivers, orders, graph) {
+  const diagnosis = diagnoseGraph(graph, { drivers, orders });
+  const label = (type, index) => `${type === 'driver' ? 'Driver' : 'Order'} at index ${index}`;
+
+  diagnosis.missingNodes.forEach(({ type, index, field, node }) => {
+    const path = [`${type}s`, index, field];
+    if (report.hasError(path)) return;
+    report.error(ISSUE_CODES.UNKNOWN_REFERENCE, path, isEdgeTarget(graph, node)
+      ? `${label(type, index)} ${field} '${node}' has no entry in the graph (only edges point to it)`
+      : `${label(type, index)} ${field} '${node}' is not a node in the graph`);
+  });
+  diagnosis.unreachableOrders.forEach(({ index, field, node }) => {
+    report.error(ISSUE_CODES.UNREACHABLE, ['orders', index, field],
+      `Order at index ${index} ${field} '${node}' cannot be reached by any available driver`);
+  });
+  diagnosis.strandedDrivers.forEach(({ index, node }) => {
+    report.warn(ISSUE_CODES.UNREACHABLE, ['drivers', index], `Driver at index ${index} cannot reach any order from '${node}'`);
+  });
+
+  if (!diagnosis.stronglyConnected) {
+    report.warn(ISSUE_CODES.DISCONNECTED_GRAPH, ['graph'],
+      `Graph has ${diagnosis.components.length} strongly connected components ` +
+      `(the largest has ${diagnosis.components[0].length} of ${diagnosis.nodeCount} nodes)`);
+  }
+  diagnosis.oneWayNodes.forEach(({ node, reachableFromMain }) => {
+    report.warn(ISSUE_CODES.ONE_WAY_NODE, ['graph', node], reachableFromMain
+      ? `Node '${node}' can be reached from the main network but has no way back`
+      : `Node '${node}' can reach the main network but cannot be reached from it`);
+  });
+  diagnosis.danglingEdges.forEach(({ from, to }) => {
+    report.warn(ISSUE_CODES.DANGLING_EDGE, ['graph', from, to],
+      `Edge '${from}' -> '${to}' leads to a node without its own graph entry (routing cannot use it)`);
+  });
+  diagnosis.asymmetricEdges.forEach(({ from, to, distance, reverseDistance }) => {
+    report.warn(ISSUE_CODES.ASYMMETRIC_EDGE, ['graph', from, to],
+      `Edge '${from}' -> '${to}' is ${distance} km but '${to}' -> '${from}' is ${reverseDistance} km`);
+  });
+}
+
+/**
+ * Helper: Whether any edge leads to node.
+ */
+function isEdgeTarget(graph, node) {
+  return Object.values(graph).some(connections => Object.prototype.hasOwnProperty.call(connections, node));
+}
+
+/**
+ * Helper: True for a per-dimension amount object ({ weightKg, volumeL, ... }).
+ */
+function isDimensionObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a per-dimension amount object: non-empty, every amount a finite number,
+ * positive for capacities, non-negative for order sizes.
+ * @param {Object} report - Issue collector
+ * @param {Object} dimensions - { dimension: amount }
+ * @param {Array} path - Pointer segments of the object
+ * @param {string} label - Error message prefix
+ * @param {boolean} allowZero - Whether 0 is a valid amount
+ * @returns {boolean} - Whether the object is valid
+ */
+function checkDimensions(report, dimensions, path, label, allowZero) {
+  const entries = Object.entries(dimensions);
+  if (entries.length === 0) {
+    report.error(ISSUE_CODES.EMPTY, path, `${label} must declare at least one dimension`);
+    return false;
+  }
+  let valid = true;
+  entries.forEach(([dim, amount]) => {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0 || (!allowZero && amount === 0)) {
+      valid = false;
+      report.error(ISSUE_CODES.INVALID_VALUE, [...path, dim],
+        `${label} '${dim}' must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+    }
+  });
+  return valid;
+}
+
+/**
+ * Validate one edge: a non-negative number (distance) or an object
+ * { distance, speedKmh?, travelMinutes?, profile?, maxWeightKg?, maxHeightM?, allowedVehicleTypes? }.
+ * @param {Object} report - Issue collector
+ * @param {string} node - Edge origin
+ * @param {string} neighbor - Edge target
+ * @param {number|Object} edge - Edge value
+ * @param {Object|null} speedProfiles - Known profiles (edge.profile must name one); null skips the check
+ */
+function checkEdge(report, node, neighbor, edge, speedProfiles) {
+  const path = ['graph', node, neighbor];
+  if (typeof edge === 'number') {
+    if (edge < 0) {
+      report.error(ISSUE_CODES.INVALID_VALUE, path, `Invalid distance from '${node}' to '${neighbor}': must be non-negative number`);
+    }
+    return;
+  }
+  if (!edge || typeof edge !== 'object' || Array.isArray(edge)) {
+    report.error(ISSUE_CODES.INVALID_TYPE, path, `Invalid distance from '${node}' to '${neighbor}': must be non-negative number`);
+    return;
+  }
+  const label = `Edge '${node}' -> '${neighbor}'`;
+  if (typeof edge.distance !== 'number' || edge.distance < 0) {
+    report.error(edge.distance === undefined ? ISSUE_CODES.MISSING_FIELD : ISSUE_CODES.INVALID_VALUE,
+      [...path, 'distance'], `${label} must have non-negative numeric distance`);
+  }
+  if (edge.speedKmh !== undefined && (typeof edge.speedKmh !== 'number' || edge.speedKmh <= 0)) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'speedKmh'], `${label} speedKmh must be a positive number`);
+  }
+  if (edge.travelMinutes !== undefined && (typeof edge.travelMinutes !== 'number' || edge.travelMinutes < 0)) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'travelMinutes'], `${label} travelMinutes must be a non-negative number`);
+  }
+  ['maxWeightKg', 'maxHeightM'].forEach(field => {
+    if (edge[field] !== undefined && (typeof edge[field] !== 'number' || edge[field] <= 0)) {
+      report.error(ISSUE_CODES.INVALID_VALUE, [...path, field], `${label} ${field} must be a positive number`);
+    }
+  });
+  if (edge.allowedVehicleTypes !== undefined && (!Array.isArray(edge.allowedVehicleTypes) ||
+      edge.allowedVehicleTypes.length === 0 || edge.allowedVehicleTypes.some(t => typeof t !== 'string' || !t.trim()))) {
+    report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'allowedVehicleTypes'],
+      `${label} allowedVehicleTypes must be a non-empty array of strings`);
+  }
+  if (speedProfiles && edge.profile !== undefined && edge.profile !== DEFAULT_PROFILE &&
+      !Object.prototype.hasOwnProperty.call(speedProfiles, edge.profile)) {
+    report.error(ISSUE_CODES.UNKNOWN_REFERENCE, [...path, 'profile'],
+      `${label} references unknown speed profile '${edge.profile}'`);
+  }
+}
+
+/**
+ * Validate speed profiles: { name: [{ from: 'HH:MM', to: 'HH:MM', multiplier > 0 }] }.
+ * The profile named 'default' applies to edges without their own profile.
+ * @param {Object} report - Issue collector
+ * @param {Object} speedProfiles
+ * @returns {boolean} - Whether the profiles are valid
+ */
+function checkSpeedProfiles(report, speedProfiles) {
+  if (!speedProfiles || typeof speedProfiles !== 'object' || Array.isArray(speedProfiles)) {
+    report.error(ISSUE_CODES.INVALID_TYPE, ['speedProfiles'],
+      'Speed profiles must be an object mapping profile name to time windows');
+    return false;
+  }
+  const errorsBefore = report.errorCount();
+  Object.entries(speedProfiles).forEach(([name, windows]) => {
+    if (!Array.isArray(windows)) {
+      report.error(ISSUE_CODES.INVALID_TYPE, ['speedProfiles', name], `Speed profile '${name}' must be an array of time windows`);
+      return;
+    }
+    windows.forEach((window, index) => {
+      const path = ['speedProfiles', name, index];
+      if (!window || isNaN(parseTimeOfDay(window.from)) || isNaN(parseTimeOfDay(window.to))) {
+        report.error(ISSUE_CODES.INVALID_VALUE, path, `Speed profile '${name}' window ${index} must have from/to as 'HH:MM'`);
+        return;
+      }
+      if (typeof window.multiplier !== 'number' || window.multiplier <= 0) {
+        report.error(ISSUE_CODES.INVALID_VALUE, [...path, 'multiplier'],
+          `Speed profile '${name}' window ${index} multiplier must be a positive number`);
+      }
+    });
+  });
+  return report.errorCount() === errorsBefore;
+}
+
+/**
+ * Validate the optional nodes section: { id: { lat, lon } } or { id: { x, y } }
+ * (mixed coordinate kinds, out-of-range lat/lon and unknown nodes are errors).
+ * @param {Object} report - Issue collector
+ * @param {Object} nodes - Node coordinates
+ * @param {Object} graph - Road network graph (node ids must be graph keys)
+ */
+function checkNodeCoordinates(report, nodes, graph) {
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    return report.error(ISSUE_CODES.INVALID_TYPE, ['nodes'], 'Nodes must be an object mapping node id to coordinates');
+  }
+  let coordinateKind = null;
+  Object.entries(nodes).forEach(([node, coords]) => {
+    const path = ['nodes', node];
+    if (!Object.prototype.hasOwnProperty.call(graph, node)) {
+      report.error(ISSUE_CODES.UNKNOWN_REFERENCE, path, `Node coordinates given for '${node}', which is not in the graph`);
+    }
+    if (!coords || typeof coords !== 'object' || Array.isArray(coords)) {
+      report.error(ISSUE_CODES.INVALID_TYPE, path, `Node '${node}' coordinates must be an object`);
+      return;
+    }
+    const isGeo = coords.lat !== undefined || coords.lon !== undefined;
+    const kind = isGeo ? 'lat/lon' : 'x/y';
+    if (coordinateKind && kind !== coordinateKind) {
+      report.error(ISSUE_CODES.INVALID_VALUE, path, `Node '${node}' uses ${kind} but other nodes use ${coordinateKind} coordinates`);
+    }
+    coordinateKind = coordinateKind || kind;
+    if (isGeo) {
+      if (typeof coords.lat !== 'number' || coords.lat < -90 || coords.lat > 90 ||
+          typeof coords.lon !== 'number' || coords.lon < -180 || coords.lon > 180) {
+        report.error(ISSUE_CODES.INVALID_VALUE, path, `Node '${node}' must have numeric lat (-90..90) and lon (-180..180)`);
+      }
+    } else if (!Number.isFinite(coords.x) || !Number.isFinite(coords.y)) {
+      report.error(ISSUE_CODES.INVALID_VALUE, path, `Node '${node}' must have numeric lat/lon or x/y coordinates`);
+    }
+  });
+}
+
 module.exports = {
+  ISSUE_CODES,
+  ISSUE_SEVERITIES,
   validateInputs,
+  validateRoadNetwork,
+  validateInitialPlan,
   InputValidationError
 };
\ No newline at end of file
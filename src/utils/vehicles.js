@@ -0,0 +1,58 @@
+/**
+ * Vehicle-specific road restrictions.
+ * Edge objects may restrict who can use them:
+ *   { distance, maxWeightKg?, maxHeightM?, allowedVehicleTypes? }
+ * Drivers describe their vehicle with vehicleType, vehicleWeightKg and vehicleHeightM.
+ * A restriction only applies to vehicles that declare the matching attribute
+ * (e.g. a driver without vehicleHeightM is assumed to fit under any bridge).
+ */
+
+/**
+ * Vehicle profile for a driver, or null when the driver declares no vehicle attributes
+ * (unrestricted routing, as for plain graphs).
+ * @param {Object} driver - Driver object
+ * @returns {{type?: string, weightKg?: number, heightM?: number}|null}
+ */
+function getVehicleProfile(driver) {
+  const { vehicleType, vehicleWeightKg, vehicleHeightM } = driver;
+  if (vehicleType === undefined && vehicleWeightKg === undefined && vehicleHeightM === undefined) {
+    return null;
+  }
+  return { type: vehicleType, weightKg: vehicleWeightKg, heightM: vehicleHeightM };
+}
+
+/**
+ * Stable key for a vehicle profile ('' for unrestricted), used for caches and distance matrices.
+ * @param {Object|null} vehicle
+ * @returns {string}
+ */
+function vehicleKey(vehicle) {
+  if (!vehicle) return '';
+  return [vehicle.type, vehicle.weightKg, vehicle.heightM].map(v => (v === undefined ? '' : v)).join('/');
+}
+
+/**
+ * Whether a vehicle may use an edge.
+ * @param {number|Object} edge - Edge value from the graph
+ * @param {Object|null} vehicle - Vehicle profile (null = unrestricted)
+ * @returns {boolean}
+ */
+function canTraverse(edge, vehicle) {
+  if (!vehicle || typeof edge === 'number') return true;
+  if (edge.allowedVehicleTypes && vehicle.type !== undefined && !edge.allowedVehicleTypes.includes(vehicle.type)) {
+    return false;
+  }
+  if (edge.maxWeightKg !== undefined && vehicle.weightKg !== undefined && vehicle.weightKg > edge.maxWeightKg) {
+    return false;
+  }
+  if (edge.maxHeightM !== undefined && vehicle.heightM !== undefined && vehicle.heightM > edge.maxHeightM) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  getVehicleProfile,
+  vehicleKey,
+  canTraverse
+};
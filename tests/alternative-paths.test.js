@@ -0,0 +1,100 @@
+/**
+ * Unit tests for alternative routes: Yen's k shortest loop-free paths, the overlap limit,
+ * vehicle restrictions, time-dependent ranking and alternatives attached to assignments.
+ */
+
+const { calculateAlternativePaths, calculateShortestPath, optimizeDelivery, InputValidationError } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+
+// Textbook Yen example: C -> H has paths of length 5, 7, 8, 8, ...
+const graph = {
+  C: { D: 3, E: 2 },
+  D: { F: 4 },
+  E: { D: 1, F: 2, G: 3 },
+  F: { G: 2, H: 1 },
+  G: { H: 2 },
+  H: {}
+};
+
+describe('Alternative Paths', () => {
+  test('returns up to k loop-free paths ranked by distance', () => {
+    const paths = calculateAlternativePaths(graph, 'C', 'H', 3);
+    expect(paths.map(p => [p.distance, p.path.join('')])).toEqual([[5, 'CEFH'], [7, 'CEGH'], [8, 'CEFGH']]);
+    expect(paths[0]).toEqual({ ...calculateShortestPath(graph, 'C', 'H'), overlap: 0 });
+
+    const all = calculateAlternativePaths(graph, 'C', 'H', 20);
+    expect(all).toHaveLength(7); // every simple C -> H path
+    all.forEach(({ path }) => expect(new Set(path).size).toBe(path.length));
+    expect(all.map(p => p.distance)).toEqual([...all.map(p => p.distance)].sort((a, b) => a - b));
+  });
+
+  test('handles unreachable targets and trivial routes', () => {
+    expect(calculateAlternativePaths(graph, 'H', 'C', 3)).toEqual([]);
+    expect(calculateAlternativePaths(graph, 'C', 'mars', 3)).toEqual([]);
+    expect(calculateAlternativePaths(graph, 'C', 'C', 3)).toEqual([{ distance: 0, path: ['C'], overlap: 0 }]);
+  });
+
+  test('maxOverlap skips paths that mostly repeat a better one', () => {
+    // CEFGH (4 of 8 km shared with CEFH) and CEDFH (3 of 8 km) are skipped
+    const paths = calculateAlternativePaths(graph, 'C', 'H', 3, { maxOverlap: 0.3 });
+    expect(paths.map(p => p.path.join(''))).toEqual(['CEFH', 'CEGH', 'CDFH']);
+    expect(paths.map(p => p.overlap)).toEqual([0, 2 / 7, 1 / 8]);
+
+    // Fully disjoint paths only
+    expect(calculateAlternativePaths(graph, 'C', 'H', 3, { maxOverlap: 0 }).map(p => p.path.join(''))).toEqual(['CEFH', 'CDFGH']);
+  });
+
+  test('respects vehicle restrictions', () => {
+    const restricted = { ...graph, E: { ...graph.E, G: { distance: 3, maxWeightKg: 3500 } } };
+    const paths = calculateAlternativePaths(restricted, 'C', 'H', 3, { vehicle: { weightKg: 7500 } });
+    expect(paths.map(p => p.distance)).toEqual([5, 8, 8]);
+    expect(paths.map(p => p.path.join('')).sort()).toEqual(['CDFH', 'CEFGH', 'CEFH']);
+  });
+
+  test('time-dependent searches rank by travel minutes', () => {
+    const roads = {
+      a: { b: { distance: 10, speedKmh: 60 }, c: { distance: 6, speedKmh: 20 } },
+      b: { d: { distance: 10, speedKmh: 60 } },
+      c: { d: { distance: 6, speedKmh: 20 } },
+      d: {}
+    };
+    const paths = calculateAlternativePaths(roads, 'a', 'd', 2, { objective: 'time', departureTime: Date.parse(PLANNING_START) });
+    expect(paths).toEqual([
+      { distance: 20, path: ['a', 'b', 'd'], overlap: 0, travelMinutes: 20 },
+      { distance: 12, path: ['a', 'c', 'd'], overlap: 0, travelMinutes: 36 }
+    ]);
+  });
+
+  test('rejects invalid arguments', () => {
+    expect(() => calculateAlternativePaths(graph, 'C', 'H', 0)).toThrow(InputValidationError);
+    expect(() => calculateAlternativePaths(graph, 'C', 'H', 2, { maxOverlap: 1.5 })).toThrow(/maxOverlap/);
+    expect(() => calculateAlternativePaths(graph, 'C', 'H', 3, { maxPaths: 2 })).toThrow(/maxPaths/);
+  });
+
+  test('optimizeDelivery attaches alternatives to assignments and tour stops', () => {
+    const inputs = {
+      drivers: [{ id: 'd1', currentLocation: 'C', capacity: 100 }],
+      orders: [{ id: 'o1', destination: 'H', size: 10 }],
+      graph
+    };
+    const plain = optimizeDelivery(inputs, { planningStartTime: PLANNING_START });
+    expect(plain.assignments[0]).not.toHaveProperty('alternativeRoutes');
+
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START, alternativeRoutes: 2, maxRouteOverlap: 0.3 });
+    const [assignment] = result.assignments;
+    expect(assignment.route).toEqual(['C', 'E', 'F', 'H']);
+    expect(assignment.alternativeRoutes.map(p => p.path.join(''))).toEqual(['CEGH', 'CDFH']);
+    expect(result.tours[0].stops[0].alternativeRoutes).toEqual(assignment.alternativeRoutes);
+
+    const paired = optimizeDelivery({
+      ...inputs,
+      orders: [{ id: 'o1', pickupLocation: 'F', destination: 'H', size: 10 }]
+    }, { planningStartTime: PLANNING_START, alternativeRoutes: 1 });
+    expect(paired.assignments[0].pickupAlternativeRoutes.map(p => p.path.join(''))).toEqual(['CDF']);
+    expect(paired.assignments[0].alternativeRoutes.map(p => p.path.join(''))).toEqual(['FGH']);
+
+    expect(() => optimizeDelivery(inputs, { alternativeRoutes: -1 })).toThrow(/alternativeRoutes must be a non-negative integer/);
+    expect(() => optimizeDelivery(inputs, { maxRouteOverlap: 2 })).toThrow(/maxRouteOverlap/);
+  });
+});
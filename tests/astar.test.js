@@ -0,0 +1,92 @@
+/**
+ * Unit tests for A* search with node coordinates.
+ * Covers heuristics, parity with Dijkstra, unreachable handling, nodes validation and config selection.
+ */
+
+const { optimizeDelivery, validateInputs, calculateShortestPath, InputValidationError } = require('../src/index');
+const { haversineKm, createHeuristic } = require('../src/utils/heuristics');
+
+// 4x4 grid with unit x/y spacing and edge weight 1 (Euclidean heuristic is admissible)
+function buildGrid(size) {
+  const graph = {};
+  const nodes = {};
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      const id = `n${x}_${y}`;
+      nodes[id] = { x, y };
+      graph[id] = {};
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && ny >= 0 && nx < size && ny < size) graph[id][`n${nx}_${ny}`] = 1;
+      });
+    }
+  }
+  return { graph, nodes };
+}
+
+describe('A* Search', () => {
+  test('haversineKm and heuristics', () => {
+    // London -> Paris is roughly 344 km
+    expect(haversineKm({ lat: 51.5074, lon: -0.1278 }, { lat: 48.8566, lon: 2.3522 })).toBeCloseTo(344, -1);
+    const heuristic = createHeuristic({ a: { x: 0, y: 0 }, b: { x: 3, y: 4 } }, 'b');
+    expect(heuristic('a')).toBe(5);
+    expect(heuristic('missing')).toBe(0);
+    expect(createHeuristic({}, 'b')).toBeNull();
+  });
+
+  test('A* returns the same { distance, path } contract as Dijkstra', () => {
+    const { graph, nodes } = buildGrid(4);
+    const dijkstra = calculateShortestPath(graph, 'n0_0', 'n3_3');
+    const astar = calculateShortestPath(graph, 'n0_0', 'n3_3', null, { algorithm: 'astar', nodes });
+
+    expect(astar.distance).toBe(6);
+    expect(astar.distance).toBe(dijkstra.distance);
+    expect(astar.path[0]).toBe('n0_0');
+    expect(astar.path[astar.path.length - 1]).toBe('n3_3');
+    expect(astar.path).toHaveLength(7);
+  });
+
+  test('A* handles unreachable targets like Dijkstra', () => {
+    const graph = { a: { b: 1 }, b: { a: 1 }, island: {} };
+    const nodes = { a: { x: 0, y: 0 }, b: { x: 1, y: 0 }, island: { x: 2, y: 0 } };
+    expect(calculateShortestPath(graph, 'a', 'island', null, { algorithm: 'astar', nodes }))
+      .toEqual({ distance: Infinity, path: [] });
+    expect(calculateShortestPath(graph, 'a', 'unknown', null, { algorithm: 'astar', nodes }))
+      .toEqual({ distance: Infinity, path: [] });
+  });
+
+  test('validateInputs checks the optional nodes section', () => {
+    const { graph } = buildGrid(2);
+    const base = {
+      drivers: [{ id: 'd1', capacity: 10, currentLocation: 'n0_0' }],
+      orders: [{ id: 'o1', destination: 'n1_1' }],
+      graph
+    };
+    expect(() => validateInputs({ ...base, nodes: { n0_0: { x: 0, y: 0 } } })).not.toThrow();
+    expect(() => validateInputs({ ...base, nodes: { n0_0: { lat: 51.5, lon: -0.1 } } })).not.toThrow();
+    expect(() => validateInputs({ ...base, nodes: [] })).toThrow(/Nodes must be an object/);
+    expect(() => validateInputs({ ...base, nodes: { ghost: { x: 0, y: 0 } } })).toThrow(/not in the graph/);
+    expect(() => validateInputs({ ...base, nodes: { n0_0: { lat: 95, lon: 0 } } })).toThrow(/lat \(-90..90\)/);
+    expect(() => validateInputs({ ...base, nodes: { n0_0: { x: 'a', y: 0 } } })).toThrow(/numeric lat\/lon or x\/y/);
+    expect(() => validateInputs({ ...base, nodes: { n0_0: { x: 0, y: 0 }, n1_1: { lat: 1, lon: 1 } } }))
+      .toThrow(/other nodes use x\/y/);
+  });
+
+  test('optimizeDelivery selects A* via config.pathAlgorithm', () => {
+    const { graph, nodes } = buildGrid(4);
+    const inputs = {
+      drivers: [{ id: 'd1', capacity: 10, currentLocation: 'n0_0' }],
+      orders: [{ id: 'o1', destination: 'n3_3' }],
+      graph,
+      nodes
+    };
+    const result = optimizeDelivery(inputs, { pathAlgorithm: 'astar' });
+    expect(result.assignments[0].distance).toBe(6);
+    expect(result.tours[0].path).toHaveLength(7);
+
+    expect(() => optimizeDelivery(inputs, { pathAlgorithm: 'bfs' })).toThrow(InputValidationError);
+    const { nodes: _omit, ...withoutNodes } = inputs;
+    expect(() => optimizeDelivery(withoutNodes, { pathAlgorithm: 'astar' })).toThrow(/requires inputs.nodes/);
+  });
+});
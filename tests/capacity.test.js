@@ -0,0 +1,88 @@
+/**
+ * Unit tests for multi-dimensional capacity.
+ * Covers per-dimension fit checks, load shape, validation and per-driver utilisation reporting.
+ */
+
+const { optimizeDelivery, validateInputs, assignDriversToOrders, loadDrivers, loadOrders } = require('../src/index');
+const { fitsCapacity, addLoad, isFull } = require('../src/utils/capacity');
+
+const graph = {
+  depot: { a: 1, b: 2 },
+  a: { depot: 1, b: 1 },
+  b: { depot: 2, a: 1 }
+};
+
+function getDimensionInputs() {
+  return {
+    drivers: [
+      {
+        id: 'van',
+        currentLocation: 'depot',
+        capacity: { weightKg: 1000, volumeL: 500, parcels: 20 },
+        shiftEndTime: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
+      }
+    ],
+    orders: [
+      { id: 'sofa', destination: 'a', priority: 3, size: { weightKg: 80, volumeL: 450, parcels: 1 } },
+      { id: 'boxes', destination: 'b', priority: 2, size: { weightKg: 100, volumeL: 100, parcels: 4 } },
+      { id: 'tiles', destination: 'b', priority: 1, size: { weightKg: 600, volumeL: 40, parcels: 2 } }
+    ],
+    graph
+  };
+}
+
+describe('Multi-dimensional Capacity', () => {
+  test('fitsCapacity checks every declared dimension; numbers are one dimension', () => {
+    const capacity = { weightKg: 100, volumeL: 50 };
+    expect(fitsCapacity(capacity, { weightKg: 40, volumeL: 10 }, { weightKg: 60, volumeL: 40 })).toBe(true);
+    expect(fitsCapacity(capacity, { weightKg: 40, volumeL: 10 }, { weightKg: 10, volumeL: 41 })).toBe(false);
+    expect(fitsCapacity(capacity, undefined, { parcels: 99 })).toBe(true); // undeclared dimension: unconstrained
+    expect(fitsCapacity(50, 30, 20)).toBe(true);
+    expect(fitsCapacity(50, 30, 21)).toBe(false);
+  });
+
+  test('addLoad keeps the shape of the capacity and isFull triggers on any dimension', () => {
+    expect(addLoad(100, 20, 30)).toBe(50);
+    expect(addLoad({ weightKg: 100, parcels: 5 }, undefined, { weightKg: 30, parcels: 5 })).toEqual({ weightKg: 30, parcels: 5 });
+    expect(isFull({ weightKg: 100, parcels: 5 }, { weightKg: 30, parcels: 5 })).toBe(true);
+    expect(isFull(100, 50)).toBe(false);
+  });
+
+  test('assignDriversToOrders skips orders that overflow volume even when weight fits', () => {
+    const inputs = getDimensionInputs();
+    const assignments = assignDriversToOrders(loadDrivers(inputs.drivers), loadOrders(inputs.orders), graph);
+    expect(assignments.map(a => a.order.id)).toEqual(['sofa', 'tiles']); // boxes: 450 + 100 L > 500 L
+    expect(assignments[1].driver.assignedLoad).toEqual({ weightKg: 680, volumeL: 490, parcels: 3 });
+  });
+
+  test('optimizeDelivery reports per-dimension utilisation per driver', () => {
+    const inputs = getDimensionInputs();
+    inputs.drivers.push({ id: 'bike', currentLocation: 'b', capacity: 30 });
+    const result = optimizeDelivery(inputs);
+    expect(result.utilisation).toEqual([
+      {
+        driverId: 'van',
+        capacity: { weightKg: 1000, volumeL: 500, parcels: 20 },
+        load: { weightKg: 680, volumeL: 490, parcels: 3 },
+        utilisation: { weightKg: 0.68, volumeL: 0.98, parcels: 0.15 }
+      },
+      { driverId: 'bike', capacity: { units: 30 }, load: { units: 0 }, utilisation: { units: 0 } }
+    ]);
+  });
+
+  test('validateInputs checks dimension objects consistently', () => {
+    const inputs = getDimensionInputs();
+    expect(() => validateInputs(inputs)).not.toThrow();
+    inputs.drivers[0].capacity = {};
+    expect(() => validateInputs(inputs)).toThrow(/capacity must declare at least one dimension/);
+    inputs.drivers[0].capacity = { weightKg: 0 };
+    expect(() => validateInputs(inputs)).toThrow(/capacity 'weightKg' must be a positive number/);
+    inputs.drivers[0].capacity = { weightKg: 1000, volumeL: 500, parcels: 20 };
+    inputs.orders[0].size = { weightKg: -1 };
+    expect(() => validateInputs(inputs)).toThrow(/size 'weightKg' must be a non-negative number/);
+    inputs.orders[0].size = { pallets: 1 };
+    expect(() => validateInputs(inputs)).toThrow(/dimension 'pallets' is not declared by any driver capacity/);
+    inputs.orders[0].size = 5; // numeric size needs a numeric-capacity driver
+    expect(() => validateInputs(inputs)).toThrow(/dimension 'units' is not declared/);
+  });
+});
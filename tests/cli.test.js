@@ -0,0 +1,200 @@
+/**
+ * Unit tests for the command-line interface (solve, validate, route).
+ * Covers file and stdin input, output formats, --out and exit codes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const { runCli, EXIT_CODES } = require('../src/cli');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+
+const inputs = {
+  drivers: [
+    { id: 'd1', currentLocation: 'depot', capacity: 100 },
+    { id: 'd2', currentLocation: 'depot', capacity: 100 }
+  ],
+  orders: [
+    { id: 'o1', destination: 'a', priority: 2 },
+    { id: 'o2', destination: 'b', priority: 1 }
+  ],
+  graph: {
+    depot: { a: 10, b: 20 },
+    a: { depot: 10, b: 10 },
+    b: { a: 10, depot: 20 },
+    island: {}
+  },
+  nodes: {
+    depot: { lat: 52.5, lon: 13.4 },
+    a: { lat: 52.51, lon: 13.4 },
+    b: { lat: 52.52, lon: 13.4 },
+    island: { lat: 52.6, lon: 13.4 }
+  }
+};
+
+/**
+ * Helper: Run the CLI with captured output; stdin is the given text.
+ */
+function run(argv, stdin = '') {
+  const out = [];
+  const err = [];
+  const code = runCli(argv, {
+    stdout: { write: text => out.push(text) },
+    stderr: { write: text => err.push(text) },
+    readStdin: () => stdin
+  });
+  return { code, stdout: out.join(''), stderr: err.join('') };
+}
+
+describe('CLI', () => {
+  let dir;
+  let inputFile;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    inputFile = path.join(dir, 'inputs.json');
+    fs.writeFileSync(inputFile, JSON.stringify(inputs));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('solve prints the plan as JSON', () => {
+    const { code, stdout } = run(['solve', inputFile, '--strategy', 'regret', '--planning-start', PLANNING_START]);
+    expect(code).toBe(EXIT_CODES.OK);
+    const plan = JSON.parse(stdout);
+    expect(plan.summary.assignedOrders).toBe(2);
+    expect(plan.summary.strategy).toBe('regret');
+  });
+
+  test('solve reads stdin when the file is - or missing', () => {
+    const text = JSON.stringify(inputs);
+    expect(JSON.parse(run(['solve', '-'], text).stdout).summary.totalOrders).toBe(2);
+    expect(JSON.parse(run(['solve'], text).stdout).summary.totalOrders).toBe(2);
+  });
+
+  test('solve writes other formats to --out', () => {
+    const geojsonFile = path.join(dir, 'plan.geojson');
+    const result = run(['solve', inputFile, '--out', geojsonFile, '--format', 'geojson']);
+    expect(result.code).toBe(EXIT_CODES.OK);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toMatch(/Wrote geojson plan/);
+    expect(JSON.parse(fs.readFileSync(geojsonFile, 'utf8')).type).toBe('FeatureCollection');
+
+    const csv = run(['solve', inputFile, '--format', 'csv']).stdout.split('\n');
+    expect(csv[0]).toMatch(/^driverId,sequence,stopType/);
+    expect(csv[1]).toMatch(/^d1,1,delivery,o1,a,/);
+  });
+
+  test('validate reports valid and invalid inputs with exit codes', () => {
+    // Orders without size are valid but warned about (loader default)
+    const valid = run(['validate', inputFile]);
+    expect(valid).toMatchObject({ code: EXIT_CODES.OK, stdout: 'Inputs are valid (2 warnings)\n' });
+    expect(valid.stderr).toContain('  warning /orders/0/size: Order at index 0 size missing; defaulted to 10 (DEFAULTED_FIELD)');
+
+    const invalid = run(['validate'], JSON.stringify({ ...inputs, orders: [{ id: 'o1' }] }));
+    expect(invalid.code).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(invalid.stderr).toMatch(/^Invalid input: .*destination/);
+
+    const malformed = run(['validate', '-'], '{ not json');
+    expect(malformed.code).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(malformed.stderr).toMatch(/stdin is not valid JSON/);
+  });
+
+  test('validate lists every problem, as text or JSON', () => {
+    const broken = JSON.stringify({
+      ...inputs,
+      drivers: [{ id: 'd1', currentLocation: 'depot', capacity: -1 }],
+      orders: [{ id: 'o1', size: 1 }, { id: 'o2', destination: 'a', size: 1, deadlineTime: 'soon' }]
+    });
+    const text = run(['validate'], broken);
+    expect(text.code).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(text.stderr.split('\n')).toEqual([
+      'Invalid input: Driver at index 0 must have positive numeric capacity (and 2 more errors)',
+      '  error /drivers/0/capacity: Driver at index 0 must have positive numeric capacity (INVALID_VALUE)',
+      '  error /orders/0/destination: Order at index 0 must have a non-empty string destination (MISSING_FIELD)',
+      '  error /orders/1/deadlineTime: Order at index 1 deadlineTime must be valid date string/timestamp (INVALID_DATE)',
+      ''
+    ]);
+
+    const json = run(['validate', '--json'], broken);
+    expect(json.code).toBe(EXIT_CODES.INVALID_INPUT);
+    const report = JSON.parse(json.stdout);
+    expect(report.valid).toBe(false);
+    expect(report.issues.map(issue => issue.path)).toEqual(['/drivers/0/capacity', '/orders/0/destination', '/orders/1/deadlineTime']);
+  });
+
+  test('route prints the shortest path and reports unreachable targets', () => {
+    const { code, stdout } = run(['route', inputFile, 'depot', 'b']);
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toEqual({ distance: 20, path: ['depot', 'b'] });
+
+    // Bare graph from stdin (file argument omitted)
+    const fromStdin = run(['route', 'a', 'b'], JSON.stringify(inputs.graph));
+    expect(JSON.parse(fromStdin.stdout).distance).toBe(10);
+
+    const unreachable = run(['route', inputFile, 'depot', 'island']);
+    expect(unreachable.code).toBe(EXIT_CODES.NO_ROUTE);
+    expect(unreachable.stderr).toBe('No route from depot to island\n');
+  });
+
+  test('route validates the graph and the algorithm', () => {
+    const unknownAlgorithm = run(['route', inputFile, 'depot', 'b', '--algorithm', 'bfs']);
+    expect(unknownAlgorithm.code).toBe(EXIT_CODES.USAGE);
+    expect(unknownAlgorithm.stderr).toContain('--algorithm must be one of: dijkstra, astar');
+
+    const malformed = run(['route', 'a', 'b'], JSON.stringify({ a: { b: -4 }, b: [] }));
+    expect(malformed.code).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(malformed.stderr).not.toContain('No route');
+
+    const noCoordinates = run(['route', 'a', 'b', '--algorithm', 'astar'], JSON.stringify(inputs.graph));
+    expect(noCoordinates.code).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(noCoordinates.stderr).toContain('requires node coordinates');
+  });
+
+  test('usage errors and failures have their own exit codes', () => {
+    expect(run([]).code).toBe(EXIT_CODES.USAGE);
+    expect(run(['--help'])).toMatchObject({ code: EXIT_CODES.OK, stdout: expect.stringContaining('Usage:') });
+    expect(run(['optimise']).stderr).toMatch(/Unknown command 'optimise'/);
+    expect(run(['solve', inputFile, '--fast']).code).toBe(EXIT_CODES.USAGE);
+    expect(run(['solve', inputFile, '--format', 'kml']).code).toBe(EXIT_CODES.USAGE);
+    expect(run(['route', 'a']).code).toBe(EXIT_CODES.USAGE);
+    expect(run(['validate', path.join(dir, 'missing.json')]).code).toBe(EXIT_CODES.FAILURE);
+  });
+
+  test('the bin script pipes stdin and sets the process exit code', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'route-optimise.js');
+    const valid = spawnSync(process.execPath, [bin, 'validate'], { input: JSON.stringify(inputs), encoding: 'utf8', timeout: 30000 });
+    expect(valid.status).toBe(EXIT_CODES.OK);
+    const invalid = spawnSync(process.execPath, [bin, 'validate', '-'], { input: '[]', encoding: 'utf8', timeout: 30000 });
+    expect(invalid.status).toBe(EXIT_CODES.INVALID_INPUT);
+  });
+
+  test('serve starts the HTTP service', async () => {
+    const bin = path.join(__dirname, '..', 'bin', 'route-optimise.js');
+    const child = spawn(process.execPath, [bin, 'serve', '--port', '0']);
+    try {
+      const port = await new Promise((resolve, reject) => {
+        child.stderr.on('data', chunk => {
+          const match = /Listening on http:\/\/127\.0\.0\.1:(\d+)/.exec(chunk.toString());
+          if (match) resolve(Number(match[1]));
+        });
+        child.on('exit', () => reject(new Error('serve exited')));
+      });
+      const health = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: '/health' }, res => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => resolve(JSON.parse(text)));
+        }).on('error', reject);
+      });
+      expect(health.status).toBe('ok');
+    } finally {
+      child.kill();
+    }
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the planning clock.
+ * Covers config.planningStartTime / config.clock, deterministic replays, driver shiftStartTime and validation.
+ */
+
+const { optimizeDelivery, validateInputs, calculateRouteAndETA, InputValidationError } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+const at = minutes => new Date(Date.parse(PLANNING_START) + minutes * 60 * 1000).toISOString();
+
+const graph = {
+  depot: { a: 10, b: 20 },
+  a: { b: 10 },
+  b: {}
+};
+
+// Yesterday's data: windows and shifts are fixed instants around PLANNING_START
+function getReplayInputs() {
+  return {
+    drivers: [{ id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: at(240) }],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 2, size: 10, deadlineTime: at(60) },
+      { id: 'o2', destination: 'b', priority: 1, size: 10, earliestTime: at(50), deadlineTime: at(120) }
+    ],
+    graph
+  };
+}
+
+describe('Planning Clock', () => {
+  test('planningStartTime makes replays deterministic', () => {
+    const first = optimizeDelivery(getReplayInputs(), { planningStartTime: PLANNING_START });
+    const second = optimizeDelivery(getReplayInputs(), { planningStartTime: Date.parse(PLANNING_START) });
+    expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+    expect(first.summary.planningStartTime).toBe(PLANNING_START);
+    expect(first.assignments).toHaveLength(2);
+    expect(first.tours[0].stops.map(s => s.estimatedArrival)).toEqual([at(20), at(40)]);
+    expect(first.tours[0].stops[1].serviceStartTime).toBe(at(50)); // waits for earliestTime
+  });
+
+  test('without a planning start, past deadlines reject every order', () => {
+    expect(optimizeDelivery(getReplayInputs()).assignments).toHaveLength(0);
+  });
+
+  test('clock function is used when planningStartTime is not set', () => {
+    const clock = jest.fn(() => new Date(PLANNING_START));
+    const result = optimizeDelivery(getReplayInputs(), { clock });
+    expect(clock).toHaveBeenCalledTimes(1);
+    expect(result.assignments).toHaveLength(2);
+    // planningStartTime wins over clock
+    const fixed = optimizeDelivery(getReplayInputs(), { clock: () => 0, planningStartTime: PLANNING_START });
+    expect(fixed.summary.planningStartTime).toBe(PLANNING_START);
+  });
+
+  test('driver shiftStartTime delays the start of the timeline', () => {
+    const inputs = getReplayInputs();
+    inputs.drivers[0].shiftStartTime = at(30);
+    inputs.orders[0].deadlineTime = at(45);
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START });
+    const [tour] = result.tours;
+    expect(tour.startTime).toBe(at(30));
+    expect(tour.stops[0]).toMatchObject({ orderId: 'o2', eta: 70, estimatedArrival: at(70) }); // 30 + 40
+    expect(result.assignments.map(a => a.order.id)).toEqual(['o2']); // o1 would arrive at 50 > 45
+  });
+
+  test('calculateRouteAndETA uses the given planning start', () => {
+    const leg = calculateRouteAndETA({ currentLocation: 'depot' }, { destination: 'a' }, graph, null, { planningStartTime: PLANNING_START });
+    expect(leg.estimatedArrival).toBe(at(20));
+  });
+
+  test('invalid clock configuration and shift start are rejected', () => {
+    expect(() => optimizeDelivery(getReplayInputs(), { planningStartTime: 'not a date' })).toThrow(InputValidationError);
+    expect(() => optimizeDelivery(getReplayInputs(), { clock: 'now' })).toThrow(/config.clock must be a function/);
+    const inputs = getReplayInputs();
+    inputs.drivers[0].shiftStartTime = at(300);
+    expect(() => validateInputs(inputs)).toThrow(/shiftStartTime must be before shiftEndTime/);
+    inputs.drivers[0].shiftStartTime = 'soon';
+    expect(() => validateInputs(inputs)).toThrow(/shiftStartTime must be valid date string\/timestamp/);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for DispatchSession (live re-optimisation).
+ * Covers each event type, kept/fixed stops, per-driver diffs and rejected events.
+ */
+
+const { DispatchSession, DISPATCH_EVENTS, InputValidationError, optimizeDelivery } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+const at = minutes => new Date(Date.parse(PLANNING_START) + minutes * 60 * 1000).toISOString();
+
+// 10 km = 20 minutes at 30 km/h
+const graph = {
+  depot: { a: 10, b: 20 },
+  a: { depot: 10, b: 10 },
+  b: { a: 10, depot: 20, north: 5 },
+  north: { b: 5 }
+};
+
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 50, shiftEndTime: at(300) },
+      { id: 'd2', currentLocation: 'north', capacity: 50, shiftEndTime: at(300) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a' },
+      { id: 'o2', destination: 'b' }
+    ],
+    graph
+  };
+}
+
+const stopsOf = (plan, driverId) => {
+  const tour = plan.tours.find(t => t.driverId === driverId);
+  return tour ? tour.stops.map(s => `${s.orderId}/${s.stopType}`) : [];
+};
+const newSession = (inputs = getInputs()) => new DispatchSession(inputs, { planningStartTime: PLANNING_START });
+
+describe('DispatchSession', () => {
+  test('seeds the same plan as optimizeDelivery', () => {
+    const session = newSession();
+    const fresh = optimizeDelivery(getInputs(), { planningStartTime: PLANNING_START });
+    expect(session.plan.tours).toEqual(fresh.tours);
+    expect(stopsOf(session.plan, 'd1')).toEqual(['o1/delivery']);
+    expect(stopsOf(session.plan, 'd2')).toEqual(['o2/delivery']);
+  });
+
+  test('new orders are appended without moving existing stops', () => {
+    const session = newSession();
+    const { changes, plan } = session.apply({ type: DISPATCH_EVENTS.ORDER_ADDED, time: at(5), order: { id: 'o3', destination: 'a' } });
+    expect(changes).toEqual([
+      expect.objectContaining({ driverId: 'd1', added: ['o3'], removed: [], completed: [], resequenced: false })
+    ]);
+    expect(stopsOf(plan, 'd1')).toEqual(['o1/delivery', 'o3/delivery']);
+    expect(plan.summary.planningStartTime).toBe(at(5));
+  });
+
+  test('kept stops stay with their driver even when another driver moves closer', () => {
+    const session = newSession();
+    const { changes, plan } = session.apply({
+      type: DISPATCH_EVENTS.DRIVER_POSITION_UPDATED, time: at(5), driverId: 'd2', location: 'a'
+    });
+    expect(changes).toEqual([]);
+    expect(stopsOf(plan, 'd1')).toEqual(['o1/delivery']);
+    expect(plan.tours.find(t => t.driverId === 'd2').startLocation).toBe('a');
+  });
+
+  test('cancelled orders leave the plan', () => {
+    const session = newSession();
+    const { changes, plan } = session.apply({ type: DISPATCH_EVENTS.ORDER_CANCELLED, time: at(5), orderId: 'o2' });
+    expect(changes).toEqual([expect.objectContaining({ driverId: 'd2', removed: ['o2'], stops: [] })]);
+    expect(plan.assignments.map(a => a.order.id)).toEqual(['o1']);
+  });
+
+  test('completed stops move the driver and are reported once', () => {
+    const session = newSession();
+    session.apply({ type: DISPATCH_EVENTS.ORDER_ADDED, time: at(5), order: { id: 'o3', destination: 'depot' } });
+    const { changes, plan } = session.apply({ type: DISPATCH_EVENTS.STOP_COMPLETED, time: at(20), driverId: 'd1', orderId: 'o1' });
+    expect(changes).toEqual([
+      expect.objectContaining({ driverId: 'd1', completed: [{ orderId: 'o1', stopType: 'delivery' }], removed: [] })
+    ]);
+    const tour = plan.tours.find(t => t.driverId === 'd1');
+    expect(tour.startLocation).toBe('a');
+    expect(tour.stops[0]).toEqual(expect.objectContaining({ orderId: 'o3', eta: 20 }));
+    expect(session.getCompletedStops()).toEqual([
+      { driverId: 'd1', orderId: 'o1', stopType: 'delivery', location: 'a', time: at(20) }
+    ]);
+  });
+
+  test('the last completed stop leaves an empty plan', () => {
+    const session = newSession();
+    session.apply({ type: DISPATCH_EVENTS.STOP_COMPLETED, time: at(10), driverId: 'd2', orderId: 'o2' });
+    const { plan } = session.apply({ type: DISPATCH_EVENTS.STOP_COMPLETED, time: at(20), driverId: 'd1', orderId: 'o1' });
+    expect(plan.tours).toEqual([]);
+    expect(plan.summary.totalOrders).toBe(0);
+  });
+
+  test('offline drivers release their stops to the rest of the fleet', () => {
+    const session = newSession();
+    const { changes, plan } = session.apply({ type: DISPATCH_EVENTS.DRIVER_OFFLINE, time: at(5), driverId: 'd2' });
+    expect(changes).toEqual([
+      expect.objectContaining({ driverId: 'd1', added: ['o2'] }),
+      expect.objectContaining({ driverId: 'd2', removed: ['o2'], stops: [] })
+    ]);
+    expect(stopsOf(plan, 'd1')).toEqual(['o1/delivery', 'o2/delivery']);
+  });
+
+  test('in-progress stops stay fixed when they run late; other late stops are dropped', () => {
+    const inputs = getInputs();
+    inputs.orders[0].deadlineTime = at(30);
+    inputs.orders[1].deadlineTime = at(30);
+    const session = newSession(inputs);
+    // d1 is on its way to o1; d2 has not reported yet
+    session.apply({ type: DISPATCH_EVENTS.DRIVER_POSITION_UPDATED, time: at(1), driverId: 'd1', location: 'depot' });
+    const { plan, changes } = session.apply({
+      type: DISPATCH_EVENTS.EDGE_WEIGHT_CHANGED, time: at(25), from: 'depot', to: 'a', weight: 15
+    });
+    const o1 = plan.assignments.find(a => a.order.id === 'o1');
+    expect(o1.driver.id).toBe('d1');
+    expect(o1.lateByMinutes).toBe(25);
+    expect(plan.unassigned.map(u => u.orderId)).toEqual(['o2']);
+    expect(changes).toEqual([expect.objectContaining({ driverId: 'd2', removed: ['o2'] })]);
+  });
+
+  test('edge weight changes reroute kept stops', () => {
+    const session = newSession();
+    const { plan } = session.apply({ type: DISPATCH_EVENTS.EDGE_WEIGHT_CHANGED, time: at(0), from: 'depot', to: 'a', weight: 100 });
+    const o1 = plan.assignments.find(a => a.order.id === 'o1');
+    expect(o1.driver.id).toBe('d1');
+    expect(o1.route).toEqual(['depot', 'b', 'a']);
+    expect(o1.distance).toBe(30);
+  });
+
+  test('picked-up orders stay on board, and are handed over when the driver goes offline', () => {
+    const inputs = getInputs();
+    inputs.orders = [{ id: 'p1', pickupLocation: 'a', destination: 'b' }];
+    const session = newSession(inputs);
+    const driverId = session.plan.assignments[0].driver.id;
+    const otherId = driverId === 'd1' ? 'd2' : 'd1';
+
+    let { plan } = session.apply({ type: DISPATCH_EVENTS.STOP_COMPLETED, time: at(20), driverId, orderId: 'p1' });
+    expect(stopsOf(plan, driverId)).toEqual(['p1/delivery']);
+    expect(plan.tours[0].startLocation).toBe('a');
+
+    ({ plan } = session.apply({ type: DISPATCH_EVENTS.DRIVER_OFFLINE, time: at(25), driverId }));
+    expect(stopsOf(plan, otherId)).toEqual(['p1/pickup', 'p1/delivery']);
+    expect(plan.tours[0].stops[0].location).toBe('a');
+  });
+
+  test('rejected events leave the session unchanged', () => {
+    const session = newSession();
+    const before = session.plan;
+    expect(() => session.apply({ type: 'teleport' })).toThrow(InputValidationError);
+    expect(() => session.apply({ type: DISPATCH_EVENTS.DRIVER_OFFLINE, driverId: 'nobody' })).toThrow(InputValidationError);
+    expect(() => session.apply({ type: DISPATCH_EVENTS.ORDER_ADDED, order: { id: 'o1', destination: 'a' } }))
+      .toThrow(InputValidationError);
+    expect(() => session.apply({ type: DISPATCH_EVENTS.STOP_COMPLETED, driverId: 'd1', orderId: 'o2' }))
+      .toThrow(InputValidationError);
+    expect(() => session.apply({ type: DISPATCH_EVENTS.EDGE_WEIGHT_CHANGED, from: 'depot', to: 'a', weight: -1 }))
+      .toThrow(InputValidationError);
+    expect(session.plan).toBe(before);
+    expect(session.state.inputs.graph.depot.a).toBe(10);
+  });
+});
+
+describe('config.initialPlan', () => {
+  test('keeps seeded stops before the strategy assigns the rest', () => {
+    const result = optimizeDelivery(getInputs(), {
+      planningStartTime: PLANNING_START,
+      initialPlan: [{ driverId: 'd2', orderId: 'o1' }]
+    });
+    expect(stopsOf(result, 'd2')[0]).toBe('o1/delivery');
+    expect(result.assignments.map(a => a.order.id).sort()).toEqual(['o1', 'o2']);
+  });
+
+  test('rejects unknown ids', () => {
+    expect(() => optimizeDelivery(getInputs(), { initialPlan: [{ driverId: 'd9', orderId: 'o1' }] }))
+      .toThrow(InputValidationError);
+    expect(() => optimizeDelivery(getInputs(), { initialPlan: [{ driverId: 'd1', orderId: 'o1' }, { driverId: 'd2', orderId: 'o1' }] }))
+      .toThrow(/repeats orderId/);
+  });
+});
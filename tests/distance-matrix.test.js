@@ -0,0 +1,112 @@
+/**
+ * Unit tests for one-to-many search and the DistanceMatrix.
+ * Covers parity with calculateShortestPath, unreachable handling, on-demand rows and optimizeDelivery integration.
+ */
+
+const {
+  optimizeDelivery,
+  calculateShortestPath,
+  calculateShortestPathsFrom,
+  DistanceMatrix,
+  InputValidationError
+} = require('../src/index');
+
+const graph = {
+  depot: { locA: 10, locB: 25, locC: 40 },
+  locA: { depot: 10, locB: 15, locC: 30 },
+  locB: { depot: 25, locA: 15, locC: 20 },
+  locC: { locB: 20 }, // one-way: no locC -> depot edge
+  island: {}
+};
+
+function getMatrixInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString() },
+      { id: 'd2', currentLocation: 'locB', capacity: 50, shiftEndTime: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString() }
+    ],
+    orders: [
+      { id: 'o1', destination: 'locA', priority: 1, size: 20 },
+      { id: 'o2', destination: 'locC', priority: 2, size: 30 },
+      { id: 'o3', destination: 'depot', priority: 1, size: 10 }
+    ],
+    graph
+  };
+}
+
+describe('Distance Matrix', () => {
+  test('calculateShortestPathsFrom matches point-to-point results for every target', () => {
+    const results = calculateShortestPathsFrom(graph, 'locC');
+    Object.keys(graph).forEach(target => {
+      expect(results[target]).toEqual(calculateShortestPath(graph, 'locC', target));
+    });
+    expect(results.island).toEqual({ distance: Infinity, path: [] });
+    expect(calculateShortestPathsFrom(graph, 'unknown', ['locA']).locA.distance).toBe(Infinity);
+  });
+
+  test('DistanceMatrix answers covered pairs like calculateShortestPath', () => {
+    const locations = Object.keys(graph);
+    const matrix = new DistanceMatrix(graph, locations, locations);
+    locations.forEach(from => locations.forEach(to => {
+      expect(matrix.get(from, to)).toEqual(calculateShortestPath(graph, from, to));
+    }));
+    expect(matrix.size).toEqual({ sources: 5, targets: 5 });
+  });
+
+  test('adds rows for new sources on demand and reports coverage by target', () => {
+    const matrix = new DistanceMatrix(graph, ['depot'], ['locC']);
+    expect(matrix.covers('locA', 'locC')).toBe(true);
+    expect(matrix.covers('depot', 'locA')).toBe(false);
+    expect(matrix.getDistance('locA', 'locC')).toBe(30);
+    expect(matrix.size.sources).toBe(2);
+  });
+
+  test('optimizeDelivery gives identical plans with useDistanceMatrix', () => {
+    const plain = optimizeDelivery(getMatrixInputs());
+    const withMatrix = optimizeDelivery(getMatrixInputs(), { useDistanceMatrix: true });
+
+    const strip = result => result.assignments.map(a => [a.driver.id, a.order.id, a.distance, a.route, a.eta]);
+    expect(strip(withMatrix)).toEqual(strip(plain));
+    expect(withMatrix.tours.map(t => t.path)).toEqual(plain.tours.map(t => t.path));
+  });
+
+  test('accepts a prebuilt matrix and rejects other values', () => {
+    const inputs = getMatrixInputs();
+    const distanceMatrix = DistanceMatrix.forDelivery(inputs.drivers, inputs.orders, graph);
+    expect(optimizeDelivery(inputs, { distanceMatrix }).summary.assignedOrders).toBeGreaterThan(0);
+    expect(() => optimizeDelivery(inputs, { distanceMatrix: {} })).toThrow(InputValidationError);
+  });
+
+  test('a matrix built from another graph is not reused', () => {
+    const inputs = getMatrixInputs();
+    const distanceMatrix = DistanceMatrix.forDelivery(inputs.drivers, inputs.orders, graph);
+    expect(distanceMatrix.matches(graph)).toBe(true);
+
+    // locA moved further away after the matrix was built
+    const changed = { ...getMatrixInputs(), graph: { ...graph, depot: { ...graph.depot, locA: 50 } } };
+    expect(distanceMatrix.matches(changed.graph)).toBe(false);
+    const warnings = [];
+    const listener = event => { if (event.type === 'warning') warnings.push(event.code); };
+    const reused = optimizeDelivery(changed, { distanceMatrix, listener });
+    expect(warnings).toContain('STALE_DISTANCE_MATRIX');
+    expect(reused.assignments.map(a => [a.order.id, a.distance]))
+      .toEqual(optimizeDelivery(changed).assignments.map(a => [a.order.id, a.distance]));
+  });
+
+  test('travel-time runs neither build nor check a matrix', () => {
+    const inputs = getMatrixInputs();
+    const distanceMatrix = DistanceMatrix.forDelivery(inputs.drivers, inputs.orders, graph);
+    const timed = { ...inputs, graph: { ...graph, depot: { locA: { distance: 10, speedKmh: 50 }, locB: 25, locC: 40 } } };
+    const forDelivery = jest.spyOn(DistanceMatrix, 'forDelivery');
+    const warnings = [];
+    const listener = event => { if (event.type === 'warning') warnings.push(event.code); };
+    try {
+      optimizeDelivery(timed, { useDistanceMatrix: true });
+      optimizeDelivery(timed, { distanceMatrix, listener });
+      expect(forDelivery).not.toHaveBeenCalled();
+    } finally {
+      forDelivery.mockRestore();
+    }
+    expect(warnings).not.toContain('STALE_DISTANCE_MATRIX');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for explain mode (config.explain).
+ * Covers the score breakdown of the chosen driver, ranking of the other drivers and
+ * the reasons they lost or were excluded, across strategies.
+ */
+
+const { optimizeDelivery, InputValidationError } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+const at = minutes => new Date(Date.parse(PLANNING_START) + minutes * 60 * 1000).toISOString();
+
+// 10 km = 20 minutes at 30 km/h
+const graph = {
+  depot: { a: 10 },
+  north: { a: 5 },
+  a: { depot: 10 }
+};
+
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 50, shiftEndTime: at(120) },
+      { id: 'd2', currentLocation: 'north', capacity: 20, shiftEndTime: at(120) },
+      { id: 'd3', currentLocation: 'depot', capacity: 5, shiftEndTime: at(120) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 3, size: 10 }
+    ],
+    graph
+  };
+}
+
+const plan = (inputs, config = {}) =>
+  optimizeDelivery(inputs, { planningStartTime: PLANNING_START, explain: true, ...config });
+
+describe('Explain Mode', () => {
+  test('is off by default', () => {
+    const result = optimizeDelivery(getInputs(), { planningStartTime: PLANNING_START });
+    expect(result.assignments[0].explanation).toBeUndefined();
+  });
+
+  test('breaks the chosen score into its parts', () => {
+    const [assignment] = plan(getInputs()).assignments;
+    expect(assignment.driver.id).toBe('d2');
+    // 5 km in 10 min, priority 3, 110 min of shift left
+    expect(assignment.explanation.scoreBreakdown).toEqual({
+      distance: 5,
+      returnDistance: 0,
+      etaFactor: 1,
+      priorityBonus: 15,
+      timePenalty: 11,
+      latePenalty: 0
+    });
+    const { distance, returnDistance, etaFactor, priorityBonus, timePenalty, latePenalty } =
+      assignment.explanation.scoreBreakdown;
+    expect(distance + returnDistance + etaFactor - priorityBonus - timePenalty + latePenalty)
+      .toBeCloseTo(assignment.assignmentScore);
+  });
+
+  test('ranks feasible rivals by score, then excluded drivers with their reason', () => {
+    const { alternatives } = plan(getInputs()).assignments[0].explanation;
+    expect(alternatives).toEqual([
+      expect.objectContaining({ driverId: 'd1', feasible: true, reason: 'HIGHER_SCORE', assignmentScore: -13, scoreGap: 7 }),
+      expect.objectContaining({ driverId: 'd3', feasible: false, reason: 'CAPACITY_EXCEEDED', overBy: { units: 5 } })
+    ]);
+    expect(alternatives[0].scoreBreakdown.distance).toBe(10);
+  });
+
+  test('lists unavailable drivers as excluded', () => {
+    const inputs = getInputs();
+    inputs.drivers[0].availability = false;
+    const { alternatives } = plan(inputs).assignments[0].explanation;
+    expect(alternatives.find(a => a.driverId === 'd1')).toEqual(
+      expect.objectContaining({ feasible: false, reason: 'DRIVER_UNAVAILABLE' })
+    );
+  });
+
+  test('marks lower-scoring rivals as STRATEGY_CHOICE when a strategy overrides the score', () => {
+    const pickD1 = () => [{ driverId: 'd1', orderId: 'o1' }];
+    const [assignment] = plan(getInputs(), { strategy: pickD1 }).assignments;
+    expect(assignment.driver.id).toBe('d1');
+    expect(assignment.explanation.alternatives[0]).toEqual(
+      expect.objectContaining({ driverId: 'd2', reason: 'STRATEGY_CHOICE', scoreGap: -7 })
+    );
+  });
+
+  test('works with the regret strategy', () => {
+    const [assignment] = plan(getInputs(), { strategy: 'regret' }).assignments;
+    expect(assignment.explanation.alternatives.map(a => a.driverId)).toEqual(['d1', 'd3']);
+  });
+
+  test('rejects a non-boolean config.explain', () => {
+    expect(() => plan(getInputs(), { explain: 'yes' })).toThrow(InputValidationError);
+  });
+});
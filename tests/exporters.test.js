@@ -0,0 +1,96 @@
+/**
+ * Unit tests for plan exporters (GeoJSON, GPX, CSV manifest).
+ */
+
+const { optimizeDelivery, exportGeoJSON, exportGPX, exportCsvManifest, InputValidationError } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+
+const nodes = {
+  depot: { lat: 52.5, lon: 13.4 },
+  a: { lat: 52.51, lon: 13.4 },
+  b: { lat: 52.52, lon: 13.4 }
+};
+
+function getInputs() {
+  return {
+    drivers: [{ id: 'd1', currentLocation: 'depot', capacity: 50, shiftEndTime: '2024-03-01T16:00:00.000Z' }],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 2, size: 10 },
+      { id: 'o2, "fragile"', destination: 'b', size: 5 }
+    ],
+    graph: {
+      depot: { a: 10 },
+      a: { depot: 10, b: 10 },
+      b: { a: 10 }
+    },
+    nodes
+  };
+}
+
+const plan = () => optimizeDelivery(getInputs(), { planningStartTime: PLANNING_START });
+
+describe('Plan Exporters', () => {
+  test('GeoJSON has a route LineString per driver and a Point per stop', () => {
+    const { type, features } = exportGeoJSON(plan(), nodes);
+    expect(type).toBe('FeatureCollection');
+    expect(features.map(f => f.geometry.type)).toEqual(['LineString', 'Point', 'Point']);
+    expect(features[0].geometry.coordinates).toEqual([[13.4, 52.5], [13.4, 52.51], [13.4, 52.52]]);
+    expect(features[0].properties).toEqual(expect.objectContaining({ kind: 'route', driverId: 'd1', totalDistance: 20, stopCount: 2 }));
+    expect(features[2].properties).toEqual(expect.objectContaining({
+      kind: 'stop', sequence: 2, orderId: 'o2, "fragile"', eta: 40, estimatedArrival: '2024-03-01T08:40:00.000Z', loadAfter: 0
+    }));
+  });
+
+  test('GeoJSON routes that never leave the start are Points', () => {
+    const inputs = getInputs();
+    inputs.orders = [{ id: 'o1', destination: 'depot', size: 1 }];
+    const { features } = exportGeoJSON(optimizeDelivery(inputs, { planningStartTime: PLANNING_START }), nodes);
+    expect(features[0]).toMatchObject({
+      geometry: { type: 'Point', coordinates: [13.4, 52.5] },
+      properties: { kind: 'route', driverId: 'd1', totalDistance: 0, stopCount: 1 }
+    });
+    expect(features.filter(f => f.geometry.type === 'LineString')).toEqual([]);
+  });
+
+  test('GeoJSON accepts planar coordinates', () => {
+    const planar = { depot: { x: 0, y: 0 }, a: { x: 10, y: 0 }, b: { x: 20, y: 0 } };
+    expect(exportGeoJSON(plan(), planar).features[1].geometry.coordinates).toEqual([10, 0]);
+  });
+
+  test('GPX has waypoints per stop and a track per driver', () => {
+    const gpx = exportGPX(plan(), nodes);
+    expect(gpx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    expect(gpx).toContain('<wpt lat="52.51" lon="13.4"><time>2024-03-01T08:20:00.000Z</time><name>o1 delivery</name>');
+    expect(gpx).toContain('<name>o2, &quot;fragile&quot; delivery</name>');
+    expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+    expect(gpx).toContain('<trk><name>d1</name><trkseg>');
+  });
+
+  test('GPX needs lat/lon coordinates', () => {
+    const planar = { depot: { x: 0, y: 0 }, a: { x: 10, y: 0 }, b: { x: 20, y: 0 } };
+    expect(() => exportGPX(plan(), planar)).toThrow(InputValidationError);
+    expect(() => exportGeoJSON(plan(), { depot: nodes.depot })).toThrow(/Node 'a' has no coordinates/);
+  });
+
+  test('CSV manifest lists stops in driving order with ETA and load', () => {
+    const lines = exportCsvManifest(plan()).trimEnd().split('\n');
+    expect(lines).toEqual([
+      'driverId,sequence,stopType,orderId,location,eta,estimatedArrival,departureTime,loadAfter,lateByMinutes',
+      'd1,1,delivery,o1,a,20,2024-03-01T08:20:00.000Z,2024-03-01T08:20:00.000Z,5,0',
+      'd1,2,delivery,"o2, ""fragile""",b,40,2024-03-01T08:40:00.000Z,2024-03-01T08:40:00.000Z,0,0'
+    ]);
+  });
+
+  test('CSV manifest writes multi-dimensional loads as dimension=amount pairs', () => {
+    const inputs = getInputs();
+    inputs.drivers[0].capacity = { weightKg: 100, parcels: 5 };
+    inputs.orders = [{ id: 'o1', destination: 'a', size: { weightKg: 30, parcels: 2 } }];
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START });
+    expect(exportCsvManifest(result)).toContain(',weightKg=0;parcels=0,');
+  });
+
+  test('rejects values that are not plans', () => {
+    expect(() => exportCsvManifest({})).toThrow(InputValidationError);
+  });
+});
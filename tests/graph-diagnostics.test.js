@@ -0,0 +1,149 @@
+/**
+ * Unit tests for graph diagnostics: strongly connected components, one-way nodes, missing and
+ * unreachable stops, asymmetric edges and strict validation mode.
+ */
+
+const { diagnoseGraph, optimizeDelivery, validateInputs, ISSUE_CODES } = require('../src/index');
+const { runCli, EXIT_CODES } = require('../src/cli');
+
+// depot <-> a <-> b form the main network; c is a dead end, d a one-way entry, island is cut off
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100 },
+      { id: 'd2', currentLocation: 'depot', capacity: 100 }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', size: 10 },
+      { id: 'o2', destination: 'b', size: 10 }
+    ],
+    graph: {
+      depot: { a: 10, b: 20 },
+      a: { depot: 10, b: 10, c: 5 },
+      b: { a: 10, depot: 20 },
+      c: {},
+      d: { depot: 3 },
+      island: {}
+    }
+  };
+}
+
+describe('Graph Diagnostics', () => {
+  test('finds strongly connected components and one-way nodes', () => {
+    const diagnosis = diagnoseGraph(getInputs().graph);
+    expect(diagnosis).toMatchObject({ nodeCount: 6, edgeCount: 8, stronglyConnected: false });
+    expect(diagnosis.components[0].sort()).toEqual(['a', 'b', 'depot']);
+    expect(diagnosis.components).toHaveLength(4);
+    expect(diagnosis.oneWayNodes).toEqual([
+      { node: 'c', reachableFromMain: true, reachesMain: false },
+      { node: 'd', reachableFromMain: false, reachesMain: true }
+    ]);
+
+    const loop = { a: { b: 1 }, b: { c: 1 }, c: { a: 1 } };
+    expect(diagnoseGraph(loop)).toMatchObject({ stronglyConnected: true, components: [['a', 'b', 'c']], oneWayNodes: [] });
+  });
+
+  test('handles long chains without recursion', () => {
+    const graph = {};
+    for (let i = 0; i < 20000; i++) graph[`n${i}`] = i < 19999 ? { [`n${i + 1}`]: 1 } : { n0: 1 };
+    expect(diagnoseGraph(graph).stronglyConnected).toBe(true);
+  });
+
+  test('reports missing, dangling and unreachable stops', () => {
+    const inputs = getInputs();
+    inputs.graph.b.ghost = 4; // edge to a node without its own entry
+    inputs.drivers.push({ id: 'd3', startLocation: 'island', capacity: 100 }, { id: 'd4', currentLocation: 'mars', capacity: 100 });
+    inputs.orders.push(
+      { id: 'o3', destination: 'island', size: 1 },
+      { id: 'o4', destination: 'ghost', size: 1 },
+      { id: 'o5', destination: 'a', pickupLocation: 'd', size: 1 }
+    );
+    inputs.drivers[2].availability = false; // island driver is off: nobody reaches the island
+
+    const diagnosis = diagnoseGraph(inputs.graph, inputs);
+    expect(diagnosis.danglingEdges).toEqual([{ from: 'b', to: 'ghost' }]);
+    expect(diagnosis.missingNodes).toEqual([
+      { type: 'driver', index: 3, id: 'd4', field: 'currentLocation', node: 'mars' },
+      { type: 'order', index: 3, id: 'o4', field: 'destination', node: 'ghost' }
+    ]);
+    expect(diagnosis.unreachableOrders).toEqual([
+      { index: 2, orderId: 'o3', field: 'destination', node: 'island' },
+      { index: 4, orderId: 'o5', field: 'pickupLocation', node: 'd' }
+    ]);
+    expect(diagnosis.strandedDrivers).toEqual([]);
+
+    inputs.drivers[2].availability = true;
+    const withIslandDriver = diagnoseGraph(inputs.graph, inputs);
+    expect(withIslandDriver.unreachableOrders.map(entry => entry.orderId)).toEqual(['o5']);
+  });
+
+  test('honours vehicle restrictions and flags stranded drivers', () => {
+    const inputs = getInputs();
+    inputs.graph.depot.a = { distance: 10, maxWeightKg: 3500 };
+    inputs.graph.depot.b = { distance: 20, maxWeightKg: 3500 };
+    inputs.drivers[1].vehicleWeightKg = 7500;
+    const diagnosis = diagnoseGraph(inputs.graph, inputs);
+    expect(diagnosis.unreachableOrders).toEqual([]);
+    expect(diagnosis.strandedDrivers).toEqual([{ index: 1, driverId: 'd2', node: 'depot' }]);
+  });
+
+  test('flags edge pairs with very different distances per direction', () => {
+    const graph = { a: { b: 1, c: 4 }, b: { a: 5 }, c: { a: 0 } };
+    expect(diagnoseGraph(graph).asymmetricEdges).toEqual([
+      { from: 'a', to: 'c', distance: 4, reverseDistance: 0, ratio: Infinity },
+      { from: 'b', to: 'a', distance: 5, reverseDistance: 1, ratio: 5 }
+    ]);
+    expect(diagnoseGraph(graph, { asymmetryRatio: 10 }).asymmetricEdges.map(edge => edge.from)).toEqual(['a']);
+  });
+
+  test('strict validation turns findings into issues', () => {
+    const inputs = getInputs();
+    inputs.graph.depot.a = { distance: 30 };
+    expect(validateInputs(inputs)).toEqual([]); // not strict: structure is fine
+
+    inputs.orders.push({ id: 'o3', destination: 'island', size: 1 }, { id: 'o4', destination: 'nowhere', size: 1 });
+    let error;
+    try {
+      validateInputs(inputs, { collectAll: true, strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toBe("Order at index 3 destination 'nowhere' is not a node in the graph (and 1 more error)");
+    expect(error.issues.map(({ code, path, severity }) => [code, path, severity])).toEqual([
+      [ISSUE_CODES.UNKNOWN_REFERENCE, '/orders/3/destination', 'error'],
+      [ISSUE_CODES.UNREACHABLE, '/orders/2/destination', 'error'],
+      [ISSUE_CODES.DISCONNECTED_GRAPH, '/graph', 'warning'],
+      [ISSUE_CODES.ONE_WAY_NODE, '/graph/c', 'warning'],
+      [ISSUE_CODES.ONE_WAY_NODE, '/graph/d', 'warning'],
+      [ISSUE_CODES.ASYMMETRIC_EDGE, '/graph/depot/a', 'warning']
+    ]);
+    expect(error.issues[2].message).toBe('Graph has 4 strongly connected components (the largest has 3 of 6 nodes)');
+  });
+
+  test('an unknown start location is reported once', () => {
+    const inputs = getInputs();
+    inputs.drivers[0] = { id: 'd1', startLocation: 'mars', capacity: 100 };
+    let error;
+    try {
+      validateInputs(inputs, { collectAll: true, strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.issues.filter(issue => issue.path === '/drivers/0/startLocation')).toHaveLength(1);
+  });
+
+  test('optimizeDelivery and the CLI opt in to strict validation', () => {
+    const inputs = getInputs();
+    inputs.orders.push({ id: 'o3', destination: 'island', size: 1 });
+    expect(optimizeDelivery(inputs).unassigned.map(entry => entry.orderId)).toEqual(['o3']);
+    expect(() => optimizeDelivery(inputs, { strictValidation: true })).toThrow(/'island' cannot be reached by any available driver/);
+    expect(() => optimizeDelivery(inputs, { strictValidation: 'yes' })).toThrow(/strictValidation must be a boolean/);
+
+    const out = [];
+    const err = [];
+    const io = { stdout: { write: text => out.push(text) }, stderr: { write: text => err.push(text) }, readStdin: () => JSON.stringify(inputs) };
+    expect(runCli(['validate'], io)).toBe(EXIT_CODES.OK);
+    expect(runCli(['validate', '--strict'], io)).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(err.join('')).toContain('  error /orders/2/destination: ');
+  });
+});
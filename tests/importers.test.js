@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the GeoJSON and OSM XML road graph importers.
+ * Covers edge lengths, node coordinates, oneway handling, way attributes and planning on the result.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  importGeoJSON,
+  importOsmXml,
+  importGraphFile,
+  optimizeDelivery,
+  validateInputs,
+  InputValidationError
+} = require('../src/index');
+
+// Three points ~1.11 km apart along a meridian (0.01 degrees of latitude)
+const line = (coordinates, properties = {}, id) => ({
+  type: 'Feature',
+  id,
+  properties,
+  geometry: { type: 'LineString', coordinates }
+});
+const geojson = {
+  type: 'FeatureCollection',
+  features: [
+    line([[13.4, 52.5], [13.4, 52.51]], { name: 'Main St', maxspeed: '50' }, 'w1'),
+    line([[13.4, 52.51], [13.4, 52.52]], { oneway: 'yes', maxspeed: '20 mph' }),
+    { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [13.4, 52.5] } }
+  ]
+};
+
+const osm = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6">
+  <node id="1" lat="52.50" lon="13.40"/>
+  <node id="2" lat="52.51" lon="13.40"/>
+  <node id="3" lat="52.52" lon="13.40">
+    <tag k="highway" v="traffic_signals"/>
+  </node>
+  <node id="4" lat="52.51" lon="13.41"/>
+  <way id="100">
+    <nd ref="1"/><nd ref="2"/><nd ref="3"/>
+    <tag k="highway" v="residential"/>
+    <tag k="name" v="Rosa &amp; Karl"/>
+    <tag k="maxspeed" v="30"/>
+    <tag k="maxweight" v="7.5"/>
+  </way>
+  <way id="101">
+    <nd ref="2"/><nd ref="4"/>
+    <tag k="highway" v="primary"/>
+    <tag k="oneway" v="-1"/>
+  </way>
+  <way id="102">
+    <nd ref="3"/><nd ref="4"/>
+    <tag k="building" v="yes"/>
+  </way>
+  <way id="103">
+    <nd ref="4"/><nd ref="999"/><nd ref="1"/>
+    <tag k="highway" v="service"/>
+  </way>
+</osm>`;
+
+describe('Road Graph Importers', () => {
+  describe('importGeoJSON', () => {
+    test('builds nodes with coordinates and haversine edge lengths', () => {
+      const { graph, nodes } = importGeoJSON(geojson);
+      expect(nodes['52.5,13.4']).toEqual({ lat: 52.5, lon: 13.4 });
+      expect(Object.keys(nodes)).toHaveLength(3);
+      expect(graph['52.5,13.4']['52.51,13.4']).toEqual({ distance: 1.112, speedKmh: 50, name: 'Main St', wayId: 'w1' });
+    });
+
+    test('respects oneway and converts mph', () => {
+      const { graph } = importGeoJSON(JSON.stringify(geojson));
+      expect(graph['52.51,13.4']['52.52,13.4']).toEqual({ distance: 1.112, speedKmh: 32.19 });
+      expect(graph['52.52,13.4']).toEqual({});
+      expect(graph['52.51,13.4']['52.5,13.4']).toBeDefined();
+    });
+
+    test('rejects non-collections and collections without lines', () => {
+      expect(() => importGeoJSON('{ nope')).toThrow(InputValidationError);
+      expect(() => importGeoJSON({ type: 'Feature' })).toThrow(/FeatureCollection/);
+      expect(() => importGeoJSON({ type: 'FeatureCollection', features: [] })).toThrow(/no road segments/);
+    });
+  });
+
+  describe('importOsmXml', () => {
+    test('keeps highway ways with their attributes', () => {
+      const { graph, nodes } = importOsmXml(osm);
+      expect(nodes['3']).toEqual({ lat: 52.52, lon: 13.4 });
+      expect(graph['1']['2']).toEqual({
+        distance: 1.112, speedKmh: 30, maxWeightKg: 7500, name: 'Rosa & Karl', wayId: '100'
+      });
+      expect(graph['3']['2']).toBeDefined(); // two-way by default
+      expect(graph['3']['4']).toBeUndefined(); // not a highway
+    });
+
+    test('oneway=-1 runs against the node order', () => {
+      const { graph } = importOsmXml(osm);
+      expect(graph['4']['2']).toEqual(expect.objectContaining({ wayId: '101' }));
+      expect(graph['2']['4']).toBeUndefined();
+    });
+
+    test('splits ways at nodes missing from the extract', () => {
+      const { graph } = importOsmXml(osm);
+      expect(graph['4']['1']).toBeUndefined();
+      expect(graph['999']).toBeUndefined();
+    });
+
+    test('can keep only some highway types', () => {
+      const { graph } = importOsmXml(osm, { highways: ['primary'] });
+      expect(Object.keys(graph).sort()).toEqual(['2', '4']);
+    });
+
+    test('converts imperial limits and drops values it cannot read', () => {
+      const way = (id, tags) => `<way id="${id}"><nd ref="1"/><nd ref="2"/><tag k="highway" v="primary"/>${
+        Object.entries(tags).map(([k, v]) => `<tag k="${k}" v="${v}"/>`).join('')}</way>`;
+      const importWay = tags => importOsmXml(`<osm>
+  <node id="1" lat="52.50" lon="13.40"/><node id="2" lat="52.51" lon="13.40"/>
+  ${way(1, tags)}
+</osm>`).graph['1']['2'];
+
+      // 14'6" is 4.4196 m: rounded down so a tall vehicle is never let under the bridge
+      expect(importWay({ maxheight: '14\'6&quot;', maxweight: '10 st', maxspeed: '25 mph' }))
+        .toEqual({ distance: 1.112, maxHeightM: 4.41, maxWeightKg: 9071, speedKmh: 40.23, wayId: '1' });
+      expect(importWay({ maxheight: '13\'', maxweight: '5000 lbs' })).toMatchObject({ maxHeightM: 3.96, maxWeightKg: 2267 });
+      expect(importWay({ maxheight: '12 ft', maxweight: '3.5 t' })).toMatchObject({ maxHeightM: 3.65, maxWeightKg: 3500 });
+      const unreadable = importWay({ maxheight: '12 feet', maxweight: '7.5;3.5', maxspeed: 'signals' });
+      expect(unreadable).toEqual({ distance: 1.112, wayId: '1' });
+    });
+
+    test('rejects documents without an osm root', () => {
+      expect(() => importOsmXml('<xml/>')).toThrow(InputValidationError);
+      expect(() => importOsmXml('<osm></osm>')).toThrow(/no road segments/);
+    });
+  });
+
+  test('imported graphs validate and plan with A*', () => {
+    const { graph, nodes } = importOsmXml(osm);
+    const inputs = {
+      drivers: [{ id: 'd1', currentLocation: '4', capacity: 10, vehicleWeightKg: 3500 }],
+      orders: [{ id: 'o1', destination: '1', size: 1 }],
+      graph,
+      nodes
+    };
+    expect(() => validateInputs(inputs)).not.toThrow();
+    const result = optimizeDelivery(inputs, { pathAlgorithm: 'astar', planningStartTime: '2024-03-01T08:00:00Z' });
+    expect(result.assignments[0].route).toEqual(['4', '2', '1']); // 4 -> 2 is the only way out of 4
+    expect(result.summary.routingObjective).toBe('time');
+  });
+
+  test('importGraphFile picks the importer by extension', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roads-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'city.geojson'), JSON.stringify(geojson));
+      fs.writeFileSync(path.join(dir, 'city.osm'), osm);
+      fs.writeFileSync(path.join(dir, 'city.csv'), '');
+      expect(Object.keys(importGraphFile(path.join(dir, 'city.geojson')).graph)).toHaveLength(3);
+      expect(importGraphFile(path.join(dir, 'city.osm')).graph['1']['2'].wayId).toBe('100');
+      expect(() => importGraphFile(path.join(dir, 'city.csv'))).toThrow(/Unsupported/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
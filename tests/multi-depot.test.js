@@ -0,0 +1,90 @@
+/**
+ * Unit tests for multi-depot planning.
+ * Covers driver start/end locations, return-to-depot legs, order depot ties and depot validation.
+ */
+
+const { optimizeDelivery, validateInputs, RETURN_TO_START } = require('../src/index');
+
+const graph = {
+  hubN: { a: 2, hubS: 10 },
+  hubS: { b: 2, c: 4, hubN: 10 },
+  a: { hubN: 2, b: 9 },
+  b: { hubS: 2, a: 9 },
+  c: { hubS: 4 }
+};
+
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+function getDepotInputs() {
+  return {
+    drivers: [
+      { id: 'north', startLocation: 'hubN', endLocation: RETURN_TO_START, capacity: 100, shiftEndTime: inHours(8) },
+      { id: 'south', startLocation: 'hubS', endLocation: 'hubS', capacity: 100, shiftEndTime: inHours(8) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 2, size: 10 },
+      { id: 'o2', destination: 'b', priority: 1, size: 10, depot: 'hubN' }
+    ],
+    graph
+  };
+}
+
+describe('Multi-depot', () => {
+  test('drivers start at their hub and orders tied to a depot go to its drivers', () => {
+    const result = optimizeDelivery(getDepotInputs());
+    expect(result.assignments.map(a => `${a.order.id}:${a.driver.id}`)).toEqual(['o1:north', 'o2:north']);
+    expect(result.tours).toHaveLength(1);
+    expect(result.tours[0].startLocation).toBe('hubN');
+  });
+
+  test('return leg is a final tour stop counted in distance and duration', () => {
+    const result = optimizeDelivery(getDepotInputs());
+    const [tour] = result.tours;
+    const last = tour.stops[tour.stops.length - 1];
+    expect(last).toMatchObject({ stopType: 'return', orderId: null, location: 'hubN', legPath: ['b', 'a', 'hubN'], legDistance: 11 });
+    expect(tour.path).toEqual(['hubN', 'a', 'b', 'a', 'hubN']);
+    expect(tour.totalDistance).toBe(22);
+    expect(tour.totalDuration).toBe(last.eta);
+    expect(result.summary.totalDistance).toBe(22);
+    expect(result.assignments).toHaveLength(2); // return stop is not an assignment
+  });
+
+  test('shift-end check includes the return leg', () => {
+    const inputs = getDepotInputs();
+    inputs.drivers = [{ id: 'south', startLocation: 'hubS', capacity: 100, shiftEndTime: inHours(0.2) }]; // 12 minutes
+    inputs.orders = [{ id: 'far', destination: 'c', size: 10 }]; // 8 minutes out, 8 back
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(1); // open route: no return needed
+
+    inputs.drivers[0].endLocation = RETURN_TO_START;
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(0);
+  });
+
+  test('currentLocation is the live position; startLocation stays the home hub', () => {
+    const inputs = getDepotInputs();
+    inputs.drivers[0].currentLocation = 'b';
+    const result = optimizeDelivery(inputs);
+    const tour = result.tours.find(t => t.driverId === 'north');
+    expect(tour.startLocation).toBe('b');
+    expect(tour.stops[tour.stops.length - 1].location).toBe('hubN');
+  });
+
+  test('validateInputs rejects depots missing from the graph', () => {
+    const inputs = getDepotInputs();
+    expect(() => validateInputs(inputs)).not.toThrow();
+    inputs.drivers[1].endLocation = 'hubW';
+    expect(() => validateInputs(inputs)).toThrow(/endLocation 'hubW' is not a node in the graph/);
+    inputs.drivers[1].endLocation = 'hubS';
+    inputs.drivers[0].startLocation = '';
+    expect(() => validateInputs(inputs)).toThrow(/startLocation must be a non-empty string/);
+    inputs.drivers[0].startLocation = 'hubN';
+    inputs.orders[1].depot = 'hubE';
+    expect(() => validateInputs(inputs)).toThrow(/Order at index 1 depot 'hubE' is not a node in the graph/);
+  });
+
+  test('distance matrix covers return legs', () => {
+    const plain = optimizeDelivery(getDepotInputs());
+    const withMatrix = optimizeDelivery(getDepotInputs(), { useDistanceMatrix: true });
+    expect(withMatrix.tours[0].path).toEqual(plain.tours[0].path);
+    expect(withMatrix.tours[0].totalDistance).toBe(22);
+  });
+});
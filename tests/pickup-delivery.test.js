@@ -0,0 +1,102 @@
+/**
+ * Unit tests for pickup-and-delivery order pairs.
+ * Covers pickup-before-drop-off sequencing, on-board load along the route, capacity at the peak and validation.
+ */
+
+const { optimizeDelivery, validateInputs, calculateRouteAndETA, RouteCache } = require('../src/index');
+
+const graph = {
+  depot: { shop: 2, x: 1 },
+  shop: { cust: 3, depot: 2 },
+  x: { shop: 2, depot: 1 },
+  cust: { depot: 4 }
+};
+
+function getPairInputs() {
+  return {
+    drivers: [
+      {
+        id: 'd1',
+        currentLocation: 'depot',
+        capacity: 10,
+        shiftEndTime: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
+      }
+    ],
+    orders: [
+      { id: 'parcel', destination: 'x', priority: 2, size: 6 },
+      { id: 'return', pickupLocation: 'shop', destination: 'cust', priority: 1, size: 8 }
+    ],
+    graph
+  };
+}
+
+describe('Pickup and Delivery', () => {
+  test('pickup stop precedes its drop-off on the same driver tour', () => {
+    const result = optimizeDelivery(getPairInputs());
+    const [tour] = result.tours;
+    expect(tour.stops.map(s => `${s.stopType}:${s.orderId}@${s.location}`)).toEqual([
+      'delivery:parcel@x',
+      'pickup:return@shop',
+      'delivery:return@cust'
+    ]);
+    expect(tour.path).toEqual(['depot', 'x', 'shop', 'cust']);
+    expect(tour.totalDistance).toBe(6);
+  });
+
+  test('load rises at pickups and falls at drop-offs', () => {
+    const result = optimizeDelivery(getPairInputs());
+    const [tour] = result.tours;
+    expect(tour.startLoad).toBe(6); // delivery-only parcel loaded at the start
+    expect(tour.stops.map(s => s.loadAfter)).toEqual([0, 8, 0]);
+    expect(tour.peakLoad).toBe(8);
+    expect(result.utilisation[0].utilisation).toEqual({ units: 0.8 });
+  });
+
+  test('assignment route runs via the pickup and reports pickupEta', () => {
+    const result = optimizeDelivery(getPairInputs());
+    const pair = result.assignments.find(a => a.order.id === 'return');
+    expect(pair.route).toEqual(['x', 'shop', 'cust']);
+    expect(pair.distance).toBe(5);
+    expect(pair.pickupEta).toBeLessThan(pair.eta);
+    expect(pair.pickupStopIndex).toBe(1);
+    expect(pair.stopIndex).toBe(2);
+    expect(pair.loadAfter).toBe(0);
+  });
+
+  test('capacity is checked at the peak on-board load', () => {
+    const inputs = getPairInputs();
+    // Pair first: a later delivery-only order would ride along during the pickup (8 + 6 > 10)
+    inputs.orders[1].priority = 3;
+    const result = optimizeDelivery(inputs);
+    expect(result.assignments.map(a => a.order.id)).toEqual(['return']);
+
+    const tooBig = getPairInputs();
+    tooBig.orders[1].size = 11;
+    expect(optimizeDelivery(tooBig).assignments.map(a => a.order.id)).toEqual(['parcel']);
+  });
+
+  test('calculateRouteAndETA goes via the pickup', () => {
+    const leg = calculateRouteAndETA({ currentLocation: 'depot' }, { pickupLocation: 'shop', destination: 'cust' }, graph);
+    expect(leg.route).toEqual(['depot', 'shop', 'cust']);
+    expect(leg.distance).toBe(5);
+    expect(leg.eta).toBe(10);
+
+    // Only the two legs are searched (no direct depot -> cust search)
+    const routeCache = new RouteCache();
+    calculateRouteAndETA({ currentLocation: 'depot' }, { pickupLocation: 'shop', destination: 'cust' }, graph, routeCache);
+    expect(routeCache.getStats()).toMatchObject({ misses: 2, size: 2 });
+  });
+
+  test('validateInputs rejects a blank pickupLocation', () => {
+    const inputs = getPairInputs();
+    expect(() => validateInputs(inputs)).not.toThrow();
+    inputs.orders[1].pickupLocation = ' ';
+    expect(() => validateInputs(inputs)).toThrow(/pickupLocation must be a non-empty string/);
+  });
+
+  test('distance matrix covers pickup legs', () => {
+    const plain = optimizeDelivery(getPairInputs());
+    const withMatrix = optimizeDelivery(getPairInputs(), { useDistanceMatrix: true });
+    expect(withMatrix.tours[0].path).toEqual(plain.tours[0].path);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for road overlays: closed edges, avoided nodes, edge multipliers, U-turn and turn
+ * penalties, overlay-aware route caching and optimizeDelivery config validation.
+ */
+
+const {
+  calculateShortestPath,
+  calculateAlternativePaths,
+  optimizeDelivery,
+  RouteCache,
+  InputValidationError
+} = require('../src/index');
+const { compileOverlay } = require('../src/utils/roadOverlay');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+
+// a -> b -> d (4 km) is shorter than a -> c -> d (6 km)
+function getGraph() {
+  return {
+    a: { b: 2, c: 3 },
+    b: { d: 2 },
+    c: { d: 3 },
+    d: {}
+  };
+}
+
+// c - a - b on a line, with a loop b -> e -> c above it (no U-turn needed)
+const LINE = {
+  graph: {
+    a: { b: 1, c: 1 },
+    b: { a: 1, e: 2 },
+    c: { a: 1 },
+    e: { c: 2 }
+  },
+  nodes: { c: { x: -1, y: 0 }, a: { x: 0, y: 0 }, b: { x: 1, y: 0 }, e: { x: 0, y: 1 } }
+};
+
+describe('Road Overlays', () => {
+  test('closed edges and avoided nodes reroute without touching the graph', () => {
+    const graph = getGraph();
+    const snapshot = JSON.parse(JSON.stringify(graph));
+    expect(calculateShortestPath(graph, 'a', 'd').path).toEqual(['a', 'b', 'd']);
+
+    const closed = calculateShortestPath(graph, 'a', 'd', null, { overlay: { closedEdges: [{ from: 'a', to: 'b' }] } });
+    expect(closed).toEqual({ distance: 6, path: ['a', 'c', 'd'] });
+    const avoided = calculateShortestPath(graph, 'a', 'd', null, { overlay: { avoidNodes: ['b'] } });
+    expect(avoided).toEqual({ distance: 6, path: ['a', 'c', 'd'] });
+    // A route may still start at an avoided node
+    expect(calculateShortestPath(graph, 'b', 'd', null, { overlay: { avoidNodes: ['b'] } }).path).toEqual(['b', 'd']);
+    const cutOff = calculateShortestPath(graph, 'a', 'd', null, { overlay: { avoidNodes: ['b', 'c'] } });
+    expect(cutOff).toEqual({ distance: Infinity, path: [] });
+
+    expect(graph).toEqual(snapshot);
+  });
+
+  test('edge multipliers change the route but distances stay real', () => {
+    const graph = getGraph();
+    const slow = { edgeMultipliers: [{ from: 'b', to: 'd', multiplier: 3 }] };
+    expect(calculateShortestPath(graph, 'a', 'd', null, { overlay: slow })).toEqual({ distance: 6, path: ['a', 'c', 'd'] });
+
+    // Favoured edges keep A* exact (heuristic scaled by the smallest multiplier)
+    const nodes = { a: { x: 0, y: 0 }, b: { x: 1, y: 1 }, c: { x: 1, y: -1 }, d: { x: 2, y: 0 } };
+    const fast = { edgeMultipliers: [{ from: 'a', to: 'c', multiplier: 0.1 }, { from: 'c', to: 'd', multiplier: 0.1 }] };
+    const options = { overlay: fast, nodes };
+    expect(calculateShortestPath(graph, 'a', 'd', null, { ...options, algorithm: 'astar' }))
+      .toEqual(calculateShortestPath(graph, 'a', 'd', null, options));
+    expect(calculateShortestPath(graph, 'a', 'd', null, options)).toEqual({ distance: 6, path: ['a', 'c', 'd'] });
+
+    // Time-dependent searches scale travel minutes
+    const timed = { a: { b: { distance: 10, speedKmh: 60 }, c: { distance: 10, speedKmh: 40 } }, b: { d: 0 }, c: { d: 0 }, d: {} };
+    const timeOptions = { objective: 'time', departureTime: Date.parse(PLANNING_START) };
+    expect(calculateShortestPath(timed, 'a', 'd', null, timeOptions).travelMinutes).toBe(10);
+    const jammed = calculateShortestPath(timed, 'a', 'd', null, {
+      ...timeOptions,
+      overlay: { edgeMultipliers: [{ from: 'a', to: 'b', multiplier: 2 }] }
+    });
+    expect(jammed).toEqual({ distance: 10, path: ['a', 'c', 'd'], travelMinutes: 15 });
+  });
+
+  test('U-turn penalties apply within a route and when leaving a stop', () => {
+    const { graph, nodes } = LINE;
+    expect(calculateShortestPath(graph, 'b', 'c', null, { arrivedFrom: 'a' }).path).toEqual(['b', 'a', 'c']);
+
+    const overlay = { uTurnPenalty: 5 };
+    expect(calculateShortestPath(graph, 'b', 'c', null, { overlay }).path).toEqual(['b', 'a', 'c']);
+    expect(calculateShortestPath(graph, 'b', 'c', null, { overlay, arrivedFrom: 'a' })).toEqual({ distance: 4, path: ['b', 'e', 'c'] });
+
+    // Tours pass the arrival direction on: after stopping at b, the driver loops round instead of turning
+    const inputs = {
+      drivers: [{ id: 'd1', currentLocation: 'a', capacity: 100, shiftEndTime: '2024-03-01T16:00:00.000Z' }],
+      orders: [{ id: 'o1', destination: 'b', size: 1, priority: 5 }, { id: 'o2', destination: 'c', size: 1, priority: 1 }],
+      graph,
+      nodes
+    };
+    const plain = optimizeDelivery(inputs, { planningStartTime: PLANNING_START });
+    expect(plain.tours[0].path).toEqual(['a', 'b', 'a', 'c']);
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START, overlay, explain: true });
+    expect(result.tours[0].path).toEqual(['a', 'b', 'e', 'c']);
+    expect(result.tours[0].totalDistance).toBe(5);
+    // Assignment scoring uses the same arrival direction, so it costs the leg the tour drives
+    const second = result.assignments.find(a => a.order.id === 'o2');
+    expect(second).toMatchObject({ route: ['b', 'e', 'c'], distance: 4 });
+    expect(second.explanation.scoreBreakdown.distance).toBe(4);
+  });
+
+  test('turn penalties use node coordinates and the angle threshold', () => {
+    // s -> m -> t turns 90 degrees; s -> n -> t bends by about 63 degrees over a longer way
+    const graph = { s: { m: 1, n: 1.2 }, m: { t: 1 }, n: { t: 1.2 }, t: {} };
+    const nodes = { s: { x: 0, y: 0 }, m: { x: 1, y: 0 }, n: { x: 1, y: 0.5 }, t: { x: 1, y: 1 } };
+    const route = overlay => calculateShortestPath(graph, 's', 't', null, { nodes, overlay }).path.join('');
+
+    expect(route({ turnPenalty: 1 })).toBe('smt'); // both ways turn more than 45 degrees
+    expect(route({ turnPenalty: 1, turnAngleDegrees: 70 })).toBe('snt');
+    expect(route({ turnPenalty: 0.2, turnAngleDegrees: 70 })).toBe('smt'); // penalty smaller than the detour
+    expect(calculateShortestPath(graph, 's', 't', null, { nodes, overlay: { turnPenalty: 1, turnAngleDegrees: 70 } }).distance)
+      .toBeCloseTo(2.4);
+  });
+
+  test('route caches keep results for different overlays apart', () => {
+    const graph = getGraph();
+    const cache = new RouteCache();
+    const closure = () => ({ closedEdges: [{ from: 'a', to: 'b' }] });
+
+    expect(calculateShortestPath(graph, 'a', 'd', cache).path).toEqual(['a', 'b', 'd']);
+    expect(calculateShortestPath(graph, 'a', 'd', cache, { overlay: closure() }).path).toEqual(['a', 'c', 'd']);
+    expect(calculateShortestPath(graph, 'a', 'd', cache).path).toEqual(['a', 'b', 'd']);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 2 });
+
+    // Equal overlays share entries, whatever object or entry order they come in
+    expect(calculateShortestPath(graph, 'a', 'd', cache, { overlay: closure() }).path).toEqual(['a', 'c', 'd']);
+    expect(cache.getStats().hits).toBe(2);
+    const first = { avoidNodes: ['b', 'c'], uTurnPenalty: 1 };
+    expect(compileOverlay(first).key).toBe(compileOverlay({ uTurnPenalty: 1, avoidNodes: ['c', 'b'] }).key);
+    expect(compileOverlay(first).key).not.toBe(compileOverlay({ avoidNodes: ['b'], uTurnPenalty: 1 }).key);
+    expect(compileOverlay({ closedEdges: [], uTurnPenalty: 0 })).toBeNull(); // changes nothing
+
+    // Editing an overlay after use takes effect (and gets its own cache entries)
+    const graphWithDetour = { A: { B: 1, C: 5 }, B: { D: 1 }, C: { D: 1 }, D: {} };
+    const edited = { closedEdges: [], avoidNodes: ['C'] };
+    expect(calculateShortestPath(graphWithDetour, 'A', 'D', cache, { overlay: edited }).path).toEqual(['A', 'B', 'D']);
+    edited.closedEdges.push({ from: 'A', to: 'B' });
+    edited.avoidNodes.length = 0;
+    expect(calculateShortestPath(graphWithDetour, 'A', 'D', null, { overlay: edited }).path).toEqual(['A', 'C', 'D']);
+    expect(calculateShortestPath(graphWithDetour, 'A', 'D', cache, { overlay: edited }).path).toEqual(['A', 'C', 'D']);
+
+    // Plain Map caches as well
+    const map = new Map();
+    calculateShortestPath(graph, 'a', 'd', map);
+    calculateShortestPath(graph, 'a', 'd', map, { overlay: closure() });
+    expect(map.size).toBe(2);
+  });
+
+  test('alternative routes honour the overlay', () => {
+    const graph = { ...getGraph(), a: { b: 2, c: 3, d: 9 } };
+    const paths = calculateAlternativePaths(graph, 'a', 'd', 3, { overlay: { avoidNodes: ['c'] } });
+    expect(paths.map(p => p.path.join(''))).toEqual(['abd', 'ad']);
+  });
+
+  test('optimizeDelivery validates the overlay and keeps the matrix out of overlay runs', () => {
+    const inputs = {
+      drivers: [{ id: 'd1', currentLocation: 'a', capacity: 100 }],
+      orders: [{ id: 'o1', destination: 'd', size: 1 }],
+      graph: getGraph()
+    };
+    const overlay = { closedEdges: [{ from: 'b', to: 'd' }] };
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START, overlay, useDistanceMatrix: true });
+    expect(result.assignments[0]).toMatchObject({ route: ['a', 'c', 'd'], distance: 6 });
+    expect(inputs.graph.b).toEqual({ d: 2 });
+
+    expect(() => optimizeDelivery(inputs, { overlay: [] })).toThrow('config.overlay must be an object');
+    expect(() => optimizeDelivery(inputs, { overlay: { closedEdges: [{ from: 'a' }] } }))
+      .toThrow('config.overlay.closedEdges[0] must be { from, to } with node ids');
+    expect(() => optimizeDelivery(inputs, { overlay: { edgeMultipliers: [{ from: 'a', to: 'b', multiplier: 0 }] } }))
+      .toThrow(/edgeMultipliers\[0\] must be .* a positive multiplier/);
+    expect(() => optimizeDelivery(inputs, { overlay: { closedEdges: [{ from: 'd', to: 'a' }] } }))
+      .toThrow("config.overlay.closedEdges[0] 'd' -> 'a' is not an edge in the graph");
+    expect(() => optimizeDelivery(inputs, { overlay: { avoidNodes: ['mars'] } })).toThrow(InputValidationError);
+    expect(() => optimizeDelivery(inputs, { overlay: { turnPenalty: 2 } }))
+      .toThrow('config.overlay.turnPenalty requires inputs.nodes coordinates');
+    expect(() => optimizeDelivery(inputs, { overlay: { uTurnPenalty: -1 } })).toThrow(/uTurnPenalty must be a non-negative number/);
+  });
+});
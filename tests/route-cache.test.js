@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the route cache.
+ * Covers direction-aware keys on one-way graphs, symmetric mode, LRU eviction,
+ * hit/miss statistics and sharing a cache across optimizeDelivery calls.
+ */
+
+const { optimizeDelivery, calculateShortestPath, RouteCache, InputValidationError } = require('../src/index');
+
+// One-way loop: a -> b -> c -> a (a->b is 1, but b->a has to go round via c)
+const oneWayGraph = {
+  a: { b: 1 },
+  b: { c: 1 },
+  c: { a: 1 }
+};
+
+function getCacheInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString() }
+    ],
+    orders: [
+      { id: 'o1', destination: 'locA', priority: 1, size: 10 },
+      { id: 'o2', destination: 'locB', priority: 2, size: 10 }
+    ],
+    graph: {
+      depot: { locA: 10, locB: 25 },
+      locA: { depot: 10, locB: 15 },
+      locB: { depot: 25, locA: 15 }
+    }
+  };
+}
+
+describe('Route Cache', () => {
+  test('keys are direction-aware on one-way graphs', () => {
+    const cache = new RouteCache();
+    expect(calculateShortestPath(oneWayGraph, 'a', 'b', cache)).toEqual({ distance: 1, path: ['a', 'b'] });
+    expect(calculateShortestPath(oneWayGraph, 'b', 'a', cache)).toEqual({ distance: 2, path: ['b', 'c', 'a'] });
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 2, size: 2 });
+  });
+
+  test('legacy Map caches also use directional keys', () => {
+    const cache = new Map();
+    calculateShortestPath(oneWayGraph, 'a', 'b', cache);
+    expect(calculateShortestPath(oneWayGraph, 'b', 'a', cache).distance).toBe(2);
+    expect([...cache.keys()]).toEqual(['a:b', 'b:a']);
+  });
+
+  test('symmetric mode shares entries and reverses the path on read', () => {
+    const graph = { a: { b: 5 }, b: { a: 5 } };
+    const cache = new RouteCache({ symmetric: true });
+    calculateShortestPath(graph, 'a', 'b', cache);
+    expect(calculateShortestPath(graph, 'b', 'a', cache)).toEqual({ distance: 5, path: ['b', 'a'] });
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+  });
+
+  test('evicts least recently used entries beyond maxEntries', () => {
+    const cache = new RouteCache({ maxEntries: 2 });
+    cache.set('a', 'b', { distance: 1, path: ['a', 'b'] });
+    cache.set('b', 'c', { distance: 1, path: ['b', 'c'] });
+    cache.get('a', 'b'); // refresh a->b
+    cache.set('c', 'a', { distance: 1, path: ['c', 'a'] });
+
+    expect(cache.get('b', 'c')).toBeUndefined();
+    expect(cache.get('a', 'b')).toBeDefined();
+    expect(cache.getStats()).toMatchObject({ evictions: 1, size: 2, maxEntries: 2 });
+    expect(() => new RouteCache({ maxEntries: 0 })).toThrow(/positive integer/);
+  });
+
+  test('optimizeDelivery reports real hit/miss/eviction counts', () => {
+    const result = optimizeDelivery(getCacheInputs(), { useCache: true, cacheOptions: { maxEntries: 2 } });
+    const { cacheHits, cacheMisses, cacheEvictions, cacheSize } = result.summary;
+
+    expect(cacheMisses).toBeGreaterThan(0);
+    expect(cacheHits).toBeGreaterThan(0);
+    expect(cacheSize).toBeLessThanOrEqual(2);
+    expect(cacheEvictions).toBe(cacheMisses - cacheSize);
+  });
+
+  test('a shared cache instance carries hits across calls on the same graph', () => {
+    const routeCache = new RouteCache();
+    const first = optimizeDelivery(getCacheInputs(), { routeCache });
+    const second = optimizeDelivery(getCacheInputs(), { routeCache });
+
+    expect(first.summary.cacheMisses).toBeGreaterThan(0);
+    expect(second.summary.cacheMisses).toBe(0);
+    expect(second.summary.cacheHits).toBeGreaterThan(0);
+  });
+
+  test('a shared cache is cleared when used with a different graph', () => {
+    const routeCache = new RouteCache();
+    optimizeDelivery(getCacheInputs(), { routeCache });
+    const inputs = getCacheInputs();
+    inputs.graph.depot.locB = 5; // stale entry would still say 25
+    const result = optimizeDelivery(inputs, { routeCache });
+
+    expect(result.summary.cacheMisses).toBeGreaterThan(0);
+    expect(result.assignments.find(a => a.order.id === 'o2').distance).toBe(5);
+  });
+
+  test('rejects a routeCache that is not a RouteCache', () => {
+    expect(() => optimizeDelivery(getCacheInputs(), { routeCache: new Map() })).toThrow(InputValidationError);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for run control: cancellation (AbortSignal), time budget,
+ * progress/warning events and the pluggable logger.
+ */
+
+const { EventEmitter } = require('events');
+const { optimizeDelivery, calculateRouteAndETA, InputValidationError, UNASSIGNED_REASONS } = require('../src/index');
+const { RunControl } = require('../src/utils/runControl');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+const at = minutes => new Date(Date.parse(PLANNING_START) + minutes * 60 * 1000).toISOString();
+
+const graph = {
+  depot: { a: 10, b: 20, c: 30 },
+  a: { depot: 10, b: 10 },
+  b: { a: 10, c: 10 },
+  c: { b: 10 }
+};
+
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: at(300) },
+      { id: 'd2', currentLocation: 'depot', capacity: 100, shiftEndTime: at(300) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 3 },
+      { id: 'o2', destination: 'b', priority: 2 },
+      { id: 'o3', destination: 'c', priority: 1 }
+    ],
+    graph
+  };
+}
+
+const plan = (config = {}) => optimizeDelivery(getInputs(), { planningStartTime: PLANNING_START, ...config });
+
+describe('Run Control', () => {
+  test('completed runs report status complete and progress up to the end', () => {
+    const events = [];
+    const result = plan({ listener: event => events.push(event) });
+    expect(result.summary.status).toBe('complete');
+    const phases = events.filter(e => e.type === 'progress').map(e => `${e.phase}:${e.completed}/${e.total}`);
+    expect(phases).toEqual(['assignment:1/3', 'assignment:2/3', 'assignment:3/3', 'tours:1/1', 'complete:3/3']);
+    expect(events.every(e => typeof e.elapsedMs === 'number')).toBe(true);
+  });
+
+  test('an already aborted signal returns an empty plan with every order stopped', () => {
+    const controller = new AbortController();
+    controller.abort();
+    const events = [];
+    const result = plan({ signal: controller.signal, listener: event => events.push(event) });
+    expect(result.summary.status).toBe('aborted');
+    expect(result.assignments).toEqual([]);
+    expect(result.unassigned.map(u => u.reasons)).toEqual([
+      [UNASSIGNED_REASONS.PLANNING_STOPPED], [UNASSIGNED_REASONS.PLANNING_STOPPED], [UNASSIGNED_REASONS.PLANNING_STOPPED]
+    ]);
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'warning', code: 'PLANNING_STOPPED', reason: 'aborted', unassignedOrders: 3
+    }));
+  });
+
+  test.each(['greedy', 'regret'])('%s keeps the assignments made before the abort', strategy => {
+    const controller = new AbortController();
+    const listener = event => {
+      if (event.type === 'progress' && event.phase === 'assignment') controller.abort();
+    };
+    const result = plan({ strategy, signal: controller.signal, listener });
+    expect(result.summary.status).toBe('aborted');
+    expect(result.assignments.map(a => a.order.id)).toEqual(['o1']);
+    expect(result.tours).toHaveLength(1);
+    expect(result.unassigned.map(u => u.orderId).sort()).toEqual(['o2', 'o3']);
+  });
+
+  test('hungarian matches the cost matrix rows built before the abort', () => {
+    const controller = new AbortController();
+    const listener = event => {
+      if (event.phase === 'costMatrix') controller.abort();
+    };
+    const result = plan({ strategy: 'hungarian', signal: controller.signal, listener });
+    expect(result.summary.status).toBe('aborted');
+    expect(result.assignments.map(a => a.driver.id)).toEqual(['d1']);
+  });
+
+  test('custom strategies can poll shouldStop', () => {
+    const seen = [];
+    const strategy = ({ shouldStop }) => {
+      seen.push(shouldStop());
+      return [];
+    };
+    expect(plan({ strategy, timeLimitMs: 0 }).summary.status).toBe('timeLimit');
+    expect(seen).toEqual([true]);
+  });
+
+  test('a time budget stops the run once it is spent', () => {
+    let clockMs = 0;
+    const control = new RunControl({ timeLimitMs: 50, now: () => clockMs });
+    expect(control.shouldStop()).toBe(false);
+    clockMs = 49;
+    expect(control.shouldStop()).toBe(false);
+    clockMs = 50;
+    expect(control.shouldStop()).toBe(true);
+    expect(control.stopReason).toBe('timeLimit');
+  });
+
+  test('EventEmitter listeners receive events by type', () => {
+    const emitter = new EventEmitter();
+    const progress = [];
+    emitter.on('progress', event => progress.push(event.phase));
+    plan({ listener: emitter });
+    expect(progress).toContain('complete');
+  });
+
+  test('unreachable routes go to the logger instead of the console', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const logger = { warn: jest.fn() };
+    const split = { x: { y: 1 }, z: { y: 1 } };
+    const leg = calculateRouteAndETA({ currentLocation: 'x' }, { destination: 'z' }, split, null, { logger });
+    expect(leg.isUnreachable).toBe(true);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No route from x to z'));
+    calculateRouteAndETA({ currentLocation: 'x' }, { destination: 'z' }, split);
+    expect(warnSpy).not.toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  test('rejects invalid run control config', () => {
+    expect(() => plan({ signal: {} })).toThrow(InputValidationError);
+    expect(() => plan({ timeLimitMs: -1 })).toThrow(InputValidationError);
+    expect(() => plan({ listener: 'stdout' })).toThrow(InputValidationError);
+    expect(() => plan({ logger: 'console' })).toThrow(InputValidationError);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for service times and driver breaks.
+ * Covers timeline arithmetic, per-stop arrival/service/departure output, shift and deadline checks, and validation.
+ */
+
+const { optimizeDelivery, validateInputs } = require('../src/index');
+const { visitStop, getBreakRules, getServiceMinutes } = require('../src/utils/schedule');
+
+const NOW = Date.parse('2025-01-01T08:00:00Z');
+const at = minutes => new Date(NOW + minutes * 60 * 1000).toISOString();
+const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+// 10 km legs = 20 minutes at 30 km/h
+const graph = {
+  depot: { a: 10, far: 30 },
+  a: { b: 10 },
+  b: { depot: 20 },
+  far: {}
+};
+
+function getServiceInputs() {
+  return {
+    drivers: [{ id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: inMinutes(480) }],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 2, size: 10, serviceMinutes: 15 },
+      { id: 'o2', destination: 'b', priority: 1, size: 10 }
+    ],
+    graph
+  };
+}
+
+describe('Service Times and Breaks', () => {
+  test('getServiceMinutes prefers the order value, then the driver default', () => {
+    expect(getServiceMinutes({ serviceMinutes: 5 }, { defaultServiceMinutes: 3 })).toBe(5);
+    expect(getServiceMinutes({}, { defaultServiceMinutes: 3 })).toBe(3);
+    expect(getServiceMinutes({}, {})).toBe(0);
+  });
+
+  test('driving-time rule inserts a break once the limit is reached mid-leg', () => {
+    const rules = getBreakRules({ breaks: [{ afterDrivingMinutes: 270, durationMinutes: 30 }] });
+    const visit = visitStop({ minutes: 100, drivingSinceBreak: 250, breakMinutes: 0 }, { legMinutes: 40, serviceMinutes: 10 }, rules, NOW);
+    expect(visit.arrival).toBe(170); // 20 min driving + 30 min break + 20 min driving
+    expect(visit.serviceStart).toBe(170);
+    expect(visit.departure).toBe(180);
+    expect(visit.breakMinutes).toBe(30);
+    expect(visit.timeline.drivingSinceBreak).toBe(20);
+  });
+
+  test('fixed break window pauses driving and service', () => {
+    const rules = getBreakRules({ breaks: [{ start: at(10), end: at(40) }] });
+    const start = { minutes: 0, drivingSinceBreak: 0, breakMinutes: 0 };
+    expect(visitStop(start, { legMinutes: 20 }, rules, NOW).arrival).toBe(50);
+    // Service running into the window is paused
+    expect(visitStop(start, { legMinutes: 5, serviceMinutes: 10 }, rules, NOW))
+      .toMatchObject({ arrival: 5, serviceStart: 5, departure: 45, breakMinutes: 30 });
+    // Already inside the window (e.g. after waiting): service starts when the break ends
+    const inside = { minutes: 15, drivingSinceBreak: 0, breakMinutes: 0 };
+    expect(visitStop(inside, { legMinutes: 0, serviceMinutes: 10 }, rules, NOW))
+      .toMatchObject({ arrival: 15, serviceStart: 40, departure: 50, breakMinutes: 25 });
+  });
+
+  test('stops show arrival, service start and departure; service delays later stops', () => {
+    const result = optimizeDelivery(getServiceInputs());
+    const [first, second] = result.tours[0].stops;
+    expect(first).toMatchObject({ eta: 20, serviceStart: 20, departure: 35, serviceMinutes: 15 });
+    expect(second).toMatchObject({ eta: 55, serviceStart: 55, departure: 55, serviceMinutes: 0 });
+    expect(Date.parse(first.departureTime) - Date.parse(first.serviceStartTime)).toBe(15 * 60 * 1000);
+    expect(result.tours[0].totalDuration).toBe(55);
+    expect(result.assignments[1].eta).toBe(55);
+    expect(result.assignments[0].departureTime).toBe(first.departureTime);
+  });
+
+  test('driver defaultServiceMinutes applies to orders without serviceMinutes', () => {
+    const inputs = getServiceInputs();
+    inputs.drivers[0].defaultServiceMinutes = 5;
+    const [first, second] = optimizeDelivery(inputs).tours[0].stops;
+    expect(first.departure).toBe(35); // order value wins
+    expect(second).toMatchObject({ eta: 55, departure: 60 });
+  });
+
+  test('shift-end check includes service time', () => {
+    const inputs = getServiceInputs();
+    inputs.orders = [{ id: 'o1', destination: 'a', size: 10 }];
+    inputs.drivers[0].shiftEndTime = inMinutes(30);
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(1);
+    inputs.orders[0].serviceMinutes = 15; // 20 min drive + 15 min service > 30 min shift
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(0);
+  });
+
+  test('deadline check includes breaks', () => {
+    const inputs = getServiceInputs();
+    inputs.orders = [{ id: 'far', destination: 'far', size: 10, deadlineTime: inMinutes(90) }];
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(1); // 60 min drive
+    inputs.drivers[0].breaks = [{ afterDrivingMinutes: 20, durationMinutes: 30 }];
+    expect(optimizeDelivery(inputs).assignments).toHaveLength(0); // 60 min drive + 2 breaks
+
+    const soft = optimizeDelivery(inputs, { timeWindowMode: 'soft' });
+    expect(soft.tours[0].stops[0]).toMatchObject({ eta: 120, breakMinutes: 60 });
+    expect(soft.tours[0].breakMinutes).toBe(60);
+  });
+
+  test('validateInputs checks service minutes and break rules', () => {
+    const inputs = getServiceInputs();
+    expect(() => validateInputs(inputs)).not.toThrow();
+    inputs.orders[0].serviceMinutes = -1;
+    expect(() => validateInputs(inputs)).toThrow(/serviceMinutes must be a non-negative number/);
+    inputs.orders[0].serviceMinutes = 5;
+    inputs.drivers[0].defaultServiceMinutes = 'x';
+    expect(() => validateInputs(inputs)).toThrow(/defaultServiceMinutes must be a non-negative number/);
+    delete inputs.drivers[0].defaultServiceMinutes;
+    inputs.drivers[0].breaks = [{ afterDrivingMinutes: 270 }];
+    expect(() => validateInputs(inputs)).toThrow(/afterDrivingMinutes and durationMinutes must be positive numbers/);
+    inputs.drivers[0].breaks = [{ start: at(60), end: at(30) }];
+    expect(() => validateInputs(inputs)).toThrow(/start must be before end/);
+    inputs.drivers[0].breaks = [{ afterDrivingMinutes: 270, durationMinutes: 30 }, { afterDrivingMinutes: 60, durationMinutes: 5 }];
+    expect(() => validateInputs(inputs)).toThrow(/at most one afterDrivingMinutes/);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for the HTTP service: endpoints, structured errors, body size limit
+ * and the per-request time budget.
+ */
+
+const http = require('http');
+const net = require('net');
+const { createServer, createRequestHandler, ERROR_CODES } = require('../src/server');
+const { InputValidationError } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+
+const inputs = {
+  drivers: [
+    { id: 'd1', currentLocation: 'depot', capacity: 100 },
+    { id: 'd2', currentLocation: 'depot', capacity: 100 }
+  ],
+  orders: [
+    { id: 'o1', destination: 'a', priority: 2 },
+    { id: 'o2', destination: 'b', priority: 1 }
+  ],
+  graph: {
+    depot: { a: 10, b: 20 },
+    a: { depot: 10, b: 10 },
+    b: { a: 10, depot: 20 },
+    island: {}
+  }
+};
+
+/**
+ * Helper: Send a request and resolve { status, headers, body } (body parsed as JSON).
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({ host: '127.0.0.1', port, method, path }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Helper: Start a server on a free port for the duration of a test.
+ */
+async function withServer(options, run) {
+  const server = createServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(server.address().port);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Helper: Send raw bytes and resolve the raw response text (for request lines http.request refuses).
+ */
+function rawRequest(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(text));
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    socket.on('error', reject);
+  });
+}
+
+describe('HTTP Server', () => {
+  test('POST /optimize returns the plan for inputs plus config', () => withServer({}, async port => {
+    const { status, body } = await request(port, 'POST', '/optimize', {
+      ...inputs,
+      config: { strategy: 'hungarian', planningStartTime: PLANNING_START }
+    });
+    expect(status).toBe(200);
+    expect(body.summary).toMatchObject({ strategy: 'hungarian', assignedOrders: 2, status: 'complete' });
+    expect(body.tours.map(t => t.driverId).sort()).toEqual(['d1', 'd2']);
+  }));
+
+  test('POST /route wraps calculateShortestPath and reports unreachable targets', () => withServer({}, async port => {
+    const reachable = await request(port, 'POST', '/route', { graph: inputs.graph, start: 'depot', end: 'b' });
+    expect(reachable).toMatchObject({ status: 200, body: { reachable: true, distance: 20, path: ['depot', 'b'] } });
+
+    const unreachable = await request(port, 'POST', '/route', { graph: inputs.graph, start: 'depot', end: 'island' });
+    expect(unreachable.body).toEqual({ reachable: false, distance: null, path: [] });
+
+    const unknown = await request(port, 'POST', '/route', { graph: inputs.graph, start: 'depot', end: 'mars' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.message).toBe('end must name a node in the graph');
+
+    const closure = { closedEdges: [{ from: 'depot', to: 'b' }] };
+    const detour = await request(port, 'POST', '/route', { graph: inputs.graph, start: 'depot', end: 'b', overlay: closure });
+    expect(detour.body).toMatchObject({ reachable: true, distance: 20, path: ['depot', 'a', 'b'] });
+    const badOverlay = await request(port, 'POST', '/route', { graph: inputs.graph, start: 'depot', end: 'b', overlay: { avoidNodes: ['mars'] } });
+    expect(badOverlay.status).toBe(400);
+    expect(badOverlay.body.error.message).toBe("overlay.avoidNodes[0] 'mars' is not a node in the graph");
+  }));
+
+  test('POST /validate maps InputValidationError to a structured 400', () => withServer({}, async port => {
+    const valid = await request(port, 'POST', '/validate', inputs);
+    expect(valid).toMatchObject({ status: 200, body: { valid: true } });
+    expect(valid.body.issues.map(issue => issue.path)).toEqual(['/orders/0/size', '/orders/1/size']); // defaulted sizes
+
+    const invalid = await request(port, 'POST', '/validate', { ...inputs, drivers: [], orders: [{ id: 'o1' }] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT,
+      message: 'Drivers must be a non-empty array (and 1 more error)'
+    });
+    expect(invalid.body.error.issues.filter(issue => issue.severity === 'error')).toEqual([
+      { code: 'EMPTY', path: '/drivers', severity: 'error', message: 'Drivers must be a non-empty array' },
+      {
+        code: 'MISSING_FIELD',
+        path: '/orders/0/destination',
+        severity: 'error',
+        message: 'Order at index 0 must have a non-empty string destination'
+      }
+    ]);
+
+    const malformed = await request(port, 'POST', '/validate', '{"drivers": [');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe(ERROR_CODES.INVALID_JSON);
+  }));
+
+  test('GET /health reports status and version', () => withServer({}, async port => {
+    const { status, body } = await request(port, 'GET', '/health');
+    expect(status).toBe(200);
+    expect(body).toEqual({ status: 'ok', version: require('../package.json').version, uptimeSeconds: expect.any(Number) });
+  }));
+
+  test('unknown paths and methods get 404 and 405', () => withServer({}, async port => {
+    expect((await request(port, 'GET', '/plans')).status).toBe(404);
+    const wrongMethod = await request(port, 'GET', '/optimize');
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.allow).toBe('POST');
+    expect(wrongMethod.body.error.code).toBe(ERROR_CODES.METHOD_NOT_ALLOWED);
+  }));
+
+  test('malformed request targets get 400 and the server keeps running', () => withServer({}, async port => {
+    const raw = await rawRequest(port, 'GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    expect(raw).toMatch(/^HTTP\/1\.1 400 /);
+    expect(JSON.parse(raw.slice(raw.indexOf('\r\n\r\n') + 4)).error.code).toBe(ERROR_CODES.INVALID_URL);
+    expect((await request(port, 'GET', '/health')).status).toBe(200);
+  }));
+
+  test('bodies over the size limit are rejected with 413', () => withServer({ maxBodyBytes: 200 }, async port => {
+    const { status, body } = await request(port, 'POST', '/optimize', inputs);
+    expect(status).toBe(413);
+    expect(body.error.code).toBe(ERROR_CODES.PAYLOAD_TOO_LARGE);
+  }));
+
+  test('the server time budget caps config.timeLimitMs', () => withServer({ timeLimitMs: 0 }, async port => {
+    const { status, body } = await request(port, 'POST', '/optimize', {
+      ...inputs,
+      config: { timeLimitMs: 60000, planningStartTime: PLANNING_START }
+    });
+    expect(status).toBe(200);
+    expect(body.summary.status).toBe('timeLimit');
+    expect(body.unassigned.map(u => u.reasons)).toEqual([['PLANNING_STOPPED'], ['PLANNING_STOPPED']]);
+  }));
+
+  test('invalid config.timeLimitMs is refused, not replaced by the server budget', () => withServer({}, async port => {
+    for (const timeLimitMs of ['500', null, -1]) {
+      const { status, body } = await request(port, 'POST', '/optimize', { ...inputs, config: { timeLimitMs } });
+      expect(status).toBe(400);
+      expect(body.error.message).toBe('config.timeLimitMs must be a non-negative number');
+    }
+  }));
+
+  test('config options that need live objects are refused', () => withServer({}, async port => {
+    const { status, body } = await request(port, 'POST', '/optimize', { ...inputs, config: { routeCache: {} } });
+    expect(status).toBe(400);
+    expect(body.error.message).toBe('config.routeCache cannot be set over HTTP');
+  }));
+
+  test('rejects invalid server options', () => {
+    expect(() => createRequestHandler({ maxBodyBytes: 0 })).toThrow(InputValidationError);
+    expect(() => createRequestHandler({ timeLimitMs: -1 })).toThrow(InputValidationError);
+    expect(() => createRequestHandler({ timeLimitMs: null })).not.toThrow();
+  });
+});
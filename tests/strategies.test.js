@@ -0,0 +1,93 @@
+/**
+ * Unit tests for pluggable assignment strategies.
+ * Covers the Hungarian solver, cost matrix, greedy vs hungarian vs regret, and custom strategy functions.
+ */
+
+const { optimizeDelivery, buildCostMatrix, solveAssignment, InputValidationError } = require('../src/index');
+const { loadDrivers, loadOrders } = require('../src/data/input');
+
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+// Greedy trap: o1 (high priority) grabs d1, which is also the only driver close to o2.
+// d1 at hub: hub->a 10, hub->b 12; d2 at far: far->a 14, far->b 60.
+function getWaveInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'hub', capacity: 10, shiftEndTime: inHours(8) },
+      { id: 'd2', currentLocation: 'far', capacity: 10, shiftEndTime: inHours(8) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 2, size: 10 },
+      { id: 'o2', destination: 'b', priority: 1, size: 10 }
+    ],
+    graph: {
+      hub: { a: 10, b: 12 },
+      far: { a: 14, b: 60 },
+      a: { hub: 10, far: 14 },
+      b: { hub: 12, far: 60 }
+    }
+  };
+}
+
+describe('Assignment Strategies', () => {
+  test('solveAssignment finds the min-cost matching and skips forbidden pairs', () => {
+    expect(solveAssignment([[4, 1, 3], [2, 0, 5], [3, 2, 2]])).toEqual([1, 0, 2]);
+    expect(solveAssignment([[1, Infinity], [2, Infinity]])).toEqual([0, -1]);
+    // More rows than columns (transposed internally)
+    expect(solveAssignment([[5], [1], [3]])).toEqual([-1, 0, -1]);
+    expect(solveAssignment([])).toEqual([]);
+  });
+
+  test('buildCostMatrix scores every driver x order pair with Infinity for infeasible', () => {
+    const inputs = getWaveInputs();
+    inputs.orders[1].size = 50; // exceeds both capacities
+    const matrix = buildCostMatrix(loadDrivers(inputs.drivers), loadOrders(inputs.orders), inputs.graph);
+
+    expect(matrix).toHaveLength(2);
+    expect(matrix[0]).toHaveLength(2);
+    expect(Number.isFinite(matrix[0][0])).toBe(true);
+    expect(matrix[0][1]).toBe(Infinity);
+    expect(matrix[1][1]).toBe(Infinity);
+  });
+
+  test('hungarian beats greedy on total score for a dispatch wave', () => {
+    const greedy = optimizeDelivery(getWaveInputs(), { strategy: 'greedy' });
+    const hungarian = optimizeDelivery(getWaveInputs(), { strategy: 'hungarian' });
+
+    const pairs = result => result.assignments.map(a => `${a.driver.id}:${a.order.id}`).sort();
+    expect(pairs(greedy)).toEqual(['d1:o1', 'd2:o2']);
+    expect(pairs(hungarian)).toEqual(['d1:o2', 'd2:o1']);
+    expect(hungarian.summary.totalScore).toBeLessThan(greedy.summary.totalScore);
+    expect(hungarian.summary.strategy).toBe('hungarian');
+  });
+
+  test('regret assigns the order with the most to lose first', () => {
+    const result = optimizeDelivery(getWaveInputs(), { strategy: 'regret' });
+    expect(result.assignments[0].order.id).toBe('o2');
+    expect(result.assignments[0].driver.id).toBe('d1');
+    expect(result.summary.assignedOrders).toBe(2);
+  });
+
+  test('custom strategy functions receive context and return pairs', () => {
+    const customStrategy = jest.fn(({ drivers, orders, buildCostMatrix: matrixFn, shortestPath }) => {
+      expect(matrixFn()).toHaveLength(drivers.length);
+      expect(shortestPath('hub', 'a').distance).toBe(10);
+      return [
+        { driverId: 'd2', orderId: orders[0].id },
+        { driverId: 'd2', orderId: orders[1].id } // over capacity: skipped
+      ];
+    });
+    const result = optimizeDelivery(getWaveInputs(), { strategy: customStrategy });
+
+    expect(customStrategy).toHaveBeenCalledTimes(1);
+    expect(result.assignments).toHaveLength(1);
+    expect(result.assignments[0].driver.id).toBe('d2');
+  });
+
+  test('rejects unknown strategies and bad custom results', () => {
+    expect(() => optimizeDelivery(getWaveInputs(), { strategy: 'random' })).toThrow(InputValidationError);
+    expect(() => optimizeDelivery(getWaveInputs(), { strategy: () => [{ driverId: 'nobody', orderId: 'o1' }] }))
+      .toThrow(/unknown driverId 'nobody'/);
+    expect(() => optimizeDelivery(getWaveInputs(), { strategy: () => null })).toThrow(/must return an array/);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for order time windows (earliestTime / deadlineTime).
+ * Covers validation, hard vs soft deadline modes, waiting for window start and summary on-time rate.
+ */
+
+const { optimizeDelivery, validateInputs, InputValidationError } = require('../src/index');
+const { evaluateTimeWindow } = require('../src/utils/timeWindows');
+
+const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+// depot -> far is 60km (120 min at 30 km/h), depot -> near is 10km (20 min)
+function getWindowInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100, shiftEndTime: inMinutes(8 * 60) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'far', priority: 2, size: 10, deadlineTime: inMinutes(60) }
+    ],
+    graph: {
+      depot: { far: 60, near: 10 },
+      far: { depot: 60 },
+      near: { depot: 10 }
+    }
+  };
+}
+
+describe('Order Time Windows', () => {
+  test('validateInputs checks earliestTime format and window order', () => {
+    const inputs = getWindowInputs();
+    inputs.orders[0].earliestTime = 'not-a-date';
+    expect(() => validateInputs(inputs)).toThrow(/earliestTime must be valid date/);
+
+    inputs.orders[0].earliestTime = inMinutes(90); // after deadline
+    expect(() => validateInputs(inputs)).toThrow(/earliestTime must be before deadlineTime/);
+
+    inputs.orders[0].earliestTime = inMinutes(30);
+    expect(() => validateInputs(inputs)).not.toThrow();
+  });
+
+  test('rejects unknown timeWindowMode', () => {
+    expect(() => optimizeDelivery(getWindowInputs(), { timeWindowMode: 'lenient' })).toThrow(InputValidationError);
+  });
+
+  test('hard mode (default) rejects late arrivals', () => {
+    const result = optimizeDelivery(getWindowInputs());
+    expect(result.assignments).toHaveLength(0);
+    expect(result.summary.onTimeRate).toBe(0);
+  });
+
+  test('soft mode assigns late orders and reports lateness', () => {
+    const result = optimizeDelivery(getWindowInputs(), { timeWindowMode: 'soft' });
+    const [assignment] = result.assignments;
+
+    expect(assignment.onTime).toBe(false);
+    expect(assignment.lateByMinutes).toBeGreaterThanOrEqual(59);
+    expect(assignment.lateByMinutes).toBeLessThanOrEqual(61);
+    expect(result.summary.onTimeRate).toBe(0);
+  });
+
+  test('soft mode penalises lateness in the assignment score', () => {
+    const inputs = getWindowInputs();
+    const onTime = optimizeDelivery({ ...inputs, orders: [{ ...inputs.orders[0], deadlineTime: inMinutes(300) }] });
+    const late = optimizeDelivery(inputs, { timeWindowMode: 'soft', latePenaltyPerMinute: 2 });
+    expect(late.assignments[0].assignmentScore).toBeGreaterThan(onTime.assignments[0].assignmentScore + 100);
+  });
+
+  test('early arrivals wait for earliestTime and delay later stops', () => {
+    const inputs = getWindowInputs();
+    inputs.orders = [
+      { id: 'o1', destination: 'near', priority: 3, size: 10, earliestTime: inMinutes(60), deadlineTime: inMinutes(120) },
+      { id: 'o2', destination: 'depot', priority: 1, size: 10, deadlineTime: inMinutes(200) }
+    ];
+    const result = optimizeDelivery(inputs);
+
+    expect(result.assignments.map(a => a.order.id)).toEqual(['o1', 'o2']);
+    expect(result.assignments[0].onTime).toBe(true);
+    expect(result.assignments[0].waitMinutes).toBeGreaterThanOrEqual(39);
+    // Second stop departs after the wait: ~60 min wait-adjusted + 20 min leg
+    expect(result.assignments[1].eta).toBeGreaterThanOrEqual(79);
+    expect(result.summary.onTimeRate).toBe(1);
+  });
+
+  test('evaluateTimeWindow reports wait and lateness', () => {
+    const base = Date.now();
+    const order = {
+      earliestTime: new Date(base + 30 * 60 * 1000).toISOString(),
+      deadlineTime: new Date(base + 60 * 60 * 1000).toISOString()
+    };
+    const early = evaluateTimeWindow(order, new Date(base));
+    expect(early.waitMinutes).toBe(30);
+    expect(early.onTime).toBe(true);
+
+    const late = evaluateTimeWindow(order, new Date(base + 75 * 60 * 1000));
+    expect(late.lateByMinutes).toBe(15);
+    expect(late.onTime).toBe(false);
+  });
+});
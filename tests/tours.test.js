@@ -0,0 +1,100 @@
+/**
+ * Unit tests for multi-stop tour sequencing.
+ * Covers chained legs, cumulative ETAs, concatenated paths and optimizeDelivery integration.
+ */
+
+const { optimizeDelivery, buildDriverTours } = require('../src/index');
+const { loadDrivers, loadOrders, loadRoadGraph } = require('../src/data/input');
+const { assignDriversToOrders } = require('../src/utils/optimizer');
+
+// Line graph: depot - locA - locB - locC (10km per hop)
+function getTourInputs() {
+  return {
+    drivers: [
+      {
+        id: 'd1',
+        currentLocation: 'depot',
+        capacity: 100,
+        shiftEndTime: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
+      }
+    ],
+    orders: [
+      { id: 'o1', destination: 'locA', priority: 3, size: 10 },
+      { id: 'o2', destination: 'locB', priority: 2, size: 10 },
+      { id: 'o3', destination: 'locC', priority: 1, size: 10 }
+    ],
+    graph: {
+      depot: { locA: 10 },
+      locA: { depot: 10, locB: 10 },
+      locB: { locA: 10, locC: 10 },
+      locC: { locB: 10 }
+    }
+  };
+}
+
+describe('Multi-stop Tours', () => {
+  test('assignDriversToOrders chains legs from the previous stop', () => {
+    const inputs = getTourInputs();
+    const assignments = assignDriversToOrders(
+      loadDrivers(inputs.drivers), loadOrders(inputs.orders), loadRoadGraph(inputs.graph), null
+    );
+
+    expect(assignments.map(a => a.order.id)).toEqual(['o1', 'o2', 'o3']);
+    expect(assignments.map(a => a.distance)).toEqual([10, 10, 10]); // leg, not depot -> stop
+    expect(assignments.map(a => a.eta)).toEqual([20, 40, 60]); // cumulative minutes
+    expect(assignments[2].route).toEqual(['locB', 'locC']);
+    expect(assignments.map(a => a.stopIndex)).toEqual([0, 1, 2]);
+  });
+
+  test('drivers without shiftEndTime keep taking orders while capacity lasts', () => {
+    const inputs = getTourInputs();
+    delete inputs.drivers[0].shiftEndTime;
+    inputs.drivers[0].capacity = 20;
+    const assignments = assignDriversToOrders(
+      loadDrivers(inputs.drivers), loadOrders(inputs.orders), loadRoadGraph(inputs.graph), null
+    );
+
+    expect(assignments.map(a => a.order.id)).toEqual(['o1', 'o2']); // o3 no longer fits
+    expect(assignments.map(a => a.stopIndex)).toEqual([0, 1]);
+  });
+
+  test('buildDriverTours returns stop sequence, cumulative distance and full path', () => {
+    const inputs = getTourInputs();
+    const graph = loadRoadGraph(inputs.graph);
+    const assignments = assignDriversToOrders(loadDrivers(inputs.drivers), loadOrders(inputs.orders), graph, null);
+    const [tour] = buildDriverTours(assignments, graph);
+
+    expect(tour.driverId).toBe('d1');
+    expect(tour.path).toEqual(['depot', 'locA', 'locB', 'locC']);
+    expect(tour.totalDistance).toBe(30);
+    expect(tour.totalDuration).toBe(60);
+    expect(tour.stops.map(s => s.cumulativeDistance)).toEqual([10, 20, 30]);
+    expect(tour.stops.map(s => s.sequence)).toEqual([1, 2, 3]);
+    expect(new Date(tour.stops[2].estimatedArrival) > new Date(tour.stops[0].estimatedArrival)).toBe(true);
+  });
+
+  test('buildDriverTours flags unreachable stops and keeps the last reachable location', () => {
+    const graph = { depot: { locA: 10 }, locA: { depot: 10 }, island: {} };
+    const driver = { id: 'd1', currentLocation: 'depot' };
+    const assignments = [
+      { driver, order: { id: 'o1', destination: 'island' } },
+      { driver, order: { id: 'o2', destination: 'locA' } }
+    ];
+    const [tour] = buildDriverTours(assignments, graph);
+
+    expect(tour.isUnreachable).toBe(true);
+    expect(tour.stops[0].isUnreachable).toBe(true);
+    expect(tour.stops[1].legPath).toEqual(['depot', 'locA']);
+    expect(tour.path).toEqual(['depot', 'locA']);
+  });
+
+  test('optimizeDelivery returns tours next to assignments with real per-stop ETAs', () => {
+    const result = optimizeDelivery(getTourInputs());
+
+    expect(result.tours).toHaveLength(1);
+    expect(result.tours[0].stops).toHaveLength(3);
+    expect(result.assignments.map(a => a.eta)).toEqual([20, 40, 60]);
+    expect(result.assignments[1].cumulativeDistance).toBe(20);
+    expect(result.summary.totalDistance).toBe(30);
+  });
+});
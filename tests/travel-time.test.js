@@ -0,0 +1,97 @@
+/**
+ * Unit tests for time-dependent travel times.
+ * Covers edge travel-time attributes, speed profiles, fastest-path search, validation and ETA integration.
+ */
+
+const { optimizeDelivery, validateInputs, calculateShortestPath } = require('../src/index');
+const { getEdgeTravelMinutes, getProfileMultiplier, hasTravelTimeData } = require('../src/utils/travelTime');
+
+const at = hhmm => Date.parse(`2024-06-03T${hhmm}:00Z`);
+const rushHour = [{ from: '07:00', to: '09:00', multiplier: 3 }];
+
+// Direct road is short but slow; the detour via 'ring' is longer but fast
+const graph = {
+  a: { b: { distance: 10, speedKmh: 10 }, ring: { distance: 10, speedKmh: 60 } },
+  ring: { b: { distance: 10, speedKmh: 60, profile: 'rushHour' }, a: { distance: 10, speedKmh: 60 } },
+  b: { a: { distance: 10, speedKmh: 10 } }
+};
+
+describe('Time-dependent Travel Times', () => {
+  test('edge travel minutes from distance, speed, travelMinutes and profiles', () => {
+    expect(getEdgeTravelMinutes(30, at('12:00'))).toBe(60); // plain edge: 30 km/h
+    expect(getEdgeTravelMinutes({ distance: 30, speedKmh: 60 }, at('12:00'))).toBe(30);
+    expect(getEdgeTravelMinutes({ distance: 30, travelMinutes: 5 }, at('12:00'))).toBe(5);
+    const profiled = { distance: 30, speedKmh: 60, profile: 'rushHour' };
+    expect(getEdgeTravelMinutes(profiled, at('08:00'), { rushHour })).toBe(90);
+    expect(getEdgeTravelMinutes(profiled, at('09:00'), { rushHour })).toBe(30); // window end exclusive
+    expect(getEdgeTravelMinutes(30, at('08:00'), { default: rushHour })).toBe(180);
+  });
+
+  test('profile windows can wrap midnight and honour a UTC offset', () => {
+    const night = [{ from: '22:00', to: '05:00', multiplier: 0.5 }];
+    expect(getProfileMultiplier(night, at('23:30'))).toBe(0.5);
+    expect(getProfileMultiplier(night, at('04:59'))).toBe(0.5);
+    expect(getProfileMultiplier(night, at('12:00'))).toBe(1);
+    expect(getProfileMultiplier(rushHour, at('06:00'), 120)).toBe(3); // 06:00Z is 08:00 at UTC+2
+  });
+
+  test('time objective finds the fastest path rather than the shortest', () => {
+    const shortest = calculateShortestPath(graph, 'a', 'b');
+    expect(shortest).toEqual({ distance: 10, path: ['a', 'b'] });
+
+    const fastest = calculateShortestPath(graph, 'a', 'b', null, {
+      objective: 'time', departureTime: at('12:00'), speedProfiles: { rushHour }
+    });
+    expect(fastest).toEqual({ distance: 20, path: ['a', 'ring', 'b'], travelMinutes: 20 });
+  });
+
+  test('departure time changes the route under rush-hour profiles', () => {
+    const options = { objective: 'time', speedProfiles: { rushHour: [{ from: '07:00', to: '09:00', multiplier: 10 }] } };
+    const offPeak = calculateShortestPath(graph, 'a', 'b', null, { ...options, departureTime: at('12:00') });
+    const peak = calculateShortestPath(graph, 'a', 'b', null, { ...options, departureTime: at('08:00') });
+    expect(offPeak.path).toEqual(['a', 'ring', 'b']);
+    expect(peak.path).toEqual(['a', 'b']);
+    expect(peak.travelMinutes).toBe(60);
+  });
+
+  test('hasTravelTimeData only switches on for speed attributes or profiles', () => {
+    expect(hasTravelTimeData({ a: { b: 5 } })).toBe(false);
+    expect(hasTravelTimeData({ a: { b: { distance: 5 } } })).toBe(false);
+    expect(hasTravelTimeData({ a: { b: { distance: 5, speedKmh: 50 } } })).toBe(true);
+    expect(hasTravelTimeData({ a: { b: 5 } }, { default: rushHour })).toBe(true);
+  });
+
+  test('validateInputs accepts edge objects and speed profiles, rejects bad ones', () => {
+    const base = {
+      drivers: [{ id: 'd1', capacity: 10, currentLocation: 'a' }],
+      orders: [{ id: 'o1', destination: 'b' }],
+      graph,
+      speedProfiles: { rushHour }
+    };
+    expect(() => validateInputs(base)).not.toThrow();
+    expect(() => validateInputs({ ...base, speedProfiles: undefined })).toThrow(/unknown speed profile 'rushHour'/);
+    expect(() => validateInputs({ ...base, graph: { a: { b: { speedKmh: 10 } } } })).toThrow(/non-negative numeric distance/);
+    expect(() => validateInputs({ ...base, graph: { a: { b: { distance: 1, speedKmh: 0 } } } })).toThrow(/speedKmh must be a positive/);
+    expect(() => validateInputs({ ...base, graph: { a: { b: { distance: 1, travelMinutes: -1 } } } })).toThrow(/travelMinutes/);
+    expect(() => validateInputs({ ...base, speedProfiles: { rushHour: [{ from: '7am', to: '09:00', multiplier: 2 }] } }))
+      .toThrow(/'HH:MM'/);
+    expect(() => validateInputs({ ...base, speedProfiles: { rushHour: [{ from: '07:00', to: '09:00', multiplier: 0 }] } }))
+      .toThrow(/multiplier must be a positive/);
+  });
+
+  test('optimizeDelivery ETAs follow edge speeds; plain graphs keep 30 km/h', () => {
+    const inputs = {
+      drivers: [{ id: 'd1', capacity: 10, currentLocation: 'a' }],
+      orders: [{ id: 'o1', destination: 'b' }],
+      graph: { a: { b: { distance: 30, speedKmh: 90 } }, b: {} }
+    };
+    const result = optimizeDelivery(inputs);
+    expect(result.assignments[0].eta).toBe(20);
+    expect(result.assignments[0].distance).toBe(30);
+    expect(result.summary.routingObjective).toBe('time');
+
+    const plain = optimizeDelivery({ ...inputs, graph: { a: { b: 30 }, b: {} } });
+    expect(plain.assignments[0].eta).toBe(60);
+    expect(plain.summary.routingObjective).toBe('distance');
+  });
+});
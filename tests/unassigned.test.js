@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the unassigned-orders report.
+ * Covers reason codes per constraint, closest-driver ranking and the strategy/summary integration.
+ */
+
+const { optimizeDelivery, UNASSIGNED_REASONS } = require('../src/index');
+
+const PLANNING_START = '2024-03-01T08:00:00.000Z';
+const at = minutes => new Date(Date.parse(PLANNING_START) + minutes * 60 * 1000).toISOString();
+
+// 10 km = 20 minutes at 30 km/h; 'island' has no incoming road
+const graph = {
+  depot: { a: 10, b: 30 },
+  north: { a: 5 },
+  a: { depot: 10, b: 20 },
+  b: { depot: 30 },
+  island: { depot: 5 }
+};
+
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 50, shiftEndTime: at(120) },
+      { id: 'd2', currentLocation: 'north', capacity: 20, shiftEndTime: at(120) }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', priority: 3, size: 10 }
+    ],
+    graph
+  };
+}
+
+const plan = inputs => optimizeDelivery(inputs, { planningStartTime: PLANNING_START });
+const reportFor = (result, orderId) => result.unassigned.find(u => u.orderId === orderId);
+
+describe('Unassigned Orders Report', () => {
+  test('fully assigned plans report nothing', () => {
+    const result = plan(getInputs());
+    expect(result.unassigned).toEqual([]);
+    expect(result.summary.unassignedOrders).toBe(0);
+  });
+
+  test('CAPACITY_EXCEEDED lists the overflow per dimension', () => {
+    const inputs = getInputs();
+    inputs.orders.push({ id: 'big', destination: 'a', size: 60 });
+    const report = reportFor(plan(inputs), 'big');
+    expect(report.reasons).toEqual([UNASSIGNED_REASONS.CAPACITY_EXCEEDED]);
+    expect(report.order.id).toBe('big');
+    // d2 took o1 and already sits at 'a'; d1 is still at the depot
+    expect(report.closestDrivers.map(d => [d.driverId, d.distance])).toEqual([['d2', 0], ['d1', 10]]);
+    expect(report.closestDrivers[0].overBy).toEqual({ units: 50 }); // 10 on board + 60 > 20
+    expect(report.closestDrivers[1].overBy).toEqual({ units: 10 }); // 60 > 50
+  });
+
+  test('UNREACHABLE when no road leads to the destination', () => {
+    const inputs = getInputs();
+    inputs.orders.push({ id: 'isle', destination: 'island', size: 5 });
+    const report = reportFor(plan(inputs), 'isle');
+    expect(report.reasons).toEqual([UNASSIGNED_REASONS.UNREACHABLE]);
+    expect(report.closestDrivers.every(d => d.distance === null)).toBe(true);
+  });
+
+  test('SHIFT_END_EXCEEDED and DEADLINE_MISSED report how far off the driver is', () => {
+    const inputs = getInputs();
+    inputs.orders = [
+      { id: 'late', destination: 'b', size: 5, deadlineTime: at(30) },
+      { id: 'long', destination: 'b', size: 5 }
+    ];
+    inputs.drivers = [{ id: 'd1', currentLocation: 'depot', capacity: 50, shiftEndTime: at(50) }];
+    const result = plan(inputs);
+    expect(reportFor(result, 'late').closestDrivers[0]).toMatchObject({ reason: 'DEADLINE_MISSED', lateByMinutes: 30 });
+    expect(reportFor(result, 'long').closestDrivers[0]).toMatchObject({ reason: 'SHIFT_END_EXCEEDED', overByMinutes: 10 });
+    expect(result.summary.unassignedOrders).toBe(2);
+  });
+
+  test('NO_AVAILABLE_DRIVER when every driver is out of the running', () => {
+    const inputs = getInputs();
+    inputs.drivers = [{ id: 'd1', currentLocation: 'depot', startLocation: 'depot', capacity: 50, shiftEndTime: at(120) }];
+    inputs.orders.push({ id: 'hub', destination: 'a', size: 5, depot: 'north' });
+    const report = reportFor(plan(inputs), 'hub');
+    expect(report.reasons).toEqual([UNASSIGNED_REASONS.NO_AVAILABLE_DRIVER]);
+    expect(report.closestDrivers[0].reason).toBe('DEPOT_MISMATCH');
+  });
+
+  test('NOT_SELECTED when a strategy leaves out a feasible order', () => {
+    const inputs = getInputs();
+    inputs.orders.push({ id: 'o2', destination: 'b', size: 5 });
+    const result = optimizeDelivery(inputs, { planningStartTime: PLANNING_START, strategy: () => [{ driverId: 'd1', orderId: 'o1' }] });
+    const report = reportFor(result, 'o2');
+    expect(report.reasons).toEqual([UNASSIGNED_REASONS.NOT_SELECTED]);
+    expect(report.closestDrivers[0].driverId).toBe('d1'); // 'a' -> 'b' is 20, d2 'north' -> 'b' is 25
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for validation issues: collect-all mode, JSON pointer paths, severities,
+ * warnings for loader defaults and the published JSON Schema.
+ */
+
+const {
+  optimizeDelivery,
+  validateInputs,
+  validateRoadNetwork,
+  InputValidationError,
+  ISSUE_CODES,
+  inputSchema
+} = require('../src/index');
+
+function getInputs() {
+  return {
+    drivers: [
+      { id: 'd1', currentLocation: 'depot', capacity: 100 },
+      { id: 'd2', currentLocation: 'depot', capacity: { weightKg: 500 } }
+    ],
+    orders: [
+      { id: 'o1', destination: 'a', size: 10 },
+      { id: 'o2', destination: 'b', size: { weightKg: 20 } }
+    ],
+    graph: {
+      depot: { a: 10, b: 20 },
+      a: { depot: 10 },
+      b: { depot: 20 }
+    }
+  };
+}
+
+/**
+ * Helper: The InputValidationError thrown by fn.
+ */
+function thrownBy(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an InputValidationError');
+}
+
+describe('Validation Issues', () => {
+  test('clean inputs produce no issues', () => {
+    expect(validateInputs(getInputs())).toEqual([]);
+    expect(validateInputs(getInputs(), { collectAll: true })).toEqual([]);
+  });
+
+  test('fail-fast errors carry code, JSON pointer and severity', () => {
+    const inputs = getInputs();
+    delete inputs.orders[1].destination;
+    const error = thrownBy(() => validateInputs(inputs));
+    expect(error).toBeInstanceOf(InputValidationError);
+    expect(error.message).toBe('Order at index 1 must have a non-empty string destination');
+    expect(error.issues).toEqual([{
+      code: ISSUE_CODES.MISSING_FIELD,
+      path: '/orders/1/destination',
+      severity: 'error',
+      message: 'Order at index 1 must have a non-empty string destination'
+    }]);
+  });
+
+  test('collectAll reports every error across drivers, orders and graph', () => {
+    const inputs = getInputs();
+    inputs.drivers[0].capacity = 0;
+    inputs.drivers[1].shiftStartTime = 'tomorrow';
+    inputs.orders[0].destination = '';
+    inputs.orders[1].size = { volumeL: 5 };
+    inputs.graph.a.depot = -1;
+    inputs.nodes = { depot: { lat: 95, lon: 0 } };
+
+    const error = thrownBy(() => validateInputs(inputs, { collectAll: true }));
+    expect(error.message).toBe('Driver at index 0 must have positive numeric capacity (and 5 more errors)');
+    expect(error.issues.map(({ code, path }) => [code, path])).toEqual([
+      [ISSUE_CODES.INVALID_VALUE, '/drivers/0/capacity'],
+      [ISSUE_CODES.INVALID_DATE, '/drivers/1/shiftStartTime'],
+      [ISSUE_CODES.INVALID_VALUE, '/orders/0/destination'],
+      [ISSUE_CODES.UNKNOWN_REFERENCE, '/orders/1/size/volumeL'],
+      [ISSUE_CODES.INVALID_VALUE, '/graph/a/depot'],
+      [ISSUE_CODES.INVALID_VALUE, '/nodes/depot']
+    ]);
+    expect(error.issues.every(issue => issue.severity === 'error')).toBe(true);
+  });
+
+  test('a broken section does not cascade into unrelated errors', () => {
+    const inputs = getInputs();
+    inputs.drivers = 'none';
+    inputs.orders.push('not an order');
+    inputs.graph = [];
+    const error = thrownBy(() => validateInputs(inputs, { collectAll: true }));
+    expect(error.issues.map(issue => issue.path)).toEqual(['/drivers', '/orders/2', '/graph']);
+  });
+
+  test('graph keys are escaped in pointers', () => {
+    const error = thrownBy(() => validateRoadNetwork({ graph: { 'a/b': { 'c~d': { distance: -1 } }, 'c~d': {} } }));
+    expect(error.issues[0].path).toBe('/graph/a~1b/c~0d/distance');
+  });
+
+  test('warnings flag loader defaults and repeated ids without failing', () => {
+    const inputs = getInputs();
+    delete inputs.orders[0].size;
+    inputs.orders[1].priority = 0;
+    inputs.orders.push({ destination: 'b', size: 1 }, { id: 'o1', destination: 'a', size: 0 });
+    inputs.drivers.push({ name: 'Casey', capacity: 50 });
+
+    const warnings = validateInputs(inputs);
+    expect(warnings.map(({ code, path, severity }) => [code, path, severity])).toEqual([
+      [ISSUE_CODES.DEFAULTED_FIELD, '/drivers/2/id', 'warning'],
+      [ISSUE_CODES.DEFAULTED_FIELD, '/drivers/2/currentLocation', 'warning'],
+      [ISSUE_CODES.DEFAULTED_FIELD, '/orders/0/size', 'warning'],
+      [ISSUE_CODES.DEFAULTED_FIELD, '/orders/1/priority', 'warning'],
+      [ISSUE_CODES.DEFAULTED_FIELD, '/orders/2/id', 'warning'],
+      [ISSUE_CODES.DEFAULTED_FIELD, '/orders/3/size', 'warning'],
+      [ISSUE_CODES.DUPLICATE_ID, '/orders/3/id', 'warning']
+    ]);
+    expect(warnings[2].message).toBe('Order at index 0 size missing; defaulted to 10');
+    expect(warnings[6].message).toBe("Order at index 3 repeats id 'o1' (first used at index 0)");
+  });
+
+  test('errors in collectAll mode keep the warnings found alongside them', () => {
+    const inputs = getInputs();
+    delete inputs.orders[0].size;
+    inputs.drivers[0].capacity = 'lots';
+    const error = thrownBy(() => validateInputs(inputs, { collectAll: true }));
+    expect(error.issues.map(issue => issue.severity)).toEqual(['error', 'warning']);
+  });
+
+  test('optimizeDelivery collects all errors on request and emits warnings as events', () => {
+    const broken = getInputs();
+    broken.orders.forEach(order => delete order.destination);
+    const error = thrownBy(() => optimizeDelivery(broken, { collectAllErrors: true }));
+    expect(error.issues.map(issue => issue.path)).toEqual(['/orders/0/destination', '/orders/1/destination']);
+    expect(thrownBy(() => optimizeDelivery(broken)).issues).toHaveLength(1);
+    expect(() => optimizeDelivery(getInputs(), { collectAllErrors: 'yes' })).toThrow(/collectAllErrors must be a boolean/);
+
+    const inputs = getInputs();
+    delete inputs.orders[0].size;
+    const events = [];
+    optimizeDelivery(inputs, { listener: event => events.push(event) });
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'warning', code: ISSUE_CODES.DEFAULTED_FIELD, path: '/orders/0/size'
+    }));
+  });
+
+  test('the published JSON Schema describes the input sections', () => {
+    expect(inputSchema.$schema).toMatch(/json-schema\.org/);
+    expect(inputSchema.required).toEqual(['drivers', 'orders', 'graph']);
+    expect(Object.keys(inputSchema.properties)).toEqual(['drivers', 'orders', 'graph', 'nodes', 'speedProfiles']);
+    expect(inputSchema.definitions.driver.required).toEqual(['capacity']);
+    expect(inputSchema.definitions.order.required).toEqual(['destination']);
+    // Every field the fixtures use is described
+    const inputs = getInputs();
+    inputs.drivers.forEach(driver => Object.keys(driver).forEach(field => {
+      expect(inputSchema.definitions.driver.properties).toHaveProperty(field);
+    }));
+    inputs.orders.forEach(order => Object.keys(order).forEach(field => {
+      expect(inputSchema.definitions.order.properties).toHaveProperty(field);
+    }));
+  });
+});
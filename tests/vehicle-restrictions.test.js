@@ -0,0 +1,93 @@
+/**
+ * Unit tests for vehicle-specific road restrictions.
+ * Covers edge permission checks, restricted shortest paths, matrix rows per vehicle, validation and planning.
+ */
+
+const { optimizeDelivery, validateInputs, calculateShortestPath, DistanceMatrix } = require('../src/index');
+const { canTraverse, getVehicleProfile } = require('../src/utils/vehicles');
+
+const van = { type: 'van', weightKg: 3500, heightM: 2.8 };
+const bike = { type: 'cargo-bike', weightKg: 250, heightM: 1.6 };
+
+// Short route via a bike lane and a low bridge; long route on the main road
+const graph = {
+  hub: { lane: { distance: 2, allowedVehicleTypes: ['cargo-bike'] }, ring: 5 },
+  lane: { shop: { distance: 2, maxHeightM: 2.2 } },
+  ring: { shop: { distance: 5, maxWeightKg: 7500 } },
+  shop: { hub: 9 }
+};
+
+function getFleetInputs() {
+  return {
+    drivers: [
+      { id: 'van1', currentLocation: 'hub', capacity: 100, vehicleType: 'van', vehicleWeightKg: 3500, vehicleHeightM: 2.8 },
+      { id: 'bike1', currentLocation: 'hub', capacity: 100, vehicleType: 'cargo-bike' }
+    ],
+    // Each order fills more than half a vehicle, so every driver gets one
+    orders: [
+      { id: 'o1', destination: 'shop', priority: 2, size: 60 },
+      { id: 'o2', destination: 'shop', priority: 1, size: 60 }
+    ],
+    graph
+  };
+}
+
+describe('Vehicle Restrictions', () => {
+  test('canTraverse checks type, weight and height only for declared attributes', () => {
+    const bridge = { distance: 1, maxHeightM: 2.2, maxWeightKg: 3000, allowedVehicleTypes: ['van', 'car'] };
+    expect(canTraverse(bridge, null)).toBe(true);
+    expect(canTraverse(5, van)).toBe(true);
+    expect(canTraverse(bridge, van)).toBe(false); // too tall and too heavy
+    expect(canTraverse(bridge, { type: 'car', heightM: 1.5 })).toBe(true);
+    expect(canTraverse(bridge, { type: 'truck' })).toBe(false);
+    expect(getVehicleProfile({ id: 'd1' })).toBeNull();
+    expect(getVehicleProfile({ vehicleType: 'van' })).toEqual({ type: 'van', weightKg: undefined, heightM: undefined });
+  });
+
+  test('calculateShortestPath skips edges the vehicle may not use', () => {
+    expect(calculateShortestPath(graph, 'hub', 'shop', null, { vehicle: bike }).path).toEqual(['hub', 'lane', 'shop']);
+    expect(calculateShortestPath(graph, 'hub', 'shop', null, { vehicle: van }).path).toEqual(['hub', 'ring', 'shop']);
+    expect(calculateShortestPath(graph, 'hub', 'shop', null, { vehicle: { type: 'truck', weightKg: 9000 } }).distance).toBe(Infinity);
+    expect(calculateShortestPath(graph, 'hub', 'shop').distance).toBe(4); // no vehicle: unrestricted
+  });
+
+  test('distance matrix keeps separate rows per vehicle profile', () => {
+    const matrix = new DistanceMatrix(graph, ['hub'], ['shop'], { vehicles: [van, bike] });
+    expect(matrix.getDistance('hub', 'shop', van)).toBe(10);
+    expect(matrix.getDistance('hub', 'shop', bike)).toBe(4);
+    expect(matrix.get('hub', 'shop', bike).path).toEqual(['hub', 'lane', 'shop']);
+  });
+
+  test('validateInputs checks restriction and vehicle fields', () => {
+    const inputs = getFleetInputs();
+    expect(() => validateInputs(inputs)).not.toThrow();
+    expect(() => validateInputs({ ...inputs, graph: { a: { b: { distance: 1, maxHeightM: 0 } } } }))
+      .toThrow(/maxHeightM must be a positive number/);
+    expect(() => validateInputs({ ...inputs, graph: { a: { b: { distance: 1, allowedVehicleTypes: [] } } } }))
+      .toThrow(/allowedVehicleTypes must be a non-empty array/);
+    inputs.drivers[0].vehicleWeightKg = -1;
+    expect(() => validateInputs(inputs)).toThrow(/vehicleWeightKg must be a positive number/);
+    inputs.drivers[0].vehicleWeightKg = 3500;
+    inputs.drivers[0].vehicleType = '';
+    expect(() => validateInputs(inputs)).toThrow(/vehicleType must be a non-empty string/);
+  });
+
+  test('a van and a cargo bike get different routes on the same graph', () => {
+    [{}, { useDistanceMatrix: true }, { useCache: true }].forEach(config => {
+      const result = optimizeDelivery(getFleetInputs(), config);
+      const routeOf = id => result.assignments.find(a => a.driver.id === id).route;
+      expect(routeOf('bike1')).toEqual(['hub', 'lane', 'shop']);
+      expect(routeOf('van1')).toEqual(['hub', 'ring', 'shop']);
+    });
+  });
+
+  test('custom strategies route with the driver vehicle', () => {
+    const strategy = ({ drivers, shortestPath }) => {
+      const vanDriver = drivers.find(driver => driver.id === 'van1');
+      expect(shortestPath('hub', 'shop').path).toEqual(['hub', 'lane', 'shop']);
+      expect(shortestPath('hub', 'shop', vanDriver)).toEqual({ distance: 10, path: ['hub', 'ring', 'shop'] });
+      return [{ driverId: 'van1', orderId: 'o1' }];
+    };
+    expect(optimizeDelivery(getFleetInputs(), { strategy }).assignments[0].route).toEqual(['hub', 'ring', 'shop']);
+  });
+});